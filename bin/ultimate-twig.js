@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { createFormatter } = require('../src/formatter');
+const { FORMAT_CONFIG_FILE, findUp, readFormatConfig, projectFormatSettings } = require('../src/formatConfig');
+const { MANIFEST_FILE, TwigManifest } = require('../src/manifest');
+const { findFiles, matchesGlob } = require('../src/glob');
+const { unifiedDiff } = require('../src/textEdits');
+const { checkFormatting } = require('../src/safety');
+
+/**
+ * Ultimate Twig command line
+ * Formats templates exactly like the extension does, without VS Code:
+ *
+ *   ultimate-twig format [--check] [--write] [--config <file>] <files, directories or globs...>
+ *
+ * Changes are printed as a unified diff, or written back with --write. With --check the
+ * exit code is 1 when a file is not formatted. Settings come from .editorconfig and the
+ * .twigformatrc.json files above each template (or --config, see src/formatConfig.js), custom
+ * tags from the closest .twig-extensions.json; files matching an `ignore` glob are skipped.
+ * `-` formats standard input to standard output. Results that fail the safety check of
+ * src/safety.js are reported and never written.
+ */
+
+const USAGE = `Usage: ultimate-twig format [options] <files, directories or globs...>
+
+Options:
+  --check          Exit with 1 when a file is not formatted
+  --write          Write formatted files back
+  --config <file>  Settings file to use instead of the ${FORMAT_CONFIG_FILE} files
+  -h, --help       Show this help
+
+Directories are searched for .twig files; quote globs like "templates/**/*.twig".
+Use - to format standard input to standard output.`;
+
+/**
+ * Read the command line
+ * @returns {{command: string, check: boolean, write: boolean, config: string|null, patterns: string[]}}
+ */
+function parseArguments(args) {
+    const options = { command: null, check: false, write: false, config: null, patterns: [], help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--check') {
+            options.check = true;
+        } else if (arg === '--write') {
+            options.write = true;
+        } else if (arg === '--config') {
+            options.config = args[++i];
+            if (!options.config) {
+                throw new Error('--config needs a file');
+            }
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`unknown option ${arg}`);
+        } else if (!options.command) {
+            options.command = arg;
+        } else {
+            options.patterns.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Formatter for a template, from the settings files around it and the manifest closest to it,
+ * and whether its settings ignore it
+ * @returns {function(string): {twigFormatter: TwigFormatter, isIgnored: boolean}}
+ */
+function formatterCache(options) {
+    const configFile = options.config ? path.resolve(options.config) : undefined;
+    if (configFile) {
+        // Fail before formatting anything
+        readFormatConfig(configFile);
+    }
+    const tagSets = new Map();
+    const formatters = new Map();
+
+    const tagsFor = (directory) => {
+        if (!tagSets.has(directory)) {
+            let tags;
+            const manifestFile = findUp(directory, MANIFEST_FILE);
+            if (manifestFile) {
+                try {
+                    tags = TwigManifest.parse(fs.readFileSync(manifestFile, 'utf8')).tagSet();
+                } catch (error) {
+                    process.stderr.write(`Ignoring ${manifestFile}: ${error.message}\n`);
+                }
+            }
+            tagSets.set(directory, tags);
+        }
+        return tagSets.get(directory);
+    };
+
+    return (file) => {
+        const directory = path.dirname(file);
+        const settings = projectFormatSettings(file, configFile);
+        const key = directory + '\n' + JSON.stringify(settings);
+        if (!formatters.has(key)) {
+            formatters.set(key, createFormatter(settings, tagsFor(directory)));
+        }
+        return {
+            twigFormatter: formatters.get(key),
+            isIgnored: matchesGlob(settings.ignore || [], file.split(path.sep).join('/'))
+        };
+    };
+}
+
+/**
+ * Format a text, keeping its line endings
+ * @throws {Error} - With the line, when the result fails the safety check
+ */
+function formatText(twigFormatter, text) {
+    const crlf = text.includes('\r\n');
+    const source = crlf ? text.replace(/\r\n/g, '\n') : text;
+    const formatted = twigFormatter.format(source);
+    const problem = checkFormatting(source, formatted, again => twigFormatter.format(again), twigFormatter.tags);
+    if (problem) {
+        throw new Error(`line ${problem.line + 1}: not formatted because ${problem.message}`);
+    }
+    return crlf ? formatted.replace(/\n/g, '\r\n') : formatted;
+}
+
+/**
+ * Run the format command
+ * @returns {number} - Exit code
+ */
+function format(options, cwd) {
+    const formatterFor = formatterCache(options);
+
+    if (options.patterns.length === 1 && options.patterns[0] === '-') {
+        const text = fs.readFileSync(0, 'utf8');
+        // Settings as for a template in the current directory
+        const formatted = formatText(formatterFor(path.join(cwd, 'stdin.twig')).twigFormatter, text);
+        process.stdout.write(formatted);
+        return options.check && formatted !== text ? 1 : 0;
+    }
+
+    const { files, unmatched } = findFiles(options.patterns, cwd);
+    unmatched.forEach(pattern => process.stderr.write(`No templates match ${pattern}\n`));
+
+    let unformatted = 0;
+    let ignored = 0;
+    let failed = unmatched.length > 0;
+    for (const file of files) {
+        const name = path.relative(cwd, file).split(path.sep).join('/');
+        try {
+            const { twigFormatter, isIgnored } = formatterFor(file);
+            if (isIgnored) {
+                ignored++;
+                continue;
+            }
+            const text = fs.readFileSync(file, 'utf8');
+            const formatted = formatText(twigFormatter, text);
+            if (formatted === text) {
+                continue;
+            }
+            unformatted++;
+            if (options.write) {
+                fs.writeFileSync(file, formatted);
+                process.stdout.write(`Formatted ${name}\n`);
+            } else {
+                process.stdout.write(unifiedDiff(text.replace(/\r\n/g, '\n'), formatted.replace(/\r\n/g, '\n'), name));
+            }
+        } catch (error) {
+            process.stderr.write(`${name}: ${error.message}\n`);
+            failed = true;
+        }
+    }
+
+    const checked = files.length - ignored;
+    const summary = options.write ? `${unformatted} of ${checked} files formatted` : `${unformatted} of ${checked} files not formatted`;
+    process.stderr.write(summary + (ignored > 0 ? `, ${ignored} ignored` : '') + '\n');
+    if (failed) {
+        return 2;
+    }
+    return options.check && unformatted > 0 ? 1 : 0;
+}
+
+function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return 0;
+    }
+    if (options.command !== 'format' || options.patterns.length === 0) {
+        process.stderr.write(USAGE + '\n');
+        return 2;
+    }
+    try {
+        return format(options, process.cwd());
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return 2;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
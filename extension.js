@@ -1,706 +1,342 @@
 const vscode = require('vscode');
+const path = require('path');
+const { TwigParser, twigTokenAt } = require('./src/parser');
+const { stringAt } = require('./src/expression');
+const { SPACING_DEFAULTS } = require('./src/spacing');
+const { createFormatter } = require('./src/formatter');
+const { FORMAT_CONFIG_FILE, mergeSettings, projectFormatSettings } = require('./src/formatConfig');
+const { EDITORCONFIG_FILE } = require('./src/editorconfig');
+const { lineEdits } = require('./src/textEdits');
+const { closingTagDepth, missingEndTag } = require('./src/endTags');
+const { checkFormatting } = require('./src/safety');
+const { matchesGlob } = require('./src/glob');
+const { TwigDiagnostics } = require('./src/diagnostics');
+const { checkStructure } = require('./src/structure');
+const { TemplateLinkProvider } = require('./src/templateLinks');
+const { TwigSymbolProvider } = require('./src/symbolProvider');
+const { TwigReferenceProvider } = require('./src/referenceProvider');
+const { EXCLUDED_FILES, TemplateIndex, positionIn } = require('./src/templateIndex');
+const { MigrationProvider } = require('./src/migrationProvider');
+const { SecurityProvider } = require('./src/securityProvider');
+const { LEGEND, TwigSemanticTokenProvider } = require('./src/semanticTokenProvider');
+const { InheritanceLensProvider } = require('./src/inheritanceProvider');
+const { TemplateHierarchyProvider } = require('./src/hierarchyProvider');
+const { TwigHelpProvider, documentationOf } = require('./src/twigHelp');
+const { MacroProvider } = require('./src/macroProvider');
+const { VariableProvider } = require('./src/variableProvider');
+const { TwigFoldingProvider } = require('./src/foldingProvider');
+const { SymfonyProvider } = require('./src/symfonyProvider');
+const { TranslationProvider } = require('./src/translationProvider');
+const { manifestFor, projectEntries, readTemplate, watchProjectFiles } = require('./src/project');
+const { TAGS, FILTERS, FUNCTIONS, TESTS } = require('./src/catalog');
+
+// Invalid .twigformatrc.json files already warned about, by message
+const reportedConfigErrors = new Set();
+
+// Settings from the config files around templates, by path; cleared when a config file changes.
+// By path and not by directory, as .editorconfig sections can match file names.
+const projectSettings = new Map();
 
 /**
- * Twig Formatter
- * Formats Twig template files with configurable settings
+ * Formatter settings from the .editorconfig and .twigformatrc.json files around a document
+ * (see src/formatConfig.js); an invalid config file is reported once and left out
  */
-class TwigFormatter {
-    constructor() {
-        this.indentSize = 4;
-        this.useTabs = false;
-        this.preserveNewLines = true;
+function projectSettingsFor(document) {
+    if (document.uri.scheme !== 'file') {
+        return {};
     }
-
-
-    /**
- * Collapse Twig attribute (multiline or single line) into a single line
- * Adds a space before first twig block and after last twig block (if exists).
- */
-    collapseTwigAttribute(attributeLines) {
-        let collapsed = attributeLines.join(' ')
-            .replace(/\s*\n\s*/g, ' ')    // Remove newlines
-            .replace(/\s{2,}/g, ' ');     // Collapse multiple spaces
-
-        // Does this class/style/... attribute contain Twig in the value?
-        const twigBlockMatch = collapsed.match(/({%|{{)/);
-        if (twigBlockMatch) {
-            // Find where the quoted value starts and ends
-            let m = collapsed.match(/=\s*([\'"])(.*)\1/);
-            if (m) {
-                let quote = m[1];
-                let attrValue = m[2];
-                // Ensure single space before first Twig block, and after last one
-
-                // Before first Twig
-                attrValue = attrValue.replace(/^([^\{\{%]+?)\s*({[{%])/, (full, before, twig) => {
-                    return before.trim() + ' ' + twig;
-                });
-                // After last Twig
-                attrValue = attrValue.replace(/(%}|}})\s*$/, (full, endTwig) => {
-                    return endTwig + ' ';
-                });
-
-                // Remove extra spaces at end/start of value just in case
-                attrValue = attrValue.replace(/\s{2,}/g, ' ').trim();
-
-                // Rebuild attribute
-                collapsed = collapsed.replace(/=\s*([\'"])(.*)\1/, `=${quote}${attrValue}${quote}`);
-            } else {
-                // Fallback: brute container, ensure any nearby Twig gets a space before/after
-                collapsed = collapsed
-                    .replace(/([^\{\{%]+?)\s*({[{%])/, (full, before, twig) => before.trim() + ' ' + twig)
-                    .replace(/(%}|}})\s*([\'"])/g, '$1 $2')
-                    .replace(/\s{2,}/g, ' ');
+    const file = document.uri.fsPath;
+    if (!projectSettings.has(file)) {
+        let settings = {};
+        try {
+            settings = projectFormatSettings(file);
+        } catch (error) {
+            if (!reportedConfigErrors.has(error.message)) {
+                reportedConfigErrors.add(error.message);
+                vscode.window.showWarningMessage(`Ultimate Twig: ignoring ${error.message}`);
             }
         }
-
-        return collapsed.trim();
+        projectSettings.set(file, settings);
     }
+    return projectSettings.get(file);
+}
 
+/**
+ * Create a formatter with the settings and custom tags that apply to a document
+ * Settings files around the template win over the ultimateTwig.format.* settings; indentation
+ * the user has not set anywhere follows the editor's tab size and insert spaces.
+ * @param {{tabSize: number, insertSpaces: boolean}} [editorOptions] - Formatting options VS Code
+ *        passed, or the options of the document's editor
+ */
+function formatterFor(document, editorOptions) {
+    const config = vscode.workspace.getConfiguration('ultimateTwig.format', document.uri);
+    const editorConfig = vscode.workspace.getConfiguration('editor', document.uri);
+    const isSet = (name) => {
+        const values = config.inspect(name) || {};
+        return [values.globalValue, values.workspaceValue, values.workspaceFolderValue].some(value => value !== undefined);
+    };
+    const tabSize = editorOptions && typeof editorOptions.tabSize === 'number' ? editorOptions.tabSize : editorConfig.get('tabSize', 4);
+    const insertSpaces = editorOptions && typeof editorOptions.insertSpaces === 'boolean' ? editorOptions.insertSpaces : editorConfig.get('insertSpaces', true);
+
+    const spacing = {};
+    Object.keys(SPACING_DEFAULTS).forEach(rule => {
+        spacing[rule] = config.get(`spacing.${rule}`, SPACING_DEFAULTS[rule]);
+    });
+    const settings = mergeSettings({
+        useTabs: isSet('useTabs') ? config.get('useTabs') : !insertSpaces,
+        indentSize: isSet('indentSize') ? config.get('indentSize') : Math.min(8, Math.max(1, tabSize)),
+        printWidth: config.get('printWidth', 120),
+        spacing
+    }, projectSettingsFor(document));
+    return createFormatter(settings, manifestFor(document).tagSet());
+}
 
-    /**
-     * Split a line into Twig splitLines and other content
-     */
-    splitTwigLine(line) {
-        // This splits a line into splitLines of '{% ... %}' or '{{ ... }}', leaving content as is
-        const re = /(\{\%.*?\%\}|\{\{.*?\}\})/g;
-        let result = [];
-        let lastIndex = 0;
-        let match;
-        while ((match = re.exec(line)) !== null) {
-            if (match.index > lastIndex) {
-                result.push(line.slice(lastIndex, match.index));
-            }
-            result.push(match[0]);
-            lastIndex = re.lastIndex;
-        }
-        if (lastIndex < line.length) {
-            result.push(line.slice(lastIndex));
-        }
-        return result.filter(s => s.trim().length > 0);
+/**
+ * Check if a document matches the ultimateTwig.format.ignore globs or those of its .twigformatrc.json files
+ */
+function isIgnoredFile(document) {
+    const patterns = vscode.workspace.getConfiguration('ultimateTwig.format', document.uri).get('ignore', []);
+    if (patterns.length > 0 && matchesGlob(patterns, vscode.workspace.asRelativePath(document.uri, false))) {
+        return true;
     }
+    const projectPatterns = projectSettingsFor(document).ignore || [];
+    return projectPatterns.length > 0 && matchesGlob(projectPatterns, document.uri.fsPath.split(path.sep).join('/'));
+}
 
-    /**
-     * Format Twig document
-     * @param {string} text - The text to format
-     * @returns {string} - Formatted text
-     */
-    format(text) {
-        const indentChar = this.useTabs ? '\t' : ' '.repeat(this.indentSize);
-
-        let lines = text.split('\n');
-        let formattedLines = [];
-        let twigIndentLevel = 0;
-        let htmlIndentLevel = 0;
-        let inComment = false;
-        let inVerbatim = false;
-        let inScriptTag = false;
-        let inStyleTag = false;
-        let scriptTagBaseIndent = 0; // Store HTML indent level when entering script tag
-        let styleTagBaseIndent = 0;  // Store HTML indent level when entering style tag
-        let inSetBlock = false;          // Inside a multiline {% set x = { ... } %}
-        let setBlockBaseIndent = 0;      // Indent level when entering set block
-        let setBlockBraceDepth = 0;      // Brace/bracket depth inside set block
-        let inMultiLineHtmlTag = false;  // Inside a multi-line HTML opening tag (no closing >)
-        let multiLineTagBaseIndent = 0;  // Base indent for the multi-line tag
-        let multiLineTagTwigDepth = 0;   // Twig indent depth within multi-line tag attributes
-
-        for (let i = 0; i < lines.length; i++) {
-            let line = lines[i];
-            let trimmedLine = line.trim();
-
-            ////////////////////////
-            ////////////////////////
-
-            // Skip empty lines if preserveNewLines is true
-            if (trimmedLine === '' && this.preserveNewLines) {
-                formattedLines.push('');
-                continue;
-            }
-
-            if (trimmedLine === '' && !this.preserveNewLines) {
-                continue;
-            }
-
-            // Handle comments — but first check for HTML mixed on the same line
-            if (trimmedLine.includes('{#')) {
-                // Check if this is an inline comment on a line with HTML (e.g. "</div>{# comment #}")
-                const htmlBeforeComment = trimmedLine.replace(/\{#[\s\S]*?#\}/g, '').trim();
-                if (htmlBeforeComment.length > 0 && trimmedLine.includes('#}')) {
-                    // Process HTML indent changes from the non-comment part
-                    const isCompleteTag = this.isHtmlOpeningTag(htmlBeforeComment) && this.isHtmlClosingTag(htmlBeforeComment);
-
-                    if (this.shouldDecreaseHtmlIndent(htmlBeforeComment, isCompleteTag)) {
-                        htmlIndentLevel = Math.max(0, htmlIndentLevel - 1);
-                    }
-
-                    formattedLines.push(indentChar.repeat(twigIndentLevel + htmlIndentLevel) + trimmedLine);
+/**
+ * Settings a formatted text depends on, to tell if an earlier result still holds
+ */
+function formatterKey(twigFormatter) {
+    const { useTabs, indentSize, printWidth, preserveNewLines, insertFinalNewline, trimTrailingWhitespace, spacing } = twigFormatter;
+    return JSON.stringify({ useTabs, indentSize, printWidth, preserveNewLines, insertFinalNewline, trimTrailingWhitespace, spacing });
+}
 
-                    if (this.shouldIncreaseHtmlIndent(htmlBeforeComment, isCompleteTag)) {
-                        htmlIndentLevel++;
-                    }
-                    continue;
-                }
+/**
+ * Check a formatter result before it is applied and warn about the first problem (see src/safety.js)
+ * @param {function(string): string} reformat - Formats the formatted text again
+ * @returns {boolean} - true if the result is safe to apply
+ */
+function isSafeFormatting(text, formattedText, reformat, tags) {
+    const problem = checkFormatting(text, formattedText, reformat, tags);
+    if (problem) {
+        const line = text.split('\n')[problem.line].trim();
+        vscode.window.showWarningMessage(`Ultimate Twig: formatting was not applied because ${problem.message} ` +
+            `at line ${problem.line + 1}: ${line.length > 80 ? line.slice(0, 80) + '…' : line}`);
+    }
+    return !problem;
+}
 
-                inComment = true;
-            }
+/**
+ * Replace lines of a text
+ */
+function replaceLines(text, startLine, endLine, replacement) {
+    const lines = text.split('\n');
+    return lines.slice(0, startLine).concat(replacement, lines.slice(endLine + 1)).join('\n');
+}
 
-            if (inComment) {
-                formattedLines.push(indentChar.repeat(twigIndentLevel + htmlIndentLevel) + trimmedLine);
-                if (trimmedLine.includes('#}')) {
-                    inComment = false;
-                }
-                continue;
-            }
+/**
+ * Text of a document with \n line breaks, as the formatter reads and writes it
+ */
+function normalizedText(document, range) {
+    return document.getText(range).replace(/\r\n/g, '\n');
+}
 
-            // Handle verbatim blocks (no formatting inside, but re-indent at block level)
-            if (trimmedLine.match(/\{%-?\s*verbatim\s*%\}/)) {
-                // Output the opening verbatim tag at current indent level
-                formattedLines.push(indentChar.repeat(twigIndentLevel + htmlIndentLevel) + trimmedLine);
-                inVerbatim = true;
-                twigIndentLevel++; // Content inside verbatim is indented one level deeper
-                continue;
-            }
+/**
+ * Turn line edits on a \n text that starts at a line of the document into TextEdits,
+ * with the document's line breaks
+ */
+function toTextEdits(document, text, edits, line = 0) {
+    const eol = document.eol === vscode.EndOfLine.CRLF ? '\r\n' : '\n';
+    return edits.map(edit => {
+        const start = positionIn(text, edit.start);
+        const end = positionIn(text, edit.end);
+        return vscode.TextEdit.replace(
+            new vscode.Range(line + start.line, start.character, line + end.line, end.character),
+            edit.text.replace(/\n/g, eol)
+        );
+    });
+}
 
-            if (inVerbatim) {
-                if (trimmedLine.match(/\{%-?\s*endverbatim\s*%\}/)) {
-                    twigIndentLevel = Math.max(0, twigIndentLevel - 1);
-                    inVerbatim = false;
-                }
-                formattedLines.push(indentChar.repeat(twigIndentLevel + htmlIndentLevel) + trimmedLine);
-                continue;
-            }
+/**
+ * Strike through completions of deprecated tags, filters, functions and tests and list them last
+ */
+function markDeprecated(item, entry) {
+    if (entry.deprecated) {
+        item.tags = [vscode.CompletionItemTag.Deprecated];
+        item.sortText = `~${entry.name}`;
+    }
+}
 
-            // Track script and style tags and handle their opening/closing
-            const isScriptOpening = trimmedLine.match(/<script[^>]*>/i) && !trimmedLine.match(/<\/script>/i);
-            const isScriptClosing = trimmedLine.match(/<\/script>/i);
-            const isStyleOpening = trimmedLine.match(/<style[^>]*>/i) && !trimmedLine.match(/<\/style>/i);
-            const isStyleClosing = trimmedLine.match(/<\/style>/i);
-
-            // Handle opening script/style tags
-            if (isScriptOpening) {
-                // Process the opening tag line first
-                const totalIndent = twigIndentLevel + htmlIndentLevel;
-                let formattedLine = indentChar.repeat(totalIndent) + trimmedLine;
-                formattedLines.push(formattedLine);
-
-                inScriptTag = true;
-                scriptTagBaseIndent = htmlIndentLevel; // Store current HTML indent level
-                htmlIndentLevel++; // Increase indent for content inside script tag
-                continue;
-            }
+/**
+ * Activate the extension
+ */
+function activate(context) {
+    console.log('Ultimate Twig extension is now active');
 
-            if (isStyleOpening) {
-                // Process the opening tag line first
-                const totalIndent = twigIndentLevel + htmlIndentLevel;
-                let formattedLine = indentChar.repeat(totalIndent) + trimmedLine;
-                formattedLines.push(formattedLine);
+    // Last formatter output per document, so formatting an already formatted
+    // document (format on save) is a string comparison
+    const formattedTexts = new Map();
 
-                inStyleTag = true;
-                styleTagBaseIndent = htmlIndentLevel; // Store current HTML indent level
-                htmlIndentLevel++; // Increase indent for content inside style tag
-                continue;
+    // Register document formatter
+    const formatter = vscode.languages.registerDocumentFormattingEditProvider('twig', {
+        provideDocumentFormattingEdits(document, options) {
+            if (isIgnoredFile(document)) {
+                return [];
             }
-
-            // Handle closing script/style tags - only when we are actually inside one
-            if (isScriptClosing && inScriptTag) {
-                htmlIndentLevel = scriptTagBaseIndent; // Restore HTML indent level from before script tag
-                inScriptTag = false;
-
-                // Format the closing tag and skip normal HTML tag processing
-                const totalIndent = twigIndentLevel + htmlIndentLevel;
-                let formattedLine = indentChar.repeat(totalIndent) + trimmedLine;
-                formattedLines.push(formattedLine);
-                continue;
+            const twigFormatter = formatterFor(document, options);
+            const text = normalizedText(document);
+            const key = formatterKey(twigFormatter);
+            const manifest = manifestFor(document);
+            const known = formattedTexts.get(document.uri.toString());
+            if (known && known.text === text && known.key === key && known.manifest === manifest) {
+                return [];
             }
-
-            if (isStyleClosing && inStyleTag) {
-                htmlIndentLevel = styleTagBaseIndent; // Restore HTML indent level from before style tag
-                inStyleTag = false;
-
-                // Format the closing tag and skip normal HTML tag processing
-                const totalIndent = twigIndentLevel + htmlIndentLevel;
-                let formattedLine = indentChar.repeat(totalIndent) + trimmedLine;
-                formattedLines.push(formattedLine);
-                continue;
+            const formattedText = twigFormatter.format(text);
+            if (!isSafeFormatting(text, formattedText, again => twigFormatter.format(again), twigFormatter.tags)) {
+                return [];
             }
+            formattedTexts.set(document.uri.toString(), { text: formattedText, key, manifest });
 
-            // Handle JavaScript/CSS indentation inside script/style tags
-            if (inScriptTag || inStyleTag) {
-                const trimmed = trimmedLine;
-
-                // Count opening and closing braces/brackets on this line
-                const openBraces = (trimmed.match(/\{/g) || []).length;
-                const closeBraces = (trimmed.match(/\}/g) || []).length;
-                const openBrackets = (trimmed.match(/\[/g) || []).length;
-                const closeBrackets = (trimmed.match(/\]/g) || []).length;
-
-                // Calculate net change, capped to ±1 to avoid over-indenting lines like [{
-                const rawChange = (openBraces + openBrackets) - (closeBraces + closeBrackets);
-                const netChange = Math.max(-1, Math.min(1, rawChange));
-
-                // For lines with net decrease, decrease indent before rendering
-                if (netChange < 0) {
-                    htmlIndentLevel = Math.max(0, htmlIndentLevel + netChange);
-                }
-
-                const totalIndent = twigIndentLevel + htmlIndentLevel;
-                let formattedLine = indentChar.repeat(totalIndent) + trimmedLine;
-                formattedLines.push(formattedLine);
-
-                // For lines with net increase, increase indent after rendering
-                if (netChange > 0) {
-                    htmlIndentLevel += netChange;
-                }
+            // Only the lines that changed, so cursors, folding and markers elsewhere stay put
+            return toTextEdits(document, text, lineEdits(text, formattedText));
+        }
+    });
+    const formattedTextsCleanup = vscode.workspace.onDidCloseTextDocument(document => {
+        formattedTexts.delete(document.uri.toString());
+    });
 
-                continue;
+    // Register range formatter
+    const rangeFormatter = vscode.languages.registerDocumentRangeFormattingEditProvider('twig', {
+        provideDocumentRangeFormattingEdits(document, range, options) {
+            if (isIgnoredFile(document)) {
+                return [];
             }
-
-            // Detect start of multiline {% set x = { ... %} or {% set x = [ ... %}
-            if (!inSetBlock && /\{%-?\s*set\s+\w+\s*=\s*[\{\[]/.test(trimmedLine) && !/\%\}/.test(trimmedLine)) {
-                inSetBlock = true;
-                setBlockBaseIndent = twigIndentLevel + htmlIndentLevel;
-
-                // Count braces/brackets on the opening line (strip {% set x = part)
-                const afterAssign = trimmedLine.replace(/^\{%-?\s*set\s+\w+\s*=\s*/, '');
-                const openBraces = (afterAssign.match(/\{/g) || []).length;
-                const closeBraces = (afterAssign.match(/\}/g) || []).length;
-                const openBrackets = (afterAssign.match(/\[/g) || []).length;
-                const closeBrackets = (afterAssign.match(/\]/g) || []).length;
-                setBlockBraceDepth = (openBraces + openBrackets) - (closeBraces + closeBrackets);
-
-                formattedLines.push(indentChar.repeat(setBlockBaseIndent) + trimmedLine);
-                continue;
+            const twigFormatter = formatterFor(document, options);
+
+            // Whole lines, without the line a selection ends at the start of
+            const startLine = range.start.line;
+            const endLine = range.end.character === 0 && range.end.line > startLine ? range.end.line - 1 : range.end.line;
+            const text = normalizedText(document);
+            const formattedText = twigFormatter.formatLines(text, startLine, endLine);
+            const lineRange = new vscode.Range(startLine, 0, endLine, document.lineAt(endLine).text.length);
+
+            // The same lines, now formatted, are formatted again to check the result
+            const formattedEnd = startLine + formattedText.split('\n').length - 1;
+            const reformat = (again) => replaceLines(again, startLine, formattedEnd, twigFormatter.formatLines(again, startLine, formattedEnd));
+            if (!isSafeFormatting(text, replaceLines(text, startLine, endLine, formattedText), reformat, twigFormatter.tags)) {
+                return [];
             }
 
-            // Handle indentation inside multiline set blocks
-            if (inSetBlock) {
-                // Check if this line closes the set block (contains %})
-                const closesSet = /\%\}/.test(trimmedLine);
-
-                // Count braces/brackets (exclude Twig delimiters from counting)
-                // Remove complete {% %} blocks, and also trailing %} on closing lines
-                const lineWithoutTwig = trimmedLine.replace(/\{%-?.*?-?%\}/g, '').replace(/-?%\}/g, '');
-                const openBraces = (lineWithoutTwig.match(/\{/g) || []).length;
-                const closeBraces = (lineWithoutTwig.match(/\}/g) || []).length;
-                const openBrackets = (lineWithoutTwig.match(/\[/g) || []).length;
-                const closeBrackets = (lineWithoutTwig.match(/\]/g) || []).length;
-                const netChange = (openBraces + openBrackets) - (closeBraces + closeBrackets);
-
-                // Cap change to ±1 per line to avoid over-indenting lines like { key: [
-                const clampedChange = Math.max(-1, Math.min(1, netChange));
-
-                // Decrease before rendering
-                if (clampedChange < 0) {
-                    setBlockBraceDepth = Math.max(0, setBlockBraceDepth + clampedChange);
-                }
-
-                formattedLines.push(indentChar.repeat(setBlockBaseIndent + setBlockBraceDepth) + trimmedLine);
-
-                // Increase after rendering
-                if (clampedChange > 0) {
-                    setBlockBraceDepth += clampedChange;
-                }
+            const lines = normalizedText(document, lineRange);
+            return toTextEdits(document, lines, lineEdits(lines, formattedText), startLine);
+        }
+    });
 
-                if (closesSet) {
-                    inSetBlock = false;
-                    setBlockBraceDepth = 0;
+    // Command: run the formatting safety check on every template of the workspace
+    const output = vscode.window.createOutputChannel('Ultimate Twig');
+    const checkFormattingCommand = vscode.commands.registerCommand('ultimateTwig.checkFormatting', () => {
+        return vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Ultimate Twig: checking formatting',
+            cancellable: true
+        }, async (progress, cancellation) => {
+            const files = await vscode.workspace.findFiles('**/*.twig', EXCLUDED_FILES);
+            output.clear();
+            let failures = 0;
+            let checked = 0;
+            for (const uri of files) {
+                if (cancellation.isCancellationRequested) {
+                    break;
                 }
-                continue;
-            }
-
-            // Handle multi-line HTML opening tags (e.g. <a href="..." \n class="..."\n >)
-            if (inMultiLineHtmlTag) {
-                // Handle Twig closing tags within attributes ({% endif %}, etc.)
-                if (this.isClosingTag(trimmedLine)) {
-                    multiLineTagTwigDepth = Math.max(0, multiLineTagTwigDepth - 1);
+                const name = vscode.workspace.asRelativePath(uri);
+                progress.report({ message: name, increment: 100 / files.length });
+                const text = isIgnoredFile({ uri }) ? null : readTemplate(uri.fsPath);
+                if (text === null) {
+                    continue;
                 }
 
-                formattedLines.push(indentChar.repeat(multiLineTagBaseIndent + 1 + multiLineTagTwigDepth) + trimmedLine);
-
-                // Handle Twig opening tags within attributes ({% if %}, etc.)
-                if (this.isOpeningTag(trimmedLine) && !this.isSelfClosingTag(trimmedLine) && !this.isSingleLineBlock(trimmedLine)) {
-                    multiLineTagTwigDepth++;
+                // Settings and custom tags only depend on the file's location
+                const twigFormatter = formatterFor({ uri });
+                let problem;
+                try {
+                    problem = checkFormatting(text, twigFormatter.format(text), again => twigFormatter.format(again), twigFormatter.tags);
+                } catch (error) {
+                    problem = { line: 0, message: `the formatter failed (${error.message})` };
                 }
-
-                // Check if this line closes the tag (ends with > or ">)
-                if (/>\s*$/.test(trimmedLine)) {
-                    inMultiLineHtmlTag = false;
-                    multiLineTagTwigDepth = 0;
-                    // If it's a self-closing tag />, don't increase indent
-                    if (!trimmedLine.endsWith('/>')) {
-                        htmlIndentLevel++;
-                    }
+                checked++;
+                if (problem) {
+                    failures++;
+                    output.appendLine(`${name}:${problem.line + 1}: ${problem.message}`);
                 }
-                continue;
+                // Let the progress notification and cancellation through
+                await new Promise(resolve => setTimeout(resolve, 0));
             }
 
-            // Detect start of a multi-line HTML opening tag (has < but no closing >)
-            if (/^<[a-zA-Z][a-zA-Z0-9\-._]*\s/.test(trimmedLine) && !/>/.test(trimmedLine) && !this.isHtmlClosingTag(trimmedLine)) {
-                inMultiLineHtmlTag = true;
-                multiLineTagBaseIndent = twigIndentLevel + htmlIndentLevel;
-                multiLineTagTwigDepth = 0;
-                formattedLines.push(indentChar.repeat(twigIndentLevel + htmlIndentLevel) + trimmedLine);
-                continue;
+            if (failures > 0) {
+                output.show(true);
+                vscode.window.showWarningMessage(`Ultimate Twig: formatting would be refused for ${failures} of ${checked} templates, see the output for the lines`);
+            } else {
+                vscode.window.showInformationMessage(`Ultimate Twig: formatting is safe for all ${checked} templates`);
             }
+        });
+    });
 
-            // Check if line has Twig inline within an HTML tag - if so, don't split it
-            if (this.hasTwigInlineInHtmlTag(trimmedLine)) {
-                // Check if we need to adjust HTML indent for opening/closing tags
-                const isCompleteTag = this.isHtmlOpeningTag(trimmedLine) && this.isHtmlClosingTag(trimmedLine);
-                
-                if (this.shouldDecreaseHtmlIndent(trimmedLine, isCompleteTag)) {
-                    htmlIndentLevel = Math.max(0, htmlIndentLevel - 1);
-                }
-                
-                formattedLines.push(indentChar.repeat(twigIndentLevel + htmlIndentLevel) + trimmedLine);
-                
-                // Don't increase indent if line contains a self-closing tag (like <input>, <br>, etc.)
-                if (this.shouldIncreaseHtmlIndent(trimmedLine, isCompleteTag) && !this.containsSelfClosingTag(trimmedLine)) {
-                    htmlIndentLevel++;
-                }
-                
-                continue;
+    // Register on-type formatter: end and mid tags move to their block's depth once typed
+    const onTypeFormatter = vscode.languages.registerOnTypeFormattingEditProvider('twig', {
+        provideOnTypeFormattingEdits(document, position, ch, options) {
+            const line = document.lineAt(position.line);
+            const before = line.text.slice(0, position.character);
+            if ((ch === '}' && !before.endsWith('%}')) || line.isEmptyOrWhitespace || isIgnoredFile(document)) {
+                return [];
             }
-
-            // Now split the line on Twig tags
-            let splitLines = this.splitTwigLine(line);
-
-            // If this line contains no {% %} block-level tags (only {{ }} expressions or plain text),
-            // output it as a single line to avoid splitting inline expressions like "Hello {{ name }}!"
-            const hasTwigBlockTag = /\{%/.test(trimmedLine);
-            if (!hasTwigBlockTag && splitLines.length > 0) {
-                // Check for HTML indent changes on the whole trimmed line
-                const isCompleteTag = this.isHtmlOpeningTag(trimmedLine) && this.isHtmlClosingTag(trimmedLine);
-                if (this.shouldDecreaseHtmlIndent(trimmedLine, isCompleteTag)) {
-                    htmlIndentLevel = Math.max(0, htmlIndentLevel - 1);
-                }
-                formattedLines.push(indentChar.repeat(twigIndentLevel + htmlIndentLevel) + trimmedLine);
-                if (this.shouldIncreaseHtmlIndent(trimmedLine, isCompleteTag) && !this.containsSelfClosingTag(trimmedLine)) {
-                    htmlIndentLevel++;
-                }
-                continue;
+            const twigFormatter = formatterFor(document, options);
+            const contentStart = document.offsetAt(line.range.start) + line.firstNonWhitespaceCharacterIndex;
+            const depth = closingTagDepth(twigFormatter.parse(document.getText()), contentStart, twigFormatter.tags);
+            if (depth === null) {
+                return [];
             }
-
-            for (let t = 0; t < splitLines.length; t++) {
-                let item = splitLines[t].trim();
-                // HTML tag detection has to remain per-item
-                const isCompleteTag = this.isHtmlOpeningTag(item) && this.isHtmlClosingTag(item);
-
-                if (this.isTwigInsideAttribute(item)) {
-                    formattedLines.push(indentChar.repeat(twigIndentLevel + htmlIndentLevel) + item);
-                    continue;
-                }
-
-
-                if (this.shouldDecreaseHtmlIndent(item, isCompleteTag)) {
-                    htmlIndentLevel = Math.max(0, htmlIndentLevel - 1);
-                }
-
-                // Detect Twig closing tags
-                if (this.isClosingTag(item)) {
-                    twigIndentLevel = Math.max(0, twigIndentLevel - 1);
-                }
-
-                // Output line at current indent
-                formattedLines.push(indentChar.repeat(twigIndentLevel + htmlIndentLevel) + item);
-
-                // Increase indent after opening Twig tags (but not for single-line sets or blocks)
-                if (this.isOpeningTag(item) && !this.isSelfClosingTag(item) && !this.isSingleLineBlock(item)) {
-                    twigIndentLevel++;
-                }
-
-                // Special handling for else/elseif - they decrease then increase indent
-                if (this.isMidBlockTag(item)) {
-                    // This is correct: decrease then increase for mid blocks
-                    twigIndentLevel++;
-                }
-
-
-                // Check for opening HTML tags that should increase indent
-                if (this.shouldIncreaseHtmlIndent(item, isCompleteTag)) {
-                    htmlIndentLevel++;
-                }
+            const indent = (twigFormatter.useTabs ? '\t' : ' '.repeat(twigFormatter.indentSize)).repeat(depth);
+            if (line.text.slice(0, line.firstNonWhitespaceCharacterIndex) === indent) {
+                return [];
             }
+            return [vscode.TextEdit.replace(new vscode.Range(position.line, 0, position.line, line.firstNonWhitespaceCharacterIndex), indent)];
         }
-
-        return formattedLines.join('\n');
-    }
-
-    /**
-     * Check if line contains an opening Twig tag
-     */
-    isOpeningTag(line) {
-        const openingTags = [
-            /\{%-?\s*block\s+/,
-            /\{%-?\s*for\s+/,
-            /\{%-?\s*if\s+/,
-            /\{%-?\s*macro\s+/,
-            /\{%-?\s*embed\s+/,
-            /\{%-?\s*autoescape\s+/,
-            /\{%-?\s*spaceless\s*%\}/,
-            /\{%-?\s*trans\s*%\}/,
-            /\{%-?\s*apply\s+/,
-            /\{%-?\s*cache\s+/,
-            /\{%-?\s*sandbox\s*%\}/,
-            /\{%-?\s*with\s+/,
-            /\{%-?\s*verbatim\s*%\}/
-        ];
-        // Assignment form {% set var = ... %} is self-closing - no indent needed
-        const isSetAssignment = /\{%-?\s*set\s+\w+\s*=/.test(line);
-        if (isSetAssignment) return false;
-        // Capture block form {% set var %} requires {% endset %} - must indent
-        const isCaptureSet = /\{%-?\s*set\s+\w+\s*-?%\}/.test(line);
-        if (isCaptureSet) return true;
-        return openingTags.some(pattern => pattern.test(line));
-    }
-
-    /**
-     * Check if line contains a closing Twig tag
-     */
-    isClosingTag(line) {
-        const closingTags = [
-            /\{%-?\s*endblock(\s+\w+)?\s*-?%\}/,
-            /\{%-?\s*endfor\s*-?%\}/,
-            /\{%-?\s*endif\s*-?%\}/,
-            /\{%-?\s*endmacro(\s+\w+)?\s*-?%\}/,
-            /\{%-?\s*endset\s*-?%\}/,
-            /\{%-?\s*endembed\s*-?%\}/,
-            /\{%-?\s*endautoescape\s*-?%\}/,
-            /\{%-?\s*endspaceless\s*-?%\}/,
-            /\{%-?\s*endtrans\s*-?%\}/,
-            /\{%-?\s*endapply\s*-?%\}/,
-            /\{%-?\s*endcache\s*-?%\}/,
-            /\{%-?\s*endsandbox\s*-?%\}/,
-            /\{%-?\s*endwith\s*-?%\}/,
-            /\{%-?\s*endverbatim\s*-?%\}/,
-            /\{%-?\s*else\s*-?%\}/,
-            /\{%-?\s*elseif\s+/
-        ];
-        return closingTags.some(pattern => pattern.test(line));
-    }
-
-    /**
-     * Check if tag is self-closing
-     */
-    isSelfClosingTag(line) {
-        const selfClosing = [
-            /\{%-?\s*include\s+/,
-            /\{%-?\s*import\s+/,
-            /\{%-?\s*from\s+/,
-            /\{%-?\s*use\s+/,
-            /\{%-?\s*extends\s+/,
-            /\{%-?\s*do\s+/,
-            /\{%-?\s*flush\s*-?%\}/,
-            /\{%-?\s*deprecated\s+/
-        ];
-        // Inline block shortcut: {% block name expression %} (value after the block name, no endblock needed)
-        // Distinguished from {% block name %} (opener) by having content after the name before %}
-        // Uses negative lookahead to avoid matching {% block name %} or {%- block name -%}
-        const isInlineBlockShortcut = /\{%-?\s*block\s+\w+\s+(?!-?%\}).*?-?%\}/.test(line);
-        if (isInlineBlockShortcut) return true;
-        return selfClosing.some(pattern => pattern.test(line));
-    }
-
-    /**
-     * Check if tag is a mid-block tag (else, elseif)
-     * These tags close the previous block and open a new one
-     */
-    isMidBlockTag(line) {
-        const midBlockTags = [
-            /\{%-?\s*else\s*-?%\}/,
-            /\{%-?\s*elseif\s+/
-        ];
-        return midBlockTags.some(pattern => pattern.test(line));
-    }
-
-    isSingleLineBlock(line) {
-        // Match any "open" followed immediately by a "close" (endblock/endmacro may have an optional label)
-        return /\{%-?\s*(if|for|block|macro|embed|autoescape|apply|cache|sandbox|with)\s+.*%\}\s*\{%-?\s*end\1(\s+\w+)?\s*-?%\}/.test(line);
-    }
-
-    isTwigInsideAttribute(line) {
-        // returns true if Twig appears inside attribute quotes (single or double)
-        return /[a-zA-Z0-9-]+=(["']).*\{[{%].*\1/.test(line);
-        // return /[a-zA-Z0-9-]+=(["'])[\s\S]*?(\{\{|\{%)[\s\S]*?\1/.test(line);
-
-    }
-
-    /**
-     * Check if line contains Twig expressions inline within an HTML tag
-     * This detects patterns
-     */
-    hasTwigInlineInHtmlTag(line) {
-        const trimmed = line.trim();
-        // Check if line starts with < and ends with >, contains Twig, but is not just a Twig tag
-        if (!trimmed.startsWith('<') || !trimmed.includes('{%') && !trimmed.includes('{{')) {
-            return false;
-        }
-        
-        // Count opening and closing angle brackets
-        const openBrackets = (trimmed.match(/</g) || []).length;
-        const closeBrackets = (trimmed.match(/>/g) || []).length;
-        
-        // If we have a complete HTML tag (balanced brackets) with Twig inside
-        if (openBrackets === closeBrackets && openBrackets > 0) {
-            // Make sure it's not a closing tag and contains Twig blocks
-            const hasTwig = /\{[{%]/.test(trimmed);
-            const isNotClosingTag = !trimmed.startsWith('</');
-            return hasTwig && isNotClosingTag;
-        }
-        
-        return false;
-    }
-    /**
-     * Check if HTML indent should be decreased for this line
-     */
-    shouldDecreaseHtmlIndent(line, isCompleteTag) {
-        return !isCompleteTag &&
-            this.isHtmlClosingTag(line) &&
-            !this.isHtmlSelfClosingTag(line);
-    }
-
-    /**
-     * Check if HTML indent should be increased for this line
-     */
-    shouldIncreaseHtmlIndent(line, isCompleteTag) {
-        return !isCompleteTag &&
-            this.isHtmlOpeningTag(line) &&
-            !this.isHtmlSelfClosingTag(line) &&
-            !this.isHtmlClosingTag(line);
-    }
-
-    /**
-     * Check if JavaScript/CSS line should decrease indent
-     * Detects closing braces and similar constructs
-     */
-    isJsClosingLine(line) {
-        const trimmed = line.trim();
-
-        // Count opening and closing braces/brackets on this line
-        const openBraces = (trimmed.match(/\{/g) || []).length;
-        const closeBraces = (trimmed.match(/\}/g) || []).length;
-        const openBrackets = (trimmed.match(/\[/g) || []).length;
-        const closeBrackets = (trimmed.match(/\]/g) || []).length;
-
-        // Net decrease: more closing than opening
-        const netChange = (openBraces + openBrackets) - (closeBraces + closeBrackets);
-
-        if (netChange < 0) {
-            return true;
-        }
-
-        // Lines that start with closing brace (with possible trailing characters like );, ;, etc.)
-        if (/^[}\]]/.test(trimmed)) {
-            return true;
+    }, '}', '>');
+
+    // Insert the end tag of a block or element when Enter is pressed right after its start tag
+    const endTagInserter = vscode.workspace.onDidChangeTextDocument(event => {
+        const editor = vscode.window.activeTextEditor;
+        const change = event.contentChanges[0];
+        if (!editor || editor.document !== event.document || event.document.languageId !== 'twig' ||
+            event.contentChanges.length !== 1 || change.rangeLength !== 0 || !/^\r?\n[ \t]*$/.test(change.text) ||
+            !vscode.workspace.getConfiguration('ultimateTwig.format').get('autoCloseBlocks', true)) {
+            return;
         }
-
-        // Lines with } else or } else if
-        if (/^\s*}\s*else/.test(line)) {
-            return true;
+        const document = event.document;
+        const lineNumber = change.range.start.line + 1;
+        const previous = document.lineAt(lineNumber - 1).text;
+        if (!document.lineAt(lineNumber).isEmptyOrWhitespace || previous.slice(change.range.start.character).trim() !== '') {
+            return;
         }
 
-        return false;
-    }
-
-    /**
-     * Check if JavaScript/CSS line should increase indent
-     * Detects opening braces and similar constructs
-     */
-    isJsOpeningLine(line) {
-        const trimmed = line.trim();
-
-        // Count opening and closing braces/brackets on this line
-        const openBraces = (trimmed.match(/\{/g) || []).length;
-        const closeBraces = (trimmed.match(/\}/g) || []).length;
-        const openBrackets = (trimmed.match(/\[/g) || []).length;
-        const closeBrackets = (trimmed.match(/\]/g) || []).length;
-
-        // Net increase: more opening than closing
-        const netChange = (openBraces + openBrackets) - (closeBraces + closeBrackets);
-
-        if (netChange > 0) {
-            return true;
+        const twigFormatter = formatterFor(document, editor.options);
+        const tagLine = previous.slice(0, change.range.start.character);
+        if (!twigFormatter.isOpeningTag(tagLine) && !twigFormatter.isHtmlOpeningTag(tagLine)) {
+            return;
         }
-
-        return false;
-    }
-
-    /**
-     * Check if line contains an HTML opening tag
-     */
-    isHtmlOpeningTag(line) {
-        // Match opening HTML tags (like <div>, <p>, etc.)
-        // Use [^<>]* to avoid matching nested angle brackets
-        return /<[a-zA-Z][a-zA-Z0-9\-._]*(\s[^<>]*)?>/.test(line);
-    }
-
-    /**
-     * Check if line contains an HTML closing tag
-     */
-    isHtmlClosingTag(line) {
-        return /<\/[a-zA-Z][a-zA-Z0-9\-._]*>/.test(line);
-    }
-
-    /**
-     * Check if line is a self-closing HTML tag
-     */
-    isHtmlSelfClosingTag(line) {
-        // Self-closing tags like <br/>, <img/>, <input/>, or tags that don't need closing
-        // Must match the entire line (after trimming) to avoid false positives like "<small>Text<br>"
-        const selfClosingTags = /^<(area|base|br|col|embed|hr|img|input|link|meta|param|source|track|wbr)(\s[^>]*)?\/?>$/i;
-        const trimmed = line.trim();
-        return selfClosingTags.test(trimmed) || trimmed.endsWith('/>');
-    }
-
-    /**
-     * Check if line contains a self-closing HTML tag (even with content after)
-     */
-    containsSelfClosingTag(line) {
-        // Check if line contains self-closing tags like <input>, <br>, etc.
-        // This includes cases like "<input ...> Text" where there's content after the tag
-        const selfClosingTags = /<(area|base|br|col|embed|hr|img|input|link|meta|param|source|track|wbr)(\s[^>]*)?>/i;
-        return selfClosingTags.test(line) || line.includes('/>');
-    }
-}
-
-/**
- * Activate the extension
- */
-function activate(context) {
-    console.log('Ultimate Twig extension is now active');
-
-    // Register document formatter
-    const formatter = vscode.languages.registerDocumentFormattingEditProvider('twig', {
-        provideDocumentFormattingEdits(document) {
-            const twigFormatter = new TwigFormatter();
-            const config = vscode.workspace.getConfiguration('ultimateTwig.format');
-            twigFormatter.useTabs = config.get('useTabs', false);
-            twigFormatter.indentSize = config.get('indentSize', 4);
-            const text = document.getText();
-            const formattedText = twigFormatter.format(text);
-
-            // Create a text edit that replaces the entire document
-            const firstLine = document.lineAt(0);
-            const lastLine = document.lineAt(document.lineCount - 1);
-            const range = new vscode.Range(firstLine.range.start, lastLine.range.end);
-
-            return [vscode.TextEdit.replace(range, formattedText)];
+        const padding = twigFormatter.spacing.delimiters === 'none' ? '' : ' ';
+        const tagEnd = document.offsetAt(change.range.start) - (tagLine.length - tagLine.trimEnd().length);
+        const endTag = missingEndTag(twigFormatter.parse(document.getText()), tagEnd, twigFormatter.tags, padding);
+        if (!endTag) {
+            return;
         }
-    });
-
-    // Register range formatter
-    const rangeFormatter = vscode.languages.registerDocumentRangeFormattingEditProvider('twig', {
-        provideDocumentRangeFormattingEdits(document, range) {
-            const twigFormatter = new TwigFormatter();
-            const config = vscode.workspace.getConfiguration('ultimateTwig.format');
-            twigFormatter.useTabs = config.get('useTabs', false);
-            twigFormatter.indentSize = config.get('indentSize', 4);
-            const text = document.getText(range);
-            const formattedText = twigFormatter.format(text);
 
-            return [vscode.TextEdit.replace(range, formattedText)];
-        }
+        // A snippet keeps the cursor on the new line, between the start and end tag
+        const indentChar = twigFormatter.useTabs ? '\t' : ' '.repeat(twigFormatter.indentSize);
+        const snippet = new vscode.SnippetString(indentChar.repeat(endTag.depth + 1))
+            .appendTabstop(0)
+            .appendText('\n' + indentChar.repeat(endTag.depth) + endTag.text);
+        editor.insertSnippet(snippet, document.lineAt(lineNumber).range, { undoStopBefore: false, undoStopAfter: false });
     });
 
     // Register Twig completion provider
@@ -716,55 +352,61 @@ function activate(context) {
             const linePrefix = document.lineAt(position).text.substring(0, position.character);
             const completions = [];
 
-            // Check if we're in a Twig context
-            if (linePrefix.includes('{{') || linePrefix.includes('{%')) {
-                // Add Twig tag completions
-                const tags = ['if', 'else', 'elseif', 'endif', 'for', 'endfor', 'block', 'endblock',
-                    'extends', 'include', 'import', 'from', 'macro', 'endmacro', 'set', 'endset',
-                    'embed', 'endembed', 'apply', 'endapply', 'cache', 'endcache', 'with', 'endwith',
-                    'autoescape', 'endautoescape', 'spaceless', 'endspaceless', 'trans', 'endtrans',
-                    'verbatim', 'endverbatim', 'sandbox', 'endsandbox', 'do', 'flush', 'deprecated'];
-
-                tags.forEach(tag => {
-                    const item = new vscode.CompletionItem(tag, vscode.CompletionItemKind.Keyword);
+            // Inside a string only its own completions apply (route names, asset paths)
+            const text = document.getText();
+            const offset = document.offsetAt(position);
+            const token = twigTokenAt(new TwigParser().parse(text), offset);
+            if (token && stringAt(text, token.type === 'twigTag' ? token.argsStart : token.bodyStart, offset)) {
+                return completions;
+            }
+
+            // Check if we're in a Twig context; after a dot only attributes and macros make sense
+            if ((linePrefix.includes('{{') || linePrefix.includes('{%')) && !/\.\s*\w*$/.test(linePrefix)) {
+                // Project tags, filters, functions and tests (.twig-extensions.json, Symfony) come along
+                const tags = manifestFor(document).tagSet();
+
+                // Add Twig tag completions, with the end tag of each block tag; tags removed from Twig are left out
+                TAGS.concat(projectEntries(document, 'tag')).filter(tag => !tag.removed).forEach(tag => {
+                    const item = new vscode.CompletionItem(tag.name, vscode.CompletionItemKind.Keyword);
                     item.detail = 'Twig tag';
+                    item.documentation = documentationOf(tag);
+                    markDeprecated(item, tag);
                     completions.push(item);
+
+                    const endTag = tags.endTagOf(tag.name);
+                    if (endTag) {
+                        const endItem = new vscode.CompletionItem(endTag, vscode.CompletionItemKind.Keyword);
+                        endItem.detail = 'Twig tag';
+                        completions.push(endItem);
+                    }
                 });
 
                 // Add Twig filter completions
-                const filters = ['abs', 'batch', 'capitalize', 'column', 'convert_encoding', 'country_name',
-                    'currency_name', 'currency_symbol', 'data_uri', 'date', 'date_modify', 'default',
-                    'escape', 'e', 'filter', 'first', 'format', 'format_currency', 'format_date',
-                    'format_datetime', 'format_number', 'format_time', 'inky_to_html', 'inline_css',
-                    'join', 'json_encode', 'keys', 'language_name', 'last', 'length', 'locale_name',
-                    'lower', 'map', 'markdown_to_html', 'merge', 'nl2br', 'number_format', 'raw',
-                    'reduce', 'replace', 'reverse', 'round', 'slice', 'sort', 'spaceless', 'split',
-                    'striptags', 'title', 'timezone_name', 'trim', 'u', 'upper', 'url_encode', 'slug'];
-
-                filters.forEach(filter => {
-                    const item = new vscode.CompletionItem(filter, vscode.CompletionItemKind.Function);
+                FILTERS.concat(projectEntries(document, 'filter')).forEach(filter => {
+                    const item = new vscode.CompletionItem(filter.name, vscode.CompletionItemKind.Function);
                     item.detail = 'Twig filter';
-                    item.insertText = filter;
+                    item.documentation = documentationOf(filter);
+                    markDeprecated(item, filter);
+                    item.insertText = filter.name;
                     completions.push(item);
                 });
 
                 // Add Twig function completions
-                const functions = ['attribute', 'block', 'constant', 'country_timezones', 'cycle', 'date',
-                    'dump', 'html_classes', 'include', 'max', 'min', 'parent', 'random',
-                    'range', 'source', 'template_from_string'];
-
-                functions.forEach(func => {
-                    const item = new vscode.CompletionItem(func, vscode.CompletionItemKind.Function);
+                FUNCTIONS.concat(projectEntries(document, 'function')).forEach(func => {
+                    const item = new vscode.CompletionItem(func.name, vscode.CompletionItemKind.Function);
                     item.detail = 'Twig function';
-                    item.insertText = new vscode.SnippetString(`${func}($1)$0`);
+                    item.documentation = documentationOf(func);
+                    markDeprecated(item, func);
+                    item.insertText = new vscode.SnippetString(`${func.name}($1)$0`);
                     completions.push(item);
                 });
 
                 // Add Twig test completions
-                const tests = ['defined', 'null', 'empty', 'even', 'odd', 'iterable', 'same as', 'divisible by'];
-                tests.forEach(test => {
-                    const item = new vscode.CompletionItem(test, vscode.CompletionItemKind.Operator);
+                TESTS.concat(projectEntries(document, 'test')).forEach(test => {
+                    const item = new vscode.CompletionItem(test.name, vscode.CompletionItemKind.Operator);
                     item.detail = 'Twig test';
+                    item.documentation = documentationOf(test);
+                    markDeprecated(item, test);
                     completions.push(item);
                 });
 
@@ -789,6 +431,20 @@ function activate(context) {
         }
     }, '{', '%', '|', ' '); // Trigger characters
 
+    // Register hover and signature help for Twig tags, filters, functions and tests
+    const twigHelpProvider = new TwigHelpProvider();
+    const twigHover = vscode.languages.registerHoverProvider('twig', twigHelpProvider);
+    const twigSignatureHelp = vscode.languages.registerSignatureHelpProvider('twig', twigHelpProvider, '(', ',');
+
+    // Register completion and hover for macros from {% import %}, {% from %} and _self
+    const macroProvider = new MacroProvider();
+    const macroCompletionProvider = vscode.languages.registerCompletionItemProvider('twig', macroProvider, '.', '{', ' ');
+    const macroHover = vscode.languages.registerHoverProvider('twig', macroProvider);
+
+    // Register completion for the variables in scope at the cursor
+    const variableCompletionProvider = vscode.languages.registerCompletionItemProvider('twig',
+        new VariableProvider(), '.', '{', ' ', '(');
+
     // Register HTML completion provider for Twig files
     const htmlCompletionProvider = vscode.languages.registerCompletionItemProvider('twig', {
         provideCompletionItems(document, position) {
@@ -918,12 +574,183 @@ function activate(context) {
         }
     }, '.', ' ');
 
+    // Register diagnostics for unbalanced or mismatched block tags
+    const diagnostics = new TwigDiagnostics();
+    diagnostics.addCheck(document => {
+        if (!vscode.workspace.getConfiguration('ultimateTwig.diagnostics', document.uri).get('enabled', true)) {
+            return [];
+        }
+        const tags = manifestFor(document).tagSet();
+        return checkStructure(new TwigParser(tags).parse(document.getText()), tags);
+    });
+
+    // Register links and go-to-definition for template names in extends/include/embed/import/from/use
+    const templateLinkProvider = new TemplateLinkProvider();
+    const templateLinks = vscode.languages.registerDocumentLinkProvider('twig', templateLinkProvider);
+    const templateDefinitions = vscode.languages.registerDefinitionProvider('twig', templateLinkProvider);
+    diagnostics.addCheck(document => templateLinkProvider.check(document));
+
+    // Register route, route parameter and asset completion and unknown route checks for Symfony apps
+    const symfonyProvider = new SymfonyProvider();
+    const symfonyCompletionProvider = vscode.languages.registerCompletionItemProvider('twig', symfonyProvider,
+        '\'', '"', '/', '{', ',', ' ');
+    diagnostics.addCheck(document => symfonyProvider.check(document));
+
+    // Register translation key completion, hover, missing key checks and quick fixes for Symfony apps
+    const translationProvider = new TranslationProvider();
+    const translationCompletionProvider = vscode.languages.registerCompletionItemProvider('twig', translationProvider,
+        '\'', '"');
+    const translationHover = vscode.languages.registerHoverProvider('twig', translationProvider);
+    const translationActions = vscode.languages.registerCodeActionsProvider('twig', translationProvider, {
+        providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+    });
+    diagnostics.addCheck(document => translationProvider.check(document));
+
+    // Register Twig 2 and 3 migration warnings and their quick fixes
+    const migrationProvider = new MigrationProvider();
+    const migrationActions = vscode.languages.registerCodeActionsProvider('twig', migrationProvider, {
+        providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+    });
+    diagnostics.addCheck(document => migrationProvider.check(document));
+
+    // Command: apply the migration fixes to every template of the workspace
+    const migrateCommand = vscode.commands.registerCommand('ultimateTwig.migrateTemplates', async () => {
+        const files = await vscode.workspace.findFiles('**/*.twig', EXCLUDED_FILES);
+        const { edit, count, fileCount, unfixed } = migrationProvider.fixAll(files);
+        output.clear();
+        unfixed.forEach(item => output.appendLine(`${vscode.workspace.asRelativePath(item.uri)}:${item.line + 1}: ${item.message}`));
+        const left = unfixed.length > 0 ? `; ${unfixed.length} need${unfixed.length === 1 ? 's' : ''} a manual change, see the output` : '';
+        if (count === 0) {
+            if (unfixed.length > 0) {
+                output.show(true);
+            }
+            vscode.window.showInformationMessage(`Ultimate Twig: no Twig 3 migration fixes to apply${left}`);
+            return;
+        }
+        const answer = await vscode.window.showInformationMessage(
+            `Ultimate Twig: apply ${count} Twig 3 migration fix${count === 1 ? '' : 'es'} in ${fileCount} template${fileCount === 1 ? '' : 's'}?`,
+            { modal: true }, 'Apply');
+        if (answer !== 'Apply') {
+            return;
+        }
+        await vscode.workspace.applyEdit(edit);
+        if (unfixed.length > 0) {
+            output.show(true);
+        }
+        vscode.window.showInformationMessage(`Ultimate Twig: applied ${count} Twig 3 migration fix${count === 1 ? '' : 'es'}${left}`);
+    });
+
+    // Register security warnings for output that HTML escaping doesn't protect and their quick fixes
+    const securityProvider = new SecurityProvider();
+    const securityActions = vscode.languages.registerCodeActionsProvider('twig', securityProvider, {
+        providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+    });
+    diagnostics.addCheck(document => securityProvider.check(document));
+
+    // Command: add a variable to the security allow list of the workspace
+    const addSafeVariableCommand = vscode.commands.registerCommand('ultimateTwig.addSafeVariable', async (name, uri) => {
+        const config = vscode.workspace.getConfiguration('ultimateTwig.security', uri);
+        const safeVariables = config.get('safeVariables', []);
+        if (safeVariables.includes(name)) {
+            return;
+        }
+        const target = vscode.workspace.workspaceFolders ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global;
+        await config.update('safeVariables', safeVariables.concat(name), target);
+    });
+
+    diagnostics.register(context);
+
+    // Reload .twig-extensions.json and Symfony routes when they change and re-check open templates
+    watchProjectFiles(context, () => diagnostics.updateAll());
+
+    // Read formatter settings again when an .editorconfig or .twigformatrc.json file changes
+    const formatConfigWatcher = vscode.workspace.createFileSystemWatcher(`**/{${EDITORCONFIG_FILE},${FORMAT_CONFIG_FILE}}`);
+    const clearProjectSettings = () => {
+        projectSettings.clear();
+        reportedConfigErrors.clear();
+    };
+    context.subscriptions.push(formatConfigWatcher);
+    ['onDidCreate', 'onDidChange', 'onDidDelete'].forEach(event => context.subscriptions.push(formatConfigWatcher[event](clearProjectSettings)));
+
+    // Register folding for Twig blocks and branches, HTML elements and comments
+    const folding = vscode.languages.registerFoldingRangeProvider('twig', new TwigFoldingProvider());
+
+    // Register outline, breadcrumbs and workspace symbol search for blocks and macros
+    const symbolProvider = new TwigSymbolProvider();
+    const documentSymbols = vscode.languages.registerDocumentSymbolProvider('twig', symbolProvider);
+    const workspaceSymbols = vscode.languages.registerWorkspaceSymbolProvider(symbolProvider);
+
+    // Register semantic highlighting for the names in Twig expressions and tags
+    const semanticTokens = vscode.languages.registerDocumentSemanticTokensProvider('twig', new TwigSemanticTokenProvider(), LEGEND);
+
+    // Register find references and rename for blocks, macros and variables
+    const templateIndex = new TemplateIndex();
+    const referenceProvider = new TwigReferenceProvider(templateIndex);
+    const references = vscode.languages.registerReferenceProvider('twig', referenceProvider);
+    const rename = vscode.languages.registerRenameProvider('twig', referenceProvider);
+
+    // Offer to update the template names that point to moved or renamed templates
+    const templateRenames = vscode.workspace.onDidRenameFiles(async event => {
+        const config = vscode.workspace.getConfiguration('ultimateTwig.templates');
+        const mode = config.get('updateReferencesOnRename', 'prompt');
+        if (mode === 'never') {
+            return;
+        }
+        const { edit, count, fileCount } = await referenceProvider.movedTemplateEdits(event.files);
+        if (count === 0) {
+            return;
+        }
+        if (mode === 'prompt') {
+            const answer = await vscode.window.showInformationMessage(
+                `Ultimate Twig: update ${count} template name${count === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'} that point to the moved templates?`,
+                'Update', 'Always', 'Never');
+            if (answer === 'Always' || answer === 'Never') {
+                await config.update('updateReferencesOnRename', answer.toLowerCase(), vscode.ConfigurationTarget.Global);
+            }
+            if (answer !== 'Update' && answer !== 'Always') {
+                return;
+            }
+        }
+        await vscode.workspace.applyEdit(edit);
+    });
+
+    // Register block inheritance lenses and the template hierarchy view
+    new InheritanceLensProvider(templateIndex).register(context);
+    new TemplateHierarchyProvider(templateIndex).register(context);
+
     context.subscriptions.push(formatter);
+    context.subscriptions.push(formattedTextsCleanup);
+    context.subscriptions.push(output);
+    context.subscriptions.push(checkFormattingCommand);
+    context.subscriptions.push(onTypeFormatter);
+    context.subscriptions.push(endTagInserter);
     context.subscriptions.push(rangeFormatter);
     context.subscriptions.push(twigCompletionProvider);
+    context.subscriptions.push(twigHover);
+    context.subscriptions.push(twigSignatureHelp);
+    context.subscriptions.push(macroCompletionProvider);
+    context.subscriptions.push(macroHover);
+    context.subscriptions.push(variableCompletionProvider);
     context.subscriptions.push(htmlCompletionProvider);
     context.subscriptions.push(cssCompletionProvider);
     context.subscriptions.push(jsCompletionProvider);
+    context.subscriptions.push(templateLinks);
+    context.subscriptions.push(templateDefinitions);
+    context.subscriptions.push(documentSymbols);
+    context.subscriptions.push(workspaceSymbols);
+    context.subscriptions.push(semanticTokens);
+    context.subscriptions.push(references);
+    context.subscriptions.push(rename);
+    context.subscriptions.push(templateRenames);
+    context.subscriptions.push(folding);
+    context.subscriptions.push(symfonyCompletionProvider);
+    context.subscriptions.push(translationCompletionProvider);
+    context.subscriptions.push(translationHover);
+    context.subscriptions.push(translationActions);
+    context.subscriptions.push(migrationActions);
+    context.subscriptions.push(migrateCommand);
+    context.subscriptions.push(securityActions);
+    context.subscriptions.push(addSafeVariableCommand);
 }
 
 /**
@@ -0,0 +1,287 @@
+/**
+ * Twig Catalog
+ * Tags, filters, functions and tests of Twig 3 core and the official extra extensions,
+ * with their argument signatures and a short description
+ *
+ * Filter and test arguments don't include the value they are applied to:
+ * `value|date(format, timezone)` is listed as date with ['format = null', 'timezone = null'].
+ */
+
+// Composer packages of the extra extensions
+const EXTENSIONS = {
+    core: 'Twig core',
+    cssinliner: 'twig/cssinliner-extra',
+    html: 'twig/html-extra',
+    inky: 'twig/inky-extra',
+    intl: 'twig/intl-extra',
+    markdown: 'twig/markdown-extra',
+    string: 'twig/string-extra',
+    symfony: 'symfony/twig-bridge'
+};
+
+function entry(kind, name, params, description, extension = 'core', extra = {}) {
+    return Object.assign({ kind, name, params, description, extension }, extra);
+}
+
+const filter = (name, params, description, extension, extra) => entry('filter', name, params, description, extension, extra);
+const func = (name, params, description, extension, extra) => entry('function', name, params, description, extension, extra);
+const test = (name, params, description, extra) => entry('test', name, params, description, 'core', extra);
+const tag = (name, syntax, description, extra) => entry('tag', name, [], description, 'core', Object.assign({ syntax }, extra));
+
+const TAGS = [
+    tag('apply', '{% apply filter %}...{% endapply %}', 'Applies Twig filters on a block of template data.'),
+    tag('autoescape', '{% autoescape strategy %}...{% endautoescape %}', 'Sets the escaping strategy for a block, or disables escaping with false.'),
+    tag('block', '{% block name %}...{% endblock %}', 'Defines a block that child templates can override.'),
+    tag('cache', '{% cache key ttl(seconds) tags([...]) %}...{% endcache %}', 'Caches a template fragment (twig/cache-extra).'),
+    tag('deprecated', '{% deprecated \'message\' %}', 'Triggers a deprecation notice when the template is used.'),
+    tag('else', '{% else %}', 'Starts the alternative branch of an if, or the branch of a for that runs when the sequence is empty.'),
+    tag('elseif', '{% elseif condition %}', 'Starts another conditional branch of an if.'),
+    tag('do', '{% do expression %}', 'Evaluates an expression without printing anything.'),
+    tag('embed', '{% embed \'template\' with {...} %}...{% endembed %}', 'Includes a template and overrides some of its blocks.'),
+    tag('extends', '{% extends \'template\' %}', 'Makes the template a child of another template.'),
+    tag('flush', '{% flush %}', 'Flushes the output buffer.'),
+    tag('for', '{% for item in items %}...{% else %}...{% endfor %}', 'Loops over each item of a sequence or mapping.'),
+    tag('from', '{% from \'template\' import macro as alias %}', 'Imports macros from a template into the current namespace.'),
+    tag('guard', '{% guard function name %}...{% else %}...{% endguard %}', 'Renders a block only if a function, filter or test exists (Twig 3.15).'),
+    tag('if', '{% if condition %}...{% elseif condition %}...{% else %}...{% endif %}', 'Renders a block when a condition is true.'),
+    tag('import', '{% import \'template\' as alias %}', 'Imports the macros of a template into a variable.'),
+    tag('include', '{% include \'template\' with {...} only %}', 'Renders a template and returns its content.'),
+    tag('macro', '{% macro name(arguments) %}...{% endmacro %}', 'Defines a reusable piece of template, like a function.'),
+    tag('sandbox', '{% sandbox %}...{% endsandbox %}', 'Enables the sandbox mode for included templates.', { deprecated: 'Deprecated since Twig 3.15, use the sandboxed argument of include()' }),
+    tag('set', '{% set name = value %} or {% set name %}...{% endset %}', 'Assigns a value to a variable, or captures a block of content.'),
+    tag('types', '{% types { name: \'type\' } %}', 'Declares the types of template variables (Twig 3.13).'),
+    tag('use', '{% use \'template\' with block as alias %}', 'Imports the blocks of a template (horizontal reuse).'),
+    tag('verbatim', '{% verbatim %}...{% endverbatim %}', 'Outputs its content as raw text, without parsing Twig.'),
+    tag('with', '{% with {...} only %}...{% endwith %}', 'Creates a new inner scope with the given variables.'),
+    tag('spaceless', '{% spaceless %}...{% endspaceless %}', 'Removes whitespace between HTML tags.', { deprecated: 'Removed in Twig 3.0, use {% apply spaceless %}', removed: '3.0' }),
+    tag('filter', '{% filter name %}...{% endfilter %}', 'Applies a filter on a block.', { deprecated: 'Removed in Twig 3.0, use {% apply %}', removed: '3.0' }),
+    tag('trans', '{% trans with {...} from \'domain\' into \'locale\' %}...{% endtrans %}', 'Translates a block of text (Symfony).')
+];
+
+const FILTERS = [
+    filter('abs', [], 'Returns the absolute value of a number.'),
+    filter('batch', ['size', 'fill = null', 'preserve_keys = true'], 'Splits a sequence into batches of the given size, filling the last one.'),
+    filter('capitalize', [], 'Uppercases the first character and lowercases the rest.'),
+    filter('column', ['name', 'index = null'], 'Returns the values of a single column of an array of arrays or objects.'),
+    filter('convert_encoding', ['to', 'from'], 'Converts a string from one encoding to another.'),
+    filter('date', ['format = null', 'timezone = null'], 'Formats a date to a given format.'),
+    filter('date_modify', ['modifier'], 'Modifies a date with a modifier string like "+1 day".'),
+    filter('default', ['default = \'\''], 'Returns the default value if the value is undefined or empty.'),
+    filter('escape', ['strategy = \'html\'', 'charset = null'], 'Escapes a string for the html, js, css, url or html_attr context.'),
+    filter('e', ['strategy = \'html\'', 'charset = null'], 'Alias of escape: escapes a string for the html, js, css, url or html_attr context.'),
+    filter('filter', ['arrow'], 'Filters the elements of a sequence or mapping with an arrow function.'),
+    filter('find', ['arrow'], 'Returns the first element matching an arrow function (Twig 3.11).'),
+    filter('first', [], 'Returns the first element of a sequence, mapping or string.'),
+    filter('format', ['...values'], 'Formats a string by replacing placeholders (sprintf).'),
+    filter('join', ['glue = \'\'', 'and = null'], 'Joins the elements of a sequence into a string.'),
+    filter('json_encode', ['options = null'], 'Returns the JSON representation of a value.'),
+    filter('keys', [], 'Returns the keys of an array.'),
+    filter('last', [], 'Returns the last element of a sequence, mapping or string.'),
+    filter('length', [], 'Returns the number of items of a sequence or mapping, or the length of a string.'),
+    filter('lower', [], 'Converts a value to lowercase.'),
+    filter('map', ['arrow'], 'Applies an arrow function to the elements of a sequence or mapping.'),
+    filter('merge', ['array'], 'Merges an array with another array.'),
+    filter('nl2br', [], 'Inserts HTML line breaks before all newlines in a string.'),
+    filter('number_format', ['decimal = 0', 'decimal_point = \'.\'', 'thousand_sep = \',\''], 'Formats a number with grouped thousands.'),
+    filter('raw', [], 'Marks the value as safe: it will not be escaped.'),
+    filter('reduce', ['arrow', 'initial = null'], 'Iteratively reduces a sequence or mapping to a single value.'),
+    filter('replace', ['from'], 'Replaces placeholders in a string with the values of a mapping.'),
+    filter('reverse', ['preserve_keys = false'], 'Reverses a sequence, a mapping or a string.'),
+    filter('round', ['precision = 0', 'method = \'common\''], 'Rounds a number to a given precision (common, ceil or floor).'),
+    filter('shuffle', [], 'Randomizes the order of a sequence, mapping or string (Twig 3.11).'),
+    filter('slice', ['start', 'length = null', 'preserve_keys = false'], 'Extracts a slice of a sequence, a mapping or a string.'),
+    filter('sort', ['arrow = null'], 'Sorts an array, optionally with an arrow function.'),
+    filter('spaceless', [], 'Removes whitespace between HTML tags.', 'core', { deprecated: 'Deprecated since Twig 3.12' }),
+    filter('split', ['delimiter', 'limit = null'], 'Splits a string by a delimiter and returns a sequence.'),
+    filter('striptags', ['allowed = null'], 'Strips SGML/XML tags and replaces adjacent whitespace with one space.'),
+    filter('title', [], 'Returns a titlecased version of the value.'),
+    filter('trim', ['character_mask = null', 'side = \'both\''], 'Strips whitespace (or other characters) from the beginning and end of a string.'),
+    filter('upper', [], 'Converts a value to uppercase.'),
+    filter('url_encode', [], 'Percent-encodes a string as a URL segment or a mapping as a query string.'),
+
+    filter('data_uri', ['mime = null', 'parameters = []'], 'Generates a data URI from a value.', 'html'),
+    filter('inline_css', ['...css'], 'Inlines CSS styles into HTML style attributes.', 'cssinliner'),
+    filter('inky_to_html', [], 'Processes an Inky email template into HTML.', 'inky'),
+    filter('markdown_to_html', [], 'Converts a block of Markdown to HTML.', 'markdown'),
+    filter('html_to_markdown', ['options = []'], 'Converts a block of HTML to Markdown.', 'markdown'),
+
+    filter('country_name', ['locale = null'], 'Returns the country name for an ISO 3166-1 alpha-2 code.', 'intl'),
+    filter('currency_name', ['locale = null'], 'Returns the currency name for an ISO 4217 code.', 'intl'),
+    filter('currency_symbol', ['locale = null'], 'Returns the currency symbol for an ISO 4217 code.', 'intl'),
+    filter('language_name', ['locale = null'], 'Returns the language name for a language code.', 'intl'),
+    filter('locale_name', ['locale = null'], 'Returns the locale name for a locale code.', 'intl'),
+    filter('timezone_name', ['locale = null'], 'Returns the timezone name for a timezone identifier.', 'intl'),
+    filter('format_currency', ['currency', 'attrs = []', 'locale = null'], 'Formats a number as a currency.', 'intl'),
+    filter('format_number', ['attrs = []', 'style = \'decimal\'', 'type = \'default\'', 'locale = null'], 'Formats a number.', 'intl'),
+    filter('format_datetime', ['dateFormat = \'medium\'', 'timeFormat = \'medium\'', 'pattern = \'\'', 'timezone = null', 'calendar = \'gregorian\'', 'locale = null'], 'Formats a date and time.', 'intl'),
+    filter('format_date', ['dateFormat = \'medium\'', 'pattern = \'\'', 'timezone = null', 'calendar = \'gregorian\'', 'locale = null'], 'Formats the date part of a date time.', 'intl'),
+    filter('format_time', ['timeFormat = \'medium\'', 'pattern = \'\'', 'timezone = null', 'calendar = \'gregorian\'', 'locale = null'], 'Formats the time part of a date time.', 'intl'),
+
+    filter('u', [], 'Wraps a string in a Symfony UnicodeString object for string manipulation.', 'string'),
+    filter('slug', ['separator = \'-\'', 'locale = null'], 'Transforms a string into a URL-safe slug.', 'string'),
+    filter('plural', ['locale = \'en\'', 'all = false'], 'Returns the plural form of a word.', 'string'),
+    filter('singular', ['locale = \'en\'', 'all = false'], 'Returns the singular form of a word.', 'string')
+];
+
+const FUNCTIONS = [
+    func('attribute', ['object', 'method', 'arguments = []'], 'Accesses a dynamic attribute of a variable.'),
+    func('block', ['name', 'template = null'], 'Returns the content of a block.'),
+    func('constant', ['name', 'object = null'], 'Returns the value of a PHP constant or class constant.'),
+    func('cycle', ['values', 'position'], 'Cycles over an array of values.'),
+    func('date', ['date = null', 'timezone = null'], 'Converts an argument to a date to allow date comparison.'),
+    func('dump', ['...vars'], 'Dumps information about template variables (debug mode).'),
+    func('enum', ['enum'], 'Gives access to a PHP backed enum (Twig 3.15).'),
+    func('enum_cases', ['enum'], 'Returns the cases of a PHP enum (Twig 3.12).'),
+    func('include', ['template', 'variables = []', 'with_context = true', 'ignore_missing = false', 'sandboxed = false'], 'Returns the rendered content of a template.'),
+    func('max', ['...values'], 'Returns the biggest value of a sequence or a set of values.'),
+    func('min', ['...values'], 'Returns the lowest value of a sequence or a set of values.'),
+    func('parent', [], 'Returns the content of the parent block.'),
+    func('random', ['values = null', 'max = null'], 'Returns a random value depending on the supplied parameter.'),
+    func('range', ['low', 'high', 'step = 1'], 'Returns a list containing an arithmetic progression of integers.'),
+    func('source', ['name', 'ignore_missing = false'], 'Returns the content of a template without rendering it.'),
+    func('template_from_string', ['template', 'name = null'], 'Loads a template from a string.'),
+
+    func('html_classes', ['...classes'], 'Returns a string of CSS classes, keeping only the keys of a mapping whose value is true.', 'html'),
+    func('html_cva', ['base = []', 'variants = []', 'compoundVariants = []', 'defaultVariant = []'], 'Creates a Class Variant Authority object (Twig 3.12).', 'html'),
+
+    func('country_timezones', ['country'], 'Returns the timezone identifiers of a country.', 'intl'),
+    func('country_names', ['locale = null'], 'Returns the country names.', 'intl'),
+    func('currency_names', ['locale = null'], 'Returns the currency names.', 'intl'),
+    func('language_names', ['locale = null'], 'Returns the language names.', 'intl'),
+    func('locale_names', ['locale = null'], 'Returns the locale names.', 'intl'),
+    func('script_names', ['locale = null'], 'Returns the script names.', 'intl'),
+    func('timezone_names', ['locale = null'], 'Returns the timezone names.', 'intl')
+];
+
+const TESTS = [
+    test('constant', ['constant'], 'Checks if a variable has the exact same value as a constant.'),
+    test('defined', [], 'Checks if a variable is defined in the current context.'),
+    test('divisible by', ['number'], 'Checks if a number is divisible by another.'),
+    test('empty', [], 'Checks if a variable is an empty string, sequence, mapping or null.'),
+    test('even', [], 'Returns true if the number is even.'),
+    test('iterable', [], 'Checks if a variable is a sequence, a mapping or a traversable object.'),
+    test('mapping', [], 'Checks if a variable is a mapping (Twig 3.11).'),
+    test('null', [], 'Returns true if the variable is null.'),
+    test('none', [], 'Alias of null: returns true if the variable is null.'),
+    test('odd', [], 'Returns true if the number is odd.'),
+    test('same as', ['value'], 'Checks if a variable is the same as another (===).'),
+    test('sequence', [], 'Checks if a variable is a sequence (Twig 3.11).')
+];
+
+// Tags, filters, functions and tests of the Symfony Twig bridge, offered in Symfony mode
+// ({% trans %} is in TAGS: it is also used outside Symfony apps)
+const SYMFONY = { extension: 'symfony' };
+const SYMFONY_ENTRIES = [
+    tag('trans_default_domain', '{% trans_default_domain \'domain\' %}', 'Sets the default translation domain of the template.', SYMFONY),
+    tag('form_theme', '{% form_theme form \'theme.html.twig\' %}', 'Sets the themes used to render a form.', SYMFONY),
+    tag('stopwatch', '{% stopwatch \'event\' %}...{% endstopwatch %}', 'Times a section of the template in the profiler.', SYMFONY),
+
+    filter('trans', ['arguments = []', 'domain = null', 'locale = null'], 'Translates a message key.', 'symfony'),
+    filter('humanize', [], 'Makes a technical name (field_name) readable (Field name).', 'symfony'),
+    filter('sanitize_html', ['sanitizer = null'], 'Sanitizes HTML with the HTML sanitizer component.', 'symfony'),
+    filter('serialize', ['format = \'json\'', 'context = []'], 'Serializes a value with the serializer component.', 'symfony'),
+    filter('yaml_encode', ['inline = 0', 'dumpObjects = 0'], 'Encodes a value as YAML.', 'symfony'),
+    filter('yaml_dump', ['inline = 0', 'dumpObjects = 0'], 'Dumps a value as YAML, with its type.', 'symfony'),
+    filter('abbr_class', [], 'Wraps a class name in an <abbr> with the full name as title.', 'symfony'),
+    filter('abbr_method', [], 'Wraps a method name in an <abbr> with the full name as title.', 'symfony'),
+    filter('file_excerpt', ['line', 'srcContext = 3'], 'Returns an excerpt of a file around a line.', 'symfony'),
+    filter('file_link', ['line'], 'Returns a link to a file in the IDE.', 'symfony'),
+    filter('file_relative', [], 'Returns a file path relative to the project directory.', 'symfony'),
+    filter('format_file', ['line', 'text = null'], 'Formats a file path as a link.', 'symfony'),
+
+    func('path', ['name', 'parameters = []', 'relative = false'], 'Generates the URL path of a route.', 'symfony'),
+    func('url', ['name', 'parameters = []', 'schemeRelative = false'], 'Generates the absolute URL of a route.', 'symfony'),
+    func('asset', ['path', 'packageName = null'], 'Returns the public URL of an asset.', 'symfony'),
+    func('asset_version', ['path', 'packageName = null'], 'Returns the current version of an asset package.', 'symfony'),
+    func('absolute_url', ['path'], 'Returns the absolute URL of a path.', 'symfony'),
+    func('relative_path', ['path'], 'Returns the path relative to the current request.', 'symfony'),
+    func('importmap', ['entryPoint = \'app\'', 'attributes = []'], 'Outputs the importmap and the script tags of an entry point (AssetMapper).', 'symfony'),
+    func('csrf_token', ['tokenId'], 'Generates a CSRF token.', 'symfony'),
+    func('is_granted', ['role', 'object = null', 'field = null'], 'Checks if the current user has a role or a permission on an object.', 'symfony'),
+    func('logout_path', ['key = null'], 'Generates the relative logout URL of a firewall.', 'symfony'),
+    func('logout_url', ['key = null'], 'Generates the absolute logout URL of a firewall.', 'symfony'),
+    func('impersonation_exit_path', ['exitTo = null'], 'Generates the path to stop impersonating a user.', 'symfony'),
+    func('impersonation_exit_url', ['exitTo = null'], 'Generates the URL to stop impersonating a user.', 'symfony'),
+    func('render', ['uri', 'options = []'], 'Renders the response of a controller or a URL.', 'symfony'),
+    func('render_esi', ['uri', 'options = []'], 'Renders a controller or a URL as an ESI tag.', 'symfony'),
+    func('controller', ['controller', 'attributes = []', 'query = []'], 'Returns a reference to a controller, for render().', 'symfony'),
+    func('t', ['message', 'parameters = []', 'domain = null'], 'Creates a translatable message object.', 'symfony'),
+    func('form', ['view', 'variables = []'], 'Renders a whole form.', 'symfony'),
+    func('form_start', ['view', 'variables = []'], 'Renders the start tag of a form.', 'symfony'),
+    func('form_end', ['view', 'variables = []'], 'Renders the end tag of a form and the fields not rendered yet.', 'symfony'),
+    func('form_widget', ['view', 'variables = []'], 'Renders the HTML widget of a field, or of every field of a form.', 'symfony'),
+    func('form_row', ['view', 'variables = []'], 'Renders the label, errors, help and widget of a field.', 'symfony'),
+    func('form_label', ['view', 'label = null', 'variables = []'], 'Renders the label of a field.', 'symfony'),
+    func('form_help', ['view'], 'Renders the help text of a field.', 'symfony'),
+    func('form_errors', ['view'], 'Renders the errors of a field or form.', 'symfony'),
+    func('form_rest', ['view', 'variables = []'], 'Renders the fields of a form that were not rendered yet.', 'symfony'),
+    func('field_name', ['view'], 'Returns the name attribute of a field.', 'symfony'),
+    func('field_value', ['view'], 'Returns the value of a field.', 'symfony'),
+    func('field_label', ['view'], 'Returns the translated label of a field.', 'symfony'),
+    func('field_help', ['view'], 'Returns the translated help of a field.', 'symfony'),
+    func('field_errors', ['view'], 'Returns the error messages of a field.', 'symfony'),
+    func('field_choices', ['view'], 'Returns the choices of a field, with translated labels.', 'symfony'),
+    func('workflow_can', ['subject', 'transitionName', 'name = null'], 'Checks if a workflow transition can be applied.', 'symfony'),
+    func('workflow_transitions', ['subject', 'name = null'], 'Returns the enabled workflow transitions of an object.', 'symfony'),
+    func('workflow_marked_places', ['subject', 'placesNameOnly = true', 'name = null'], 'Returns the marked places of an object.', 'symfony'),
+
+    test('rootform', [], 'Checks if a form view is the root form.', SYMFONY),
+    test('selectedchoice', ['selectedValue'], 'Checks if a choice is selected.', SYMFONY)
+];
+
+// Global variables of the Symfony Twig bridge
+const SYMFONY_GLOBALS = [
+    { name: 'app', type: 'Symfony\\Bridge\\Twig\\AppVariable', description: 'The request, session, user, environment, debug flag, flashes and current route' }
+];
+
+/**
+ * Symfony entries of one kind
+ * @param {string} kind - 'tag', 'filter', 'function' or 'test'
+ */
+function symfonyEntries(kind) {
+    return SYMFONY_ENTRIES.filter(item => item.kind === kind);
+}
+
+/**
+ * Find a catalog entry
+ * @param {string} kind - 'tag', 'filter', 'function' or 'test'
+ * @param {string} name - Entry name
+ * @returns {object|undefined}
+ */
+function findEntry(kind, name) {
+    const list = { tag: TAGS, filter: FILTERS, function: FUNCTIONS, test: TESTS }[kind] || [];
+    return list.find(item => item.name === name);
+}
+
+/**
+ * Signature label of a filter, function or test, e.g. date(format = null, timezone = null)
+ */
+function signatureOf(item) {
+    if (item.kind === 'tag') {
+        return item.syntax;
+    }
+    if (item.params.length === 0 && item.kind !== 'function') {
+        return item.name;
+    }
+    return `${item.name}(${item.params.join(', ')})`;
+}
+
+/**
+ * Argument name of a parameter label like 'format = null' or '...values'
+ */
+function paramName(param) {
+    return param.replace(/^\.\.\./, '').split('=')[0].trim();
+}
+
+module.exports = {
+    EXTENSIONS,
+    TAGS,
+    FILTERS,
+    FUNCTIONS,
+    TESTS,
+    SYMFONY_GLOBALS,
+    symfonyEntries,
+    findEntry,
+    signatureOf,
+    paramName
+};
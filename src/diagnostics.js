@@ -0,0 +1,127 @@
+const vscode = require('vscode');
+
+const SEVERITIES = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information,
+    hint: vscode.DiagnosticSeverity.Hint
+};
+
+/**
+ * Twig Diagnostics
+ * Runs the registered checks on open Twig documents and publishes their problems
+ *
+ * A check is a function (document) => problems, where problems are plain objects
+ * with source offsets (see src/structure.js), so checks don't depend on VS Code.
+ */
+class TwigDiagnostics {
+    constructor() {
+        this.collection = vscode.languages.createDiagnosticCollection('twig');
+        this.checks = [];
+        this.timers = new Map();
+        this.delay = 300;
+    }
+
+    /**
+     * Add a check that is run on every Twig document
+     * @param {function(vscode.TextDocument): object[]} check
+     */
+    addCheck(check) {
+        this.checks.push(check);
+    }
+
+    /**
+     * Start validating open and changed Twig documents
+     */
+    register(context) {
+        context.subscriptions.push(
+            this.collection,
+            vscode.workspace.onDidOpenTextDocument(document => this.update(document)),
+            vscode.workspace.onDidChangeTextDocument(event => this.schedule(event.document)),
+            vscode.workspace.onDidCloseTextDocument(document => {
+                this.cancel(document);
+                this.collection.delete(document.uri);
+            }),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('ultimateTwig')) {
+                    this.updateAll();
+                }
+            }),
+            // Checks may depend on other files (e.g. included templates)
+            vscode.workspace.onDidCreateFiles(() => this.updateAll()),
+            vscode.workspace.onDidDeleteFiles(() => this.updateAll()),
+            vscode.workspace.onDidRenameFiles(() => this.updateAll()),
+            { dispose: () => this.timers.forEach(timer => clearTimeout(timer)) }
+        );
+        this.updateAll();
+    }
+
+    updateAll() {
+        vscode.workspace.textDocuments.forEach(document => this.update(document));
+    }
+
+    /**
+     * Validate a document after typing has paused
+     */
+    schedule(document) {
+        this.cancel(document);
+        const key = document.uri.toString();
+        this.timers.set(key, setTimeout(() => {
+            this.timers.delete(key);
+            this.update(document);
+        }, this.delay));
+    }
+
+    cancel(document) {
+        const key = document.uri.toString();
+        if (this.timers.has(key)) {
+            clearTimeout(this.timers.get(key));
+            this.timers.delete(key);
+        }
+    }
+
+    /**
+     * Run all checks on a document and publish the result
+     */
+    update(document) {
+        if (document.languageId !== 'twig' || document.isClosed) {
+            return;
+        }
+
+        const diagnostics = [];
+        for (const check of this.checks) {
+            try {
+                check(document).forEach(problem => diagnostics.push(this.toDiagnostic(document, problem)));
+            } catch (error) {
+                console.error('Ultimate Twig: diagnostics check failed', error);
+            }
+        }
+        this.collection.set(document.uri, diagnostics);
+    }
+
+    /**
+     * Convert a plain problem object into a vscode.Diagnostic
+     */
+    toDiagnostic(document, problem) {
+        const range = new vscode.Range(document.positionAt(problem.start), document.positionAt(problem.end));
+        const diagnostic = new vscode.Diagnostic(range, problem.message, SEVERITIES[problem.severity] || SEVERITIES.error);
+        diagnostic.source = 'twig';
+        if (problem.code) {
+            diagnostic.code = problem.code;
+        }
+        if (problem.deprecated) {
+            diagnostic.tags = [vscode.DiagnosticTag.Deprecated];
+        }
+        if (problem.related && problem.related.length > 0) {
+            diagnostic.relatedInformation = problem.related.map(info => new vscode.DiagnosticRelatedInformation(
+                new vscode.Location(document.uri, new vscode.Range(
+                    document.positionAt(info.start), document.positionAt(info.end))),
+                info.message));
+        }
+        return diagnostic;
+    }
+}
+
+module.exports = {
+    TwigDiagnostics
+};
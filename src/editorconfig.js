@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+
+/**
+ * EditorConfig
+ * Reads the .editorconfig properties that apply to a file: files from its directory up
+ * to the one marked `root = true`, closer files and later sections winning.
+ * See https://editorconfig.org
+ */
+
+const EDITORCONFIG_FILE = '.editorconfig';
+
+// Parsed .editorconfig files by path, with the modification time they were read at
+const cache = new Map();
+
+/**
+ * Parse an .editorconfig file
+ * @returns {{root: boolean, sections: Array<{pattern: string, properties: object}>}}
+ */
+function parseEditorConfig(text) {
+    const result = { root: false, sections: [] };
+    let section = null;
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('#') || line.startsWith(';')) {
+            continue;
+        }
+        const header = /^\[(.+)\]$/.exec(line);
+        if (header) {
+            section = { pattern: header[1], properties: {} };
+            result.sections.push(section);
+            continue;
+        }
+        const property = /^([^=:]+)[=:](.*)$/.exec(line);
+        if (!property) {
+            continue;
+        }
+        const key = property[1].trim().toLowerCase();
+        const value = property[2].trim().toLowerCase();
+        if (section) {
+            section.properties[key] = value;
+        } else if (key === 'root') {
+            result.root = value === 'true';
+        }
+    }
+    return result;
+}
+
+/**
+ * Parsed .editorconfig of a directory, if it has one
+ */
+function readEditorConfig(file) {
+    let mtime;
+    try {
+        mtime = fs.statSync(file).mtimeMs;
+    } catch (error) {
+        return null;
+    }
+    const cached = cache.get(file);
+    if (cached && cached.mtime === mtime) {
+        return cached.config;
+    }
+    let config = null;
+    try {
+        config = parseEditorConfig(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        config = null;
+    }
+    cache.set(file, { mtime, config });
+    return config;
+}
+
+/**
+ * Check if a section pattern matches a path relative to the directory of its file
+ * Patterns without a slash match file names in any directory.
+ */
+function sectionMatches(pattern, relativePath) {
+    let glob = pattern;
+    if (glob.includes('/')) {
+        glob = glob.replace(/^\//, '');
+    } else {
+        glob = '**/' + glob;
+    }
+    return globToRegExp(glob).test(relativePath);
+}
+
+/**
+ * The .editorconfig properties that apply to a file
+ * @param {string} file - Absolute path
+ * @returns {object} - Lowercase property names and values, e.g. { indent_style: 'space', indent_size: '2' }
+ */
+function editorConfigFor(file) {
+    const configs = [];
+    let directory = path.dirname(path.resolve(file));
+    for (;;) {
+        const config = readEditorConfig(path.join(directory, EDITORCONFIG_FILE));
+        if (config) {
+            configs.push({ directory, config });
+            if (config.root) {
+                break;
+            }
+        }
+        const parent = path.dirname(directory);
+        if (parent === directory) {
+            break;
+        }
+        directory = parent;
+    }
+
+    // Farthest first, so closer files override
+    const properties = {};
+    configs.reverse().forEach(({ directory: base, config }) => {
+        const relativePath = path.relative(base, file).split(path.sep).join('/');
+        config.sections
+            .filter(section => sectionMatches(section.pattern, relativePath))
+            .forEach(section => Object.assign(properties, section.properties));
+    });
+    return properties;
+}
+
+module.exports = {
+    EDITORCONFIG_FILE,
+    parseEditorConfig,
+    editorConfigFor
+};
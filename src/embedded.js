@@ -0,0 +1,727 @@
+/**
+ * Embedded Code Formatting
+ * Lays out JavaScript, JSON and CSS inside <script> and <style> from real tokens,
+ * so braces in strings, regexes, template literals and Twig never count.
+ *
+ * Twig inside the code is an opaque placeholder: {{ }} and inline {% %} stand for a
+ * value, while {% %} and {# #} on a line of their own stay on their own line, and
+ * the code between {% if %} ... {% endif %} is indented one level.
+ *
+ * The formatters return lines as { depth, text }; a depth of null marks a line that
+ * must be kept exactly as it is (the inside of a multi-line template literal).
+ */
+
+// Languages by <script type>, <script> without a type is JavaScript
+const SCRIPT_TYPES = {
+    javascript: /^(text|application)\/(javascript|ecmascript|babel|jsx)$|^module$/i,
+    json: /^application\/([\w.+-]+\+)?json$|^importmap$|^speculationrules$/i
+};
+
+// Operators of JavaScript, longest first
+const JS_PUNCTUATION = ['>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=',
+    '|=', '^=', '**', '<<', '>>', '{', '}', '(', ')', '[', ']', ';', ',', '.', '<', '>', '+', '-', '*', '/',
+    '%', '&', '|', '^', '!', '~', '?', ':', '=', '@', '#'];
+
+// Keywords after which a / starts a regex and a { starts an object
+const JS_EXPRESSION_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+    'case', 'do', 'else', 'yield', 'await'];
+
+// Keywords that take a space before their (
+const JS_PAREN_KEYWORDS = ['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'typeof', 'await',
+    'yield', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'else', 'do', 'instanceof', 'with'];
+
+// Words that continue the statement of a } before them
+const JS_AFTER_BRACE = ['else', 'catch', 'finally', 'while'];
+
+/**
+ * Language of a <script> or <style> start tag
+ * @returns {'javascript'|'json'|'css'|null} - null for content that is not code (e.g. text/template)
+ */
+function embeddedLanguage(startTag) {
+    const name = startTag.name.toLowerCase();
+    if (name === 'style') {
+        return 'css';
+    }
+    if (name !== 'script') {
+        return null;
+    }
+    const typeAttribute = startTag.attributes.find(attribute => attribute.name.toLowerCase() === 'type');
+    const type = typeAttribute && typeAttribute.value !== null ? typeAttribute.value.trim() : '';
+    if (type === '' || SCRIPT_TYPES.javascript.test(type)) {
+        return 'javascript';
+    }
+    return SCRIPT_TYPES.json.test(type) ? 'json' : null;
+}
+
+/**
+ * Skip a JavaScript string or template literal starting at `start`, stepping over Twig inside it
+ * @returns {number} - Offset right after the closing quote
+ */
+function skipJsString(code, start, twigAt) {
+    const quote = code[start];
+    let i = start + 1;
+    while (i < code.length) {
+        if (twigAt.has(i)) {
+            i = twigAt.get(i).end;
+            continue;
+        }
+        const ch = code[i];
+        if (ch === '\\') {
+            i += 2;
+            continue;
+        }
+        if (ch === quote) {
+            return i + 1;
+        }
+        if (ch === '\n' && quote !== '`') {
+            return i;
+        }
+        if (quote === '`' && ch === '$' && code[i + 1] === '{') {
+            // ${ expression } may hold strings and braces of its own
+            let depth = 0;
+            i += 2;
+            while (i < code.length && !(code[i] === '}' && depth === 0)) {
+                if (code[i] === '\'' || code[i] === '"' || code[i] === '`') {
+                    i = skipJsString(code, i, twigAt);
+                    continue;
+                }
+                depth += code[i] === '{' ? 1 : code[i] === '}' ? -1 : 0;
+                i++;
+            }
+        }
+        i++;
+    }
+    return code.length;
+}
+
+/**
+ * Check if a / at this point starts a regex rather than a division
+ */
+function regexAllowed(previous) {
+    if (!previous) {
+        return true;
+    }
+    if (previous.type === 'word') {
+        return JS_EXPRESSION_KEYWORDS.includes(previous.text);
+    }
+    if (previous.type === 'punctuation') {
+        return !/^[)\]}]$/.test(previous.text) && previous.text !== '++' && previous.text !== '--';
+    }
+    return false;
+}
+
+/**
+ * Read a regex literal starting at `start`
+ * @returns {number} - Offset after its flags, or -1 if the line ends first
+ */
+function skipRegex(code, start) {
+    let i = start + 1;
+    let inClass = false;
+    while (i < code.length && code[i] !== '\n') {
+        const ch = code[i];
+        if (ch === '\\') {
+            i += 2;
+            continue;
+        }
+        if (ch === '[') {
+            inClass = true;
+        } else if (ch === ']') {
+            inClass = false;
+        } else if (ch === '/' && !inClass) {
+            i++;
+            while (i < code.length && /\w/.test(code[i])) {
+                i++;
+            }
+            return i;
+        }
+        i++;
+    }
+    return -1;
+}
+
+/**
+ * Split JavaScript (or JSON) into tokens
+ * Each token knows how many line breaks came before it and whether a space did.
+ * @param {string} code - Source
+ * @param {Map<number, object>} twigAt - Twig placeholders by start offset
+ * @returns {object[]}
+ */
+function jsTokens(code, twigAt) {
+    const tokens = [];
+    let i = 0;
+    let newlines = 0;
+    let space = false;
+    let previous = null;
+
+    const push = (token) => {
+        token.newlines = newlines;
+        token.space = space || newlines > 0;
+        tokens.push(token);
+        newlines = 0;
+        space = false;
+        if (token.type !== 'comment') {
+            previous = token;
+        }
+    };
+
+    while (i < code.length) {
+        const ch = code[i];
+        const rest = code.slice(i, i + 4);
+        let match;
+        if (twigAt.has(i)) {
+            const twig = twigAt.get(i);
+            push({ type: 'twig', text: code.slice(i, twig.end), twig });
+            i = twig.end;
+        } else if (ch === '\n') {
+            newlines++;
+            i++;
+        } else if (/\s/.test(ch)) {
+            space = true;
+            i++;
+        } else if (rest.startsWith('//')) {
+            const end = code.indexOf('\n', i);
+            push({ type: 'comment', line: true, text: code.slice(i, end === -1 ? code.length : end).trimEnd() });
+            i = end === -1 ? code.length : end;
+        } else if (rest.startsWith('/*')) {
+            const end = code.indexOf('*/', i + 2);
+            const stop = end === -1 ? code.length : end + 2;
+            push({ type: 'comment', line: false, text: code.slice(i, stop) });
+            i = stop;
+        } else if (ch === '\'' || ch === '"' || ch === '`') {
+            const end = skipJsString(code, i, twigAt);
+            push({ type: ch === '`' ? 'template' : 'string', text: code.slice(i, end) });
+            i = end;
+        } else if (ch === '/' && regexAllowed(previous) && skipRegex(code, i) !== -1) {
+            const end = skipRegex(code, i);
+            push({ type: 'regex', text: code.slice(i, end) });
+            i = end;
+        } else if ((match = /^(0[xob][\da-f_]+n?|\d[\d_]*\.?[\d_]*(e[+-]?\d+)?n?|\.\d[\d_]*(e[+-]?\d+)?)/i.exec(code.slice(i, i + 64)))) {
+            push({ type: 'number', text: match[0] });
+            i += match[0].length;
+        } else if ((match = /^[\w$\u0080-\uffff]+/.exec(code.slice(i, i + 256)))) {
+            push({ type: 'word', text: match[0] });
+            i += match[0].length;
+        } else {
+            const punctuation = JS_PUNCTUATION.find(item => rest.startsWith(item)) || ch;
+            push({ type: 'punctuation', text: punctuation });
+            i += punctuation.length;
+        }
+    }
+
+    const end = { type: 'end', text: '' };
+    push(end);
+    return tokens;
+}
+
+/**
+ * Check if a token ends a value, so what follows is an operator or a call
+ */
+function endsValue(token) {
+    if (!token) {
+        return false;
+    }
+    if (token.type === 'word') {
+        return !JS_EXPRESSION_KEYWORDS.includes(token.text) && !JS_PAREN_KEYWORDS.includes(token.text);
+    }
+    if (token.type === 'twig') {
+        return token.twig.kind === 'output' || !token.ownLine;
+    }
+    if (token.role === 'postfix') {
+        // i++ + j
+        return true;
+    }
+    return /^(number|string|template|regex)$/.test(token.type) || /^[)\]}]$/.test(token.text);
+}
+
+/**
+ * Twig tags and comments that stand on a line of their own in the source
+ */
+function markOwnLineTwig(tokens) {
+    tokens.forEach((token, index) => {
+        const next = tokens[index + 1];
+        token.ownLine = token.type === 'twig' && token.twig.kind !== 'output' &&
+            (index === 0 || token.newlines > 0) && (!next || next.type === 'end' || next.newlines > 0);
+    });
+}
+
+/**
+ * Match brackets and decide which braces get their content on separate lines
+ * A brace stays inline when it was written on one line and holds no statements.
+ * In JSON every non-empty object and array is broken.
+ */
+function matchBrackets(tokens, json) {
+    const stack = [];
+    tokens.forEach((token, index) => {
+        if (token.type !== 'punctuation') {
+            return;
+        }
+        if (/^[([{]$/.test(token.text)) {
+            token.statements = false;
+            stack.push(index);
+        } else if (/^[)\]}]$/.test(token.text) && stack.length > 0) {
+            const openIndex = stack.pop();
+            const open = tokens[openIndex];
+            open.closeIndex = index;
+            token.open = open;
+            if (open.text === '(' && tokens[openIndex - 1] && tokens[openIndex - 1].text === 'switch' &&
+                tokens[index + 1].text === '{') {
+                tokens[index + 1].switchBody = true;
+            }
+            const inside = tokens.slice(openIndex + 1, index);
+            const multiLine = inside.concat(token).some(item => item.newlines > 0);
+            const empty = index === openIndex + 1;
+            if (open.text === '{') {
+                // A brace around a broken one is broken too: the inner one puts it on several lines
+                open.broken = !empty && (json || multiLine || open.statements || inside.some(item => item.broken && item.text === '{'));
+            } else {
+                open.broken = json && open.text === '[' && !empty;
+            }
+        } else if (token.text === ';' && stack.length > 0) {
+            tokens[stack[stack.length - 1]].statements = true;
+        }
+    });
+}
+
+/**
+ * Decide what each : ? + - is: ternary, object key, unary or binary
+ */
+function classifyOperators(tokens) {
+    const stack = [{ ternary: 0, brace: null }];
+    let previous = null;
+    tokens.forEach(token => {
+        if (token.type === 'comment') {
+            return;
+        }
+        const top = stack[stack.length - 1];
+        const text = token.type === 'punctuation' ? token.text : '';
+        if (text === '(' || text === '[' || text === '{') {
+            stack.push({ ternary: 0, brace: text === '{' ? token : null });
+        } else if ((text === ')' || text === ']' || text === '}') && stack.length > 1) {
+            stack.pop();
+        } else if (text === '?') {
+            top.ternary++;
+            token.role = 'binary';
+        } else if (text === ':') {
+            if (top.ternary > 0) {
+                top.ternary--;
+                token.role = 'binary';
+            } else {
+                token.role = 'key';
+            }
+        } else if ((text === '+' || text === '-' || text === '!' || text === '~') && !endsValue(previous)) {
+            token.role = 'unary';
+        } else if (text === '++' || text === '--') {
+            token.role = endsValue(previous) ? 'postfix' : 'unary';
+        } else if (text === '...' || text === '@' || text === '#') {
+            token.role = 'unary';
+        } else if (text && !/^[()[\]{};,.]$/.test(text) && text !== '?.') {
+            token.role = 'binary';
+        }
+        previous = token;
+    });
+}
+
+/**
+ * Space between two tokens on the same line
+ */
+function jsSpace(before, token) {
+    // Keys and their colon, also when a Twig placeholder is the key or the value
+    if (token.role === 'key') {
+        return '';
+    }
+    if (before.role === 'key' && token.type !== 'end') {
+        return ' ';
+    }
+    if (before.type === 'punctuation' && before.text === ',' && token.type !== 'end') {
+        return ' ';
+    }
+    if (before.type === 'twig' || token.type === 'twig' || token.type === 'end') {
+        return token.space ? ' ' : '';
+    }
+    if (token.type === 'comment') {
+        return ' ';
+    }
+    if (token.type === 'template' && endsValue(before)) {
+        // Tagged template
+        return token.space ? ' ' : '';
+    }
+    const text = token.type === 'punctuation' ? token.text : '';
+    const previous = before.type === 'punctuation' ? before.text : '';
+
+    if (text === ',' || text === ';' || text === '.' || text === '?.' || previous === '.' || previous === '?.') {
+        return '';
+    }
+    if (text === ')' || text === ']' || previous === '(' || previous === '[') {
+        return '';
+    }
+    if (text === '}') {
+        return token.open && token.open.closeIndex !== undefined && before === token.open ? '' : ' ';
+    }
+    if (previous === '{') {
+        return ' ';
+    }
+    if (previous === ',' || previous === ';') {
+        return ' ';
+    }
+    if (token.role === 'postfix' || before.role === 'unary') {
+        return '';
+    }
+    if (text === '(' || text === '[') {
+        if (before.type === 'word' && JS_PAREN_KEYWORDS.includes(before.text)) {
+            return ' ';
+        }
+        if (endsValue(before) || before.type === 'template') {
+            return '';
+        }
+    }
+    if (token.role === 'binary' || before.role === 'binary' || token.role === 'unary') {
+        return ' ';
+    }
+    if (text === '{' || previous === ')' || previous === ']' || previous === '}') {
+        return ' ';
+    }
+    if (before.type !== 'punctuation' && token.type !== 'punctuation') {
+        return ' ';
+    }
+    return token.space ? ' ' : '';
+}
+
+/**
+ * Format JavaScript, or JSON when `json` is set
+ * @param {string} code - Source
+ * @param {Array<{start: number, end: number, kind: string}>} twig - Twig in the source, with its
+ *        kind: 'output', 'open', 'mid', 'end', 'tag' or 'comment'
+ * @returns {Array<{depth: number|null, text: string}>}
+ */
+function formatJavaScript(code, twig, json = false) {
+    const twigAt = new Map(twig.map(item => [item.start, item]));
+    const tokens = jsTokens(code, twigAt);
+    markOwnLineTwig(tokens);
+    matchBrackets(tokens, json);
+    classifyOperators(tokens);
+
+    const lines = [];
+    const stack = [];          // Open brackets: { token, depth of the line it is on, twigDepth }
+    let twigDepth = 0;
+    let current = null;        // The line being built
+    let previous = null;       // Last token on the line being built, or of the line before
+
+    const lineDepth = (token) => {
+        const closer = token.type === 'punctuation' && /^[)\]}]$/.test(token.text) && token.open;
+        if (closer) {
+            const entry = stack.find(item => item.token === token.open);
+            if (entry) {
+                return entry.depth;
+            }
+        }
+        const top = stack[stack.length - 1];
+        let depth = top ? top.depth + 1 + twigDepth - top.twigDepth : twigDepth;
+        // Statements under case and default
+        if (top && top.token.switchBody && token.text !== 'case' && token.text !== 'default') {
+            depth++;
+        }
+        // Continued statements: method chains and lines after an operator
+        if (token.text === '.' || token.text === '?.' || token.role === 'binary' || (previous && previous.role === 'binary')) {
+            depth++;
+        }
+        return depth;
+    };
+
+    const newLine = (token, blankLines) => {
+        if (current) {
+            lines.push(current);
+        }
+        for (let b = 0; b < blankLines; b++) {
+            lines.push({ depth: 0, text: '' });
+        }
+        current = { depth: lineDepth(token), text: '' };
+    };
+
+    const append = (token) => {
+        const parts = token.text.split('\n');
+        current.text += parts[0];
+        for (let p = 1; p < parts.length; p++) {
+            lines.push(current);
+            if (token.type === 'template' || token.type === 'string') {
+                current = { depth: null, text: parts[p] };
+            } else if (token.type === 'comment') {
+                const line = parts[p].trim();
+                current = { depth: lines[lines.length - 1].depth, text: line.startsWith('*') ? ` ${line}` : line };
+            } else {
+                current = { depth: lines[lines.length - 1].depth + 1, text: parts[p].trim() };
+            }
+        }
+    };
+
+    // Line breaks the layout adds after a token, whatever the source had
+    const breaksAfter = (token, next) => {
+        if (token.type === 'comment' && token.line) {
+            return true;
+        }
+        if (token.ownLine || (next.type === 'twig' && next.ownLine)) {
+            return true;
+        }
+        if (token.type !== 'punctuation') {
+            return false;
+        }
+        const top = stack[stack.length - 1];
+        if (token.text === ';') {
+            return !(top && top.token.text === '(') && !(next.type === 'comment' && next.newlines === 0) &&
+                !(next.text === '}' && next.open && !next.open.broken);
+        }
+        if ((token.text === '{' || token.text === '[') && token.broken) {
+            return true;
+        }
+        if (token.text === ',' && json && top && top.token.broken) {
+            return !(next.type === 'comment' && next.newlines === 0);
+        }
+        if (token.text === '}' && token.open && token.open.broken) {
+            if (next.type === 'word' && JS_AFTER_BRACE.includes(next.text)) {
+                return false;
+            }
+            return !(next.type === 'punctuation' && /^[)\],;.:]$|^\?\.$/.test(next.text)) &&
+                !(next.type === 'comment' && next.newlines === 0);
+        }
+        return false;
+    };
+
+    for (let t = 0; t < tokens.length; t++) {
+        const token = tokens[t];
+        if (token.type === 'end') {
+            break;
+        }
+        const before = t > 0 ? tokens[t - 1] : null;
+        const closesBroken = token.type === 'punctuation' && /^[}\]]$/.test(token.text) && token.open && token.open.broken;
+
+        if (token.type === 'twig' && token.ownLine && (token.twig.kind === 'end' || token.twig.kind === 'mid')) {
+            twigDepth = Math.max(0, twigDepth - 1);
+        }
+        if (token.type === 'punctuation' && /^[)\]}]$/.test(token.text) && token.open) {
+            // Closers line up with the line of their opener
+            const index = stack.findIndex(item => item.token === token.open);
+            const newLineNeeded = !current || token.newlines > 0 || closesBroken || (before && breaksAfter(before, token));
+            if (newLineNeeded) {
+                newLine(token, Math.max(0, token.newlines - 1));
+            }
+            if (index !== -1) {
+                stack.splice(index);
+            }
+        } else if (!current || token.newlines > 0 || (before && breaksAfter(before, token))) {
+            newLine(token, Math.max(0, token.newlines - 1));
+        }
+
+        if (current.text !== '' && previous) {
+            current.text += jsSpace(previous, token);
+        }
+        append(token);
+
+        if (token.type === 'punctuation' && /^[([{]$/.test(token.text)) {
+            stack.push({ token, depth: current.depth, twigDepth });
+        }
+        if (token.type === 'twig' && token.ownLine && (token.twig.kind === 'open' || token.twig.kind === 'mid')) {
+            twigDepth++;
+        }
+        previous = token;
+    }
+    if (current) {
+        lines.push(current);
+    }
+    return lines;
+}
+
+/**
+ * Format JSON (with Twig placeholders) - every object and array broken, one entry per line
+ */
+function formatJson(code, twig) {
+    return formatJavaScript(code, twig, true);
+}
+
+/**
+ * Split CSS into tokens: comments, strings, Twig, { } ; : , and words
+ * A word runs up to whitespace or punctuation, with (...) groups like url(a;b) kept inside it.
+ */
+function cssTokens(code, twigAt) {
+    const tokens = [];
+    let i = 0;
+    let newlines = 0;
+    let space = false;
+
+    const push = (token) => {
+        token.newlines = newlines;
+        token.space = space || newlines > 0;
+        tokens.push(token);
+        newlines = 0;
+        space = false;
+    };
+
+    while (i < code.length) {
+        const ch = code[i];
+        if (twigAt.has(i)) {
+            const twig = twigAt.get(i);
+            push({ type: 'twig', text: code.slice(i, twig.end), twig });
+            i = twig.end;
+        } else if (ch === '\n') {
+            newlines++;
+            i++;
+        } else if (/\s/.test(ch)) {
+            space = true;
+            i++;
+        } else if (code.startsWith('/*', i)) {
+            const end = code.indexOf('*/', i + 2);
+            const stop = end === -1 ? code.length : end + 2;
+            push({ type: 'comment', text: code.slice(i, stop) });
+            i = stop;
+        } else if (/[{};:,]/.test(ch)) {
+            push({ type: 'punctuation', text: ch });
+            i++;
+        } else {
+            let j = i;
+            let depth = 0;
+            while (j < code.length && !twigAt.has(j)) {
+                const c = code[j];
+                if (c === '\'' || c === '"') {
+                    j = skipJsString(code, j, twigAt);
+                    continue;
+                }
+                if (c === '(') {
+                    depth++;
+                } else if (c === ')') {
+                    depth = Math.max(0, depth - 1);
+                } else if (depth === 0 && (/[\s{};:,]/.test(c) || code.startsWith('/*', j))) {
+                    break;
+                } else if (depth > 0 && c === '\n') {
+                    break;
+                }
+                j++;
+            }
+            push({ type: 'word', text: code.slice(i, Math.max(j, i + 1)) });
+            i = Math.max(j, i + 1);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Format CSS: one declaration per line as `property: value;`, blocks opened
+ * at the end of their selector line and closed on a line of their own
+ */
+function formatCss(code, twig) {
+    const twigAt = new Map(twig.map(item => [item.start, item]));
+    const tokens = cssTokens(code, twigAt);
+    markOwnLineTwig(tokens);
+
+    // A statement is a declaration unless a { comes before its ; or }
+    let statementStart = true;
+    tokens.forEach((token, index) => {
+        if (statementStart && token.type !== 'comment' && !(token.type === 'twig' && token.ownLine)) {
+            const end = tokens.slice(index).find(item => item.type === 'punctuation' && /[{};]/.test(item.text));
+            token.declaration = !end || end.text !== '{';
+            statementStart = false;
+        }
+        if (token.type === 'punctuation' && /[{};]/.test(token.text)) {
+            statementStart = true;
+        }
+    });
+
+    const lines = [];
+    let depth = 0;
+    let twigDepth = 0;
+    let current = null;
+    let declaration = false;
+    let colonSeen = false;
+
+    const newLine = (blankLines, extra = 0) => {
+        if (current && current.text !== '') {
+            lines.push(current);
+        }
+        for (let b = 0; b < blankLines; b++) {
+            lines.push({ depth: 0, text: '' });
+        }
+        current = { depth: depth + twigDepth + extra, text: '' };
+    };
+
+    for (let t = 0; t < tokens.length; t++) {
+        const token = tokens[t];
+        const before = t > 0 ? tokens[t - 1] : null;
+        const blankLines = Math.max(0, token.newlines - 1);
+        const punctuation = token.type === 'punctuation' ? token.text : '';
+
+        if (token.type === 'twig' && token.ownLine) {
+            if (token.twig.kind === 'end' || token.twig.kind === 'mid') {
+                twigDepth = Math.max(0, twigDepth - 1);
+            }
+            newLine(blankLines);
+            current.text = token.text.split('\n').map(line => line.trim()).join(' ');
+            if (token.twig.kind === 'open' || token.twig.kind === 'mid') {
+                twigDepth++;
+            }
+            newLine(0);
+            continue;
+        }
+        if (token.declaration !== undefined) {
+            declaration = token.declaration;
+            colonSeen = false;
+        }
+        if (punctuation === '}') {
+            depth = Math.max(0, depth - 1);
+            newLine(blankLines);
+            current.text = '}';
+            newLine(0);
+            continue;
+        }
+
+        if (!current) {
+            newLine(blankLines);
+        } else if (current.text === '') {
+            if (token.type === 'comment' && token.newlines === 0 && lines.length > 0 && !token.text.includes('\n')) {
+                // A comment after a declaration stays on its line
+                lines[lines.length - 1].text += ` ${token.text}`;
+                continue;
+            }
+            if (blankLines > 0) {
+                newLine(blankLines);
+            }
+        } else if (token.newlines > 0 && !punctuation) {
+            // Line breaks inside a selector list or a value stay, one level deeper in values
+            newLine(blankLines, declaration && colonSeen ? 1 : 0);
+        }
+
+        if (current.text !== '') {
+            if (punctuation) {
+                current.text += punctuation === '{' ? ' ' : '';
+            } else if (before && (before.text === ',' || (before.text === ':' && declaration)) && before.type === 'punctuation') {
+                current.text += ' ';
+            } else {
+                current.text += token.space || token.type === 'comment' ? ' ' : '';
+            }
+        }
+        const parts = token.text.split('\n');
+        current.text += parts[0];
+        parts.slice(1).forEach(part => {
+            lines.push(current);
+            const line = part.trim();
+            current = { depth: depth + twigDepth, text: line.startsWith('*') ? ` ${line}` : line };
+        });
+
+        if (punctuation === ':' && declaration) {
+            colonSeen = true;
+        } else if (punctuation === '{') {
+            depth++;
+            newLine(0);
+        } else if (punctuation === ';') {
+            newLine(0);
+        }
+    }
+    if (current && current.text !== '') {
+        lines.push(current);
+    }
+    return lines;
+}
+
+module.exports = {
+    embeddedLanguage,
+    formatJavaScript,
+    formatJson,
+    formatCss
+};
@@ -0,0 +1,65 @@
+/**
+ * End Tags
+ * What typing needs from the parsed template: the depth an end or mid tag belongs at,
+ * and the end tag a block or element just opened is still missing
+ */
+
+/**
+ * Depth of the end or mid tag a line starts with
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {number} offset - Offset of the first non-blank character of the line
+ * @param {TwigTagSet} tags
+ * @returns {number|null} - null if the line starts with something else
+ */
+function closingTagDepth(document, offset, tags) {
+    const token = document.tokens.find(item => item.start === offset);
+    if (!token || token.rawOwner) {
+        return null;
+    }
+    const closes = token.type === 'htmlEndTag' ||
+        (token.type === 'twigTag' && (tags.isEnd(token) || tags.isMid(token)));
+    return closes ? token.depth : null;
+}
+
+/**
+ * Check if a block or element, or one of the same name around it, has no end tag
+ * A new {% for %} inside a closed {% for %} takes its end tag and leaves the outer one open.
+ */
+function isUnclosed(node) {
+    for (let item = node; item && item.type === node.type; item = item.parent) {
+        if (item.name === node.name && !item.close) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * End tag missing for the Twig block or HTML element whose start tag ends at an offset
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {number} offset - Offset right after the start tag
+ * @param {TwigTagSet} tags
+ * @param {string} padding - Space inside the delimiters of a Twig end tag
+ * @returns {{text: string, depth: number}|null} - e.g. {% endfor %}, {% endblock content %} or </div>,
+ *          and the depth of its start tag; null if it is not needed
+ */
+function missingEndTag(document, offset, tags, padding) {
+    const token = document.tokens.find(item => item.end === offset);
+    if (!token || token.rawOwner || !token.node || token.node.open !== token || !isUnclosed(token.node)) {
+        return null;
+    }
+    if (token.type === 'htmlStartTag') {
+        return { text: `</${token.name}>`, depth: token.depth };
+    }
+    let name = tags.endTagOf(token.name);
+    if (token.name === 'block') {
+        const blockName = token.args.trim().split(/\s+/)[0];
+        name += blockName ? ` ${blockName}` : '';
+    }
+    return { text: `{%${padding}${name}${padding}%}`, depth: token.depth };
+}
+
+module.exports = {
+    closingTagDepth,
+    missingEndTag
+};
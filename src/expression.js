@@ -0,0 +1,303 @@
+const { skipString } = require('./lexer');
+
+/**
+ * Replace the contents of string literals with spaces, keeping offsets intact
+ * Makes it safe to search an expression with regexes for keywords and brackets
+ * @param {string} text - Source text
+ * @param {number} start - Start offset of the expression
+ * @param {number} end - End offset of the expression
+ * @returns {string} - The expression with string contents blanked
+ */
+function maskStrings(text, start = 0, end = text.length) {
+    let result = '';
+    let i = start;
+    while (i < end) {
+        const ch = text[i];
+        if (ch === '"' || ch === '\'') {
+            const stringEnd = Math.min(skipString(text, i), end);
+            result += ch + ' '.repeat(Math.max(0, stringEnd - i - 2)) + (stringEnd - i > 1 ? text[stringEnd - 1] : '');
+            i = stringEnd;
+            continue;
+        }
+        result += ch;
+        i++;
+    }
+    return result;
+}
+
+/**
+ * Find the plain string literals of an expression (no #{} interpolation)
+ * @returns {Array<{value: string, start: number, end: number}>} - Value and offsets of the string contents
+ */
+function stringLiterals(text, start = 0, end = text.length) {
+    const result = [];
+    let i = start;
+    while (i < end) {
+        const ch = text[i];
+        if (ch === '"' || ch === '\'') {
+            const stringEnd = skipString(text, i);
+            const raw = text.slice(i + 1, stringEnd - 1);
+            if (stringEnd <= end && !(ch === '"' && raw.includes('#{'))) {
+                result.push({
+                    value: raw.replace(/\\(.)/g, '$1'),
+                    start: i + 1,
+                    end: stringEnd - 1,
+                    quote: ch
+                });
+            }
+            i = stringEnd;
+            continue;
+        }
+        i++;
+    }
+    return result;
+}
+
+/**
+ * Find the offset of the bracket that closes the one just before `start`
+ * @returns {number} - Offset of the closing bracket, or `end` if there is none
+ */
+function findClosingBracket(text, start, end = text.length) {
+    let depth = 0;
+    let i = start;
+    while (i < end) {
+        const ch = text[i];
+        if (ch === '"' || ch === '\'') {
+            i = skipString(text, i);
+            continue;
+        }
+        if (ch === '(' || ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ')' || ch === ']' || ch === '}') {
+            if (depth === 0) {
+                return i;
+            }
+            depth--;
+        }
+        i++;
+    }
+    return end;
+}
+
+/**
+ * Find the string literal an offset is in
+ * @returns {{start: number, quote: string, prefix: string}|null} - Start of the string contents,
+ *          its quote and the contents before the offset
+ */
+function stringAt(text, start, offset) {
+    let i = start;
+    while (i < offset) {
+        const ch = text[i];
+        if (ch === '"' || ch === '\'') {
+            const stringEnd = skipString(text, i);
+            if (offset < stringEnd || (stringEnd === text.length && text[stringEnd - 1] !== ch)) {
+                return { start: i + 1, quote: ch, prefix: text.slice(i + 1, offset) };
+            }
+            i = stringEnd;
+            continue;
+        }
+        i++;
+    }
+    return null;
+}
+
+/**
+ * Split an expression into the value and the filters applied to all of it
+ * `a ~ b|upper` is left whole: the filter only applies to `b`.
+ * @param {string} text - Source text
+ * @param {number} start - Start offset of the expression
+ * @param {number} end - End offset of the expression
+ * @returns {{value: {start: number, end: number}, filters: Array<{name: string, start: number, end: number, argsStart: number|null}>}}
+ *          Offsets of the value without surrounding whitespace, and of each filter from its name to
+ *          the end of its arguments; `argsStart` is the offset after the ( of the arguments
+ */
+function splitFilters(text, start, end) {
+    const masked = maskStrings(text, start, end);
+    const pipes = [];
+    let depth = 0;
+    for (let i = 0; i < masked.length; i++) {
+        if ('([{'.includes(masked[i])) {
+            depth++;
+        } else if (')]}'.includes(masked[i])) {
+            depth--;
+        } else if (masked[i] === '|' && depth === 0) {
+            pipes.push(i);
+        }
+    }
+
+    const leading = masked.length - masked.trimStart().length;
+    const whole = { value: { start: start + leading, end: start + masked.trimEnd().length }, filters: [] };
+
+    // Filters only apply to the whole value when nothing but other filters comes before them
+    const firstPipe = pipes.length > 0 ? pipes[0] : masked.length;
+    if (needsParentheses(masked.slice(0, firstPipe))) {
+        return whole;
+    }
+    const filters = [];
+    for (let index = 0; index < pipes.length; index++) {
+        const pipe = pipes[index];
+        const match = masked.slice(pipe + 1).match(/^\s*([a-zA-Z_]\w*)(\s*\()?/);
+        if (!match) {
+            return whole;
+        }
+        const nameStart = start + pipe + 1 + match[0].indexOf(match[1]);
+        const argsStart = match[2] ? start + pipe + 1 + match[0].length : null;
+        const filterEnd = argsStart === null ? nameStart + match[1].length : Math.min(findClosingBracket(text, argsStart, end) + 1, end);
+        const next = index + 1 < pipes.length ? pipes[index + 1] : masked.length;
+        if (masked.slice(filterEnd - start, next).trim() !== '') {
+            return whole;
+        }
+        filters.push({ name: match[1], start: nameStart, end: filterEnd, argsStart });
+    }
+    return { value: { start: start + leading, end: start + masked.slice(0, firstPipe).trimEnd().length }, filters };
+}
+
+/**
+ * Check if an expression needs parentheses before a filter can be applied to all of it
+ * @param {string} masked - Expression with strings masked (see maskStrings)
+ */
+function needsParentheses(masked) {
+    let outer = '';
+    let depth = 0;
+    for (const ch of masked) {
+        if ('([{'.includes(ch)) {
+            depth++;
+        } else if (')]}'.includes(ch)) {
+            depth--;
+        } else if (depth === 0) {
+            outer += ch;
+        }
+    }
+    return /[\s~+\-*/%?:<>=!]|\.\./.test(outer.trim());
+}
+
+// Tests whose name is two words
+const TWO_WORD_TESTS = { divisible: 'divisible by', same: 'same as' };
+
+/**
+ * Identifier at an offset
+ * @returns {{word: string, start: number, end: number}|null}
+ */
+function wordAt(text, offset) {
+    let start = offset;
+    let end = offset;
+    while (start > 0 && /\w/.test(text[start - 1])) {
+        start--;
+    }
+    while (end < text.length && /\w/.test(text[end])) {
+        end++;
+    }
+    if (start === end || !/[a-zA-Z_]/.test(text[start])) {
+        return null;
+    }
+    return { word: text.slice(start, end), start, end };
+}
+
+/**
+ * Tell what a name in an expression is from the text around it
+ * @param {string} masked - Expression text with strings masked (see maskStrings)
+ * @param {number} start - Start of the name in `masked`
+ * @param {number} end - End of the name in `masked`
+ * @returns {{kind: string, name: string}|null} - kind is 'filter', 'function', 'test' or 'property'
+ */
+function classifyName(masked, start, end) {
+    const name = masked.slice(start, end);
+    const before = masked.slice(0, start).trimEnd();
+    const after = masked.slice(end).trimStart();
+
+    if (before.endsWith('|')) {
+        return { kind: 'filter', name };
+    }
+    if (/(^|[^\w])is(\s+not)?$/.test(before)) {
+        const second = TWO_WORD_TESTS[name];
+        if (second && after.startsWith(second.split(' ')[1])) {
+            return { kind: 'test', name: second };
+        }
+        return { kind: 'test', name };
+    }
+    const firstWord = (before.match(/(\w+)$/) || [])[1];
+    if (firstWord && TWO_WORD_TESTS[firstWord] === `${firstWord} ${name}` &&
+        /(^|[^\w])is(\s+not)?$/.test(before.slice(0, -firstWord.length).trimEnd())) {
+        return { kind: 'test', name: TWO_WORD_TESTS[firstWord] };
+    }
+    if (before.endsWith('.')) {
+        return { kind: 'property', name };
+    }
+    if (after.startsWith('(')) {
+        return { kind: 'function', name };
+    }
+    return null;
+}
+
+/**
+ * Find the call whose argument list contains an offset
+ * @param {string} text - Source text
+ * @param {number} start - Start offset of the expression
+ * @param {number} offset - Cursor offset
+ * @returns {{kind: string, name: string, argIndex: number, argName: string|null, argsStart: number}|null}
+ */
+function callAt(text, start, offset) {
+    const masked = maskStrings(text, start, offset);
+    const open = [];
+    for (let i = 0; i < masked.length; i++) {
+        const ch = masked[i];
+        if (ch === '(' || ch === '[' || ch === '{') {
+            open.push(i);
+        } else if ((ch === ')' || ch === ']' || ch === '}') && open.length > 0) {
+            open.pop();
+        }
+    }
+
+    // Innermost open parenthesis
+    let paren = -1;
+    for (let i = open.length - 1; i >= 0; i--) {
+        if (masked[open[i]] === '(') {
+            paren = open[i];
+            break;
+        }
+    }
+    if (paren === -1) {
+        return null;
+    }
+
+    const nameMatch = masked.slice(0, paren).match(/([a-zA-Z_]\w*)\s*$/);
+    if (!nameMatch) {
+        return null;
+    }
+    const nameEnd = paren - (nameMatch[0].length - nameMatch[1].length);
+    const call = classifyName(masked, nameEnd - nameMatch[1].length, nameEnd);
+    if (!call || call.kind === 'property') {
+        return null;
+    }
+
+    // Count the commas of this argument list to find the active argument
+    const args = masked.slice(paren + 1);
+    let depth = 0;
+    let argIndex = 0;
+    let argStart = 0;
+    for (let i = 0; i < args.length; i++) {
+        if ('([{'.includes(args[i])) {
+            depth++;
+        } else if (')]}'.includes(args[i])) {
+            depth--;
+        } else if (args[i] === ',' && depth === 0) {
+            argIndex++;
+            argStart = i + 1;
+        }
+    }
+    const named = args.slice(argStart).match(/^\s*([a-zA-Z_]\w*)\s*(?::|=(?!=))/);
+
+    return Object.assign(call, { argIndex, argName: named ? named[1] : null, argsStart: start + paren + 1 });
+}
+
+module.exports = {
+    maskStrings,
+    stringLiterals,
+    findClosingBracket,
+    splitFilters,
+    needsParentheses,
+    stringAt,
+    wordAt,
+    classifyName,
+    callAt
+};
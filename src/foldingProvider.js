@@ -0,0 +1,57 @@
+const vscode = require('vscode');
+const { TwigParser } = require('./parser');
+const { manifestFor } = require('./project');
+
+/**
+ * Twig Folding Provider
+ * Folds Twig blocks (each if/elseif/else branch on its own), HTML elements and
+ * multi-line comments, with the project's custom block tags included
+ */
+class TwigFoldingProvider {
+    provideFoldingRanges(document) {
+        const parsed = new TwigParser(manifestFor(document).tagSet()).parse(document.getText());
+        const lineOf = (offset) => document.positionAt(offset).line;
+        const ranges = [];
+
+        // Fold from the line of `start` to the line before `end`, so end tags stay visible
+        const addRange = (start, end, kind) => {
+            const startLine = lineOf(start);
+            const endLine = lineOf(end) - 1;
+            if (endLine > startLine) {
+                ranges.push(new vscode.FoldingRange(startLine, endLine, kind));
+            }
+        };
+
+        const visit = (items) => {
+            for (const item of items) {
+                if (item.type === 'twigComment' || item.type === 'htmlComment') {
+                    const startLine = lineOf(item.start);
+                    const endLine = lineOf(item.end);
+                    if (endLine > startLine) {
+                        ranges.push(new vscode.FoldingRange(startLine, endLine, vscode.FoldingRangeKind.Comment));
+                    }
+                }
+                if (!item.children) {
+                    continue;
+                }
+                if (item.close) {
+                    // Branches start at the open tag and at each mid tag (else, elseif)
+                    const starts = [item.open].concat(item.children.filter(child =>
+                        child.type === 'twigTag' && child.node === item));
+                    starts.forEach((branch, index) => {
+                        const next = starts[index + 1] || item.close;
+                        addRange(branch.start, next.start);
+                    });
+                }
+                visit(item.children);
+            }
+        };
+        visit(parsed.children);
+
+        return ranges;
+    }
+}
+
+module.exports = {
+    TwigFoldingProvider
+};
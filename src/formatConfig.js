@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { SPACING_CHOICES } = require('./spacing');
+const { editorConfigFor } = require('./editorconfig');
+
+/**
+ * Format Config
+ * Formatter settings from .twigformatrc.json files, in VS Code and on the command line.
+ * The keys are the ultimateTwig.format.* settings without their prefix:
+ *
+ *  {
+ *      "useTabs": false,
+ *      "indentSize": 4,
+ *      "printWidth": 120,
+ *      "spacing": { "pipes": "none", "concatenation": "space" },
+ *      "ignore": ["emails/**"]
+ *  }
+ *
+ * `ignore` globs are relative to the directory of the config file.
+ *
+ * A template gets its settings from the files around it: .editorconfig properties
+ * (indent_style, indent_size, max_line_length, insert_final_newline, trim_trailing_whitespace),
+ * overridden by the .twigformatrc.json files in its directory and the ones above it,
+ * closer files overriding farther ones.
+ */
+
+const FORMAT_CONFIG_FILE = '.twigformatrc.json';
+
+/**
+ * Check the settings of a config file
+ * @param {string} text - File content
+ * @returns {object} - Settings for createFormatter
+ */
+function parseFormatConfig(text) {
+    const settings = JSON.parse(text);
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('expected an object');
+    }
+    Object.keys(settings).forEach(name => {
+        const value = settings[name];
+        if (name === 'useTabs') {
+            if (typeof value !== 'boolean') {
+                throw new Error('"useTabs" must be true or false');
+            }
+        } else if (name === 'indentSize') {
+            if (!Number.isInteger(value) || value < 1 || value > 8) {
+                throw new Error('"indentSize" must be a whole number from 1 to 8');
+            }
+        } else if (name === 'printWidth') {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error('"printWidth" must be a whole number, 0 for no wrapping');
+            }
+        } else if (name === 'spacing') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error('"spacing" must be an object');
+            }
+            Object.keys(value).forEach(rule => {
+                if (!SPACING_CHOICES[rule]) {
+                    throw new Error(`unknown spacing rule "${rule}"`);
+                }
+                if (!SPACING_CHOICES[rule].includes(value[rule])) {
+                    throw new Error(`"spacing.${rule}" must be one of ${SPACING_CHOICES[rule].map(choice => `"${choice}"`).join(', ')}`);
+                }
+            });
+        } else if (name === 'ignore') {
+            if (!Array.isArray(value) || !value.every(pattern => typeof pattern === 'string')) {
+                throw new Error('"ignore" must be a list of glob patterns');
+            }
+        } else {
+            throw new Error(`unknown setting "${name}"`);
+        }
+    });
+    return settings;
+}
+
+/**
+ * Find a file in a directory or the closest of its parents
+ * @returns {string|null} - Path of the file
+ */
+function findUp(directory, name) {
+    let current = path.resolve(directory);
+    for (;;) {
+        const candidate = path.join(current, name);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+        const parent = path.dirname(current);
+        if (parent === current) {
+            return null;
+        }
+        current = parent;
+    }
+}
+
+/**
+ * Read and check a config file
+ * @throws {Error} - With the file name, when it can't be read or has invalid settings
+ */
+function readFormatConfig(file) {
+    try {
+        return parseFormatConfig(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Formatter settings from .editorconfig properties
+ * @param {object} properties - From editorConfigFor
+ * @returns {object} - Only the settings the properties give
+ */
+function editorConfigSettings(properties) {
+    const settings = {};
+    const wholeNumber = (value) => /^\d+$/.test(value || '') ? Number(value) : null;
+
+    if (properties.indent_style === 'tab' || properties.indent_style === 'space') {
+        settings.useTabs = properties.indent_style === 'tab';
+    }
+    const indentSize = wholeNumber(properties.indent_size === 'tab' ? properties.tab_width : properties.indent_size);
+    if (indentSize !== null && indentSize >= 1 && indentSize <= 8) {
+        settings.indentSize = indentSize;
+    }
+    if (properties.max_line_length === 'off') {
+        settings.printWidth = 0;
+    } else if (wholeNumber(properties.max_line_length) !== null) {
+        settings.printWidth = wholeNumber(properties.max_line_length);
+    }
+    ['insert_final_newline', 'trim_trailing_whitespace'].forEach(property => {
+        if (properties[property] === 'true' || properties[property] === 'false') {
+            const name = property.replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+            settings[name] = properties[property] === 'true';
+        }
+    });
+    return settings;
+}
+
+/**
+ * Merge settings, later ones overriding earlier ones
+ * Spacing rules override one by one, and ignore globs add up.
+ */
+function mergeSettings(...list) {
+    const result = {};
+    list.forEach(settings => {
+        Object.keys(settings).forEach(name => {
+            if (name === 'spacing') {
+                result.spacing = Object.assign({}, result.spacing, settings.spacing);
+            } else if (name === 'ignore') {
+                result.ignore = (result.ignore || []).concat(settings.ignore);
+            } else {
+                result[name] = settings[name];
+            }
+        });
+    });
+    return result;
+}
+
+/**
+ * Settings of a config file, with its ignore globs made absolute (/-separated)
+ */
+function readFormatConfigAt(file) {
+    const settings = readFormatConfig(file);
+    if (settings.ignore) {
+        const base = path.dirname(path.resolve(file)).split(path.sep).join('/');
+        settings.ignore = settings.ignore.map(pattern => pattern.includes('/')
+            ? base + '/' + pattern.replace(/^\.?\//, '')
+            : pattern);
+    }
+    return settings;
+}
+
+/**
+ * Formatter settings for a template from the project files around it
+ * @param {string} file - Template path
+ * @param {string} [configFile] - Config file to use instead of the .twigformatrc.json files above the template
+ * @returns {object} - Only the settings the files give; `ignore` globs are absolute, to match
+ *          against the /-separated absolute path of the template
+ * @throws {Error} - With the file name, when a config file can't be read or has invalid settings
+ */
+function projectFormatSettings(file, configFile) {
+    const configFiles = [];
+    if (configFile) {
+        configFiles.push(configFile);
+    } else {
+        let directory = path.dirname(path.resolve(file));
+        for (;;) {
+            const candidate = path.join(directory, FORMAT_CONFIG_FILE);
+            if (fs.existsSync(candidate)) {
+                // Farthest first, so closer files override
+                configFiles.unshift(candidate);
+            }
+            const parent = path.dirname(directory);
+            if (parent === directory) {
+                break;
+            }
+            directory = parent;
+        }
+    }
+    return mergeSettings(editorConfigSettings(editorConfigFor(path.resolve(file))), ...configFiles.map(readFormatConfigAt));
+}
+
+module.exports = {
+    FORMAT_CONFIG_FILE,
+    findUp,
+    parseFormatConfig,
+    readFormatConfig,
+    editorConfigSettings,
+    mergeSettings,
+    projectFormatSettings
+};
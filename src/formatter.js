@@ -0,0 +1,423 @@
+const { TwigLexer, skipString } = require('./lexer');
+const { TwigParser } = require('./parser');
+const { TwigTagSet } = require('./tags');
+const { SPACING_DEFAULTS, normalizeSpacing } = require('./spacing');
+const { wrapLines } = require('./wrapping');
+const { embeddedLanguage, formatJavaScript, formatJson, formatCss } = require('./embedded');
+const { protectedRegions, protectedLines } = require('./protectedRegions');
+
+/**
+ * Twig Formatter
+ * Formats Twig template files with configurable settings
+ */
+class TwigFormatter {
+    constructor() {
+        this.indentSize = 4;
+        this.useTabs = false;
+        this.printWidth = 120;
+        this.preserveNewLines = true;
+        this.insertFinalNewline = null;      // true to end with a newline, false to end without, null to keep
+        this.trimTrailingWhitespace = true;
+        this.tags = new TwigTagSet();
+        this.spacing = Object.assign({}, SPACING_DEFAULTS);
+    }
+
+    /**
+     * Parse text into a tree of Twig blocks and HTML elements
+     * @param {string} text - The text to parse
+     * @returns {object} - Document node (see src/parser.js)
+     */
+    parse(text) {
+        return new TwigParser(this.tags).parse(text);
+    }
+
+    /**
+     * Format Twig document
+     * @param {string} text - The text to format
+     * @returns {string} - Formatted text
+     */
+    format(text) {
+        const formatted = this.indentLines(this.prepare(text)).lines.join('\n');
+        if (this.insertFinalNewline === true && formatted !== '' && !formatted.endsWith('\n')) {
+            return formatted + '\n';
+        }
+        if (this.insertFinalNewline === false) {
+            return formatted.replace(/\n+$/, '');
+        }
+        return formatted;
+    }
+
+    /**
+     * Format some lines of a document at the nesting depth the rest of the document gives them
+     * Spacing and wrapping only change tags inside the lines, and the whole document is indented
+     * so that blocks opened before the lines and closed after them count.
+     * @param {string} text - The whole document
+     * @param {number} startLine - First line to format
+     * @param {number} endLine - Last line to format
+     * @returns {string} - Formatted text of the lines
+     */
+    formatLines(text, startLine, endLine) {
+        const lines = text.split('\n');
+        const start = lines.slice(0, startLine).reduce((offset, line) => offset + line.length + 1, 0);
+        const end = lines.slice(startLine, endLine + 1).reduce((offset, line) => offset + line.length + 1, start) - 1;
+
+        const prepared = this.prepare(text, { start, end });
+        const lastLine = endLine + prepared.split('\n').length - lines.length;
+        const result = this.indentLines(prepared, { start: startLine, end: lastLine });
+        return result.lines.slice(result.lineStarts[startLine], result.lineStarts[lastLine + 1]).join('\n');
+    }
+
+    /**
+     * Normalize spacing and wrap long lines, of the whole text or of the tags inside `range`,
+     * leaving protected regions alone (see src/protectedRegions.js)
+     * @param {{start: number, end: number}} [range] - Offsets
+     */
+    prepare(text, range) {
+        let document = this.parse(text);
+        text = normalizeSpacing(document, this.spacing, range, protectedRegions(document));
+        if (this.printWidth > 0) {
+            document = this.parse(text);
+            text = wrapLines(document, {
+                printWidth: this.printWidth,
+                indentWidth: this.indentSize,
+                tags: this.tags,
+                padding: this.spacing.delimiters === 'none' ? '' : ' '
+            }, range, protectedRegions(document));
+        }
+        return text;
+    }
+
+    /**
+     * Indent every line by the nesting of Twig blocks and HTML elements
+     * @param {{start: number, end: number}} [lineRange] - Lines that will be used; embedded code
+     *        crossing its edges is indented line by line instead of being laid out again
+     * @returns {{lines: string[], lineStarts: number[]}} - Formatted lines, and for each source
+     *          line the index of the first formatted line it produced
+     */
+    indentLines(text, lineRange) {
+        const indentChar = this.useTabs ? '\t' : ' '.repeat(this.indentSize);
+        const document = this.parse(text);
+        const tokens = document.tokens;
+        const keptLines = protectedLines(text, protectedRegions(document));
+
+        let lines = text.split('\n');
+        let formattedLines = [];
+        const lineStarts = [];
+        let tokenIndex = 0;
+        let lineStart = 0;
+        let rawOwner = null;     // <script>/<style> start tag whose content we are in
+        let rawBraceDepth = 0;   // Brace/bracket depth inside that script/style
+
+        for (let i = 0; i < lines.length; i++) {
+            lineStarts[i] = formattedLines.length;
+            let line = lines[i];
+            let trimmedLine = line.trim();
+            const trailing = this.trimTrailingWhitespace ? '' : line.slice(line.trimEnd().length);
+            const lineEnd = lineStart + line.length;
+            const contentStart = lineStart + line.search(/\S/);
+            lineStart = lineEnd + 1;
+
+            // Lines starting in <pre>, {# format-off #} and other protected regions stay as written
+            if (keptLines.has(i)) {
+                formattedLines.push(line);
+                continue;
+            }
+
+            // Skip empty lines if preserveNewLines is true
+            if (trimmedLine === '') {
+                if (this.preserveNewLines) {
+                    formattedLines.push('');
+                }
+                continue;
+            }
+
+            while (tokenIndex < tokens.length - 1 && tokens[tokenIndex].end <= contentStart) {
+                tokenIndex++;
+            }
+            const token = tokens[tokenIndex];
+            const isContinuation = token.start < contentStart && token.type !== 'text';
+
+            // JavaScript, JSON and CSS inside script/style tags are laid out by their own formatter,
+            // other script content and code sharing a line with its tags is indented by brace counting
+            if (token.rawOwner && /^(script|style)$/i.test(token.rawOwner.name)) {
+                const baseIndent = token.rawOwner.depth + 1;
+                if (rawOwner !== token.rawOwner) {
+                    rawOwner = token.rawOwner;
+                    rawBraceDepth = 0;
+                    const embedded = this.formatEmbedded(text, tokens, tokenIndex, lineEnd - line.length);
+                    const lastLine = embedded ? i + embedded.lineCount - 1 : i;
+                    const crossesRange = lineRange &&
+                        ((i < lineRange.start && lastLine >= lineRange.start) || (i <= lineRange.end && lastLine > lineRange.end));
+                    let keepsLines = false;
+                    for (let kept = i; kept <= lastLine && !keepsLines; kept++) {
+                        keepsLines = keptLines.has(kept);
+                    }
+                    if (embedded && !crossesRange && !keepsLines) {
+                        embedded.lines.forEach(embeddedLine => formattedLines.push(embeddedLine.depth === null || embeddedLine.text === ''
+                            ? embeddedLine.text : indentChar.repeat(baseIndent + embeddedLine.depth) + embeddedLine.text));
+                        for (let skipped = 1; skipped < embedded.lineCount; skipped++) {
+                            lineStarts[i + skipped] = formattedLines.length;
+                        }
+                        i += embedded.lineCount - 1;
+                        lineStart = embedded.end;
+                        continue;
+                    }
+                }
+
+                if (isContinuation) {
+                    const depth = baseIndent + rawBraceDepth + this.continuationDepth(text, token, contentStart) - token.depth;
+                    formattedLines.push(indentChar.repeat(depth) + trimmedLine + trailing);
+                    continue;
+                }
+
+                // Count braces/brackets outside Twig delimiters,
+                // capped to ±1 to avoid over-indenting lines like [{
+                const code = this.textOfLine(tokens, tokenIndex, contentStart, lineEnd);
+                const openCount = (code.match(/[{[]/g) || []).length;
+                const closeCount = (code.match(/[}\]]/g) || []).length;
+                const netChange = Math.max(-1, Math.min(1, openCount - closeCount));
+
+                // Decrease before rendering, increase after
+                if (netChange < 0) {
+                    rawBraceDepth = Math.max(0, rawBraceDepth + netChange);
+                }
+                formattedLines.push(indentChar.repeat(baseIndent + rawBraceDepth) + trimmedLine + trailing);
+                if (netChange > 0) {
+                    rawBraceDepth += netChange;
+                }
+                continue;
+            }
+
+            // Line continues a token from a previous line (multi-line tag, set block, comment)
+            if (isContinuation) {
+                formattedLines.push(indentChar.repeat(this.continuationDepth(text, token, contentStart)) + trimmedLine + trailing);
+                continue;
+            }
+
+            // Put each Twig block tag on its own line, keeping the rest of the line together
+            for (const [segmentStart, segmentEnd] of this.lineSegments(tokens, tokenIndex, contentStart, lineEnd)) {
+                const segment = text.slice(segmentStart, segmentEnd).trim();
+                if (segment === '') {
+                    continue;
+                }
+                const offset = segmentStart + text.slice(segmentStart, segmentEnd).search(/\S/);
+                const segmentToken = tokens.slice(tokenIndex).find(t => t.end > offset);
+                formattedLines.push(indentChar.repeat(segmentToken.depth) + segment);
+            }
+            if (formattedLines.length > lineStarts[i]) {
+                formattedLines[formattedLines.length - 1] += trailing;
+            }
+        }
+
+        lineStarts[lines.length] = formattedLines.length;
+        return { lines: formattedLines, lineStarts };
+    }
+
+    /**
+     * Format the content of a <script> or <style> that starts at the beginning of a line
+     * and ends on the line before its end tag
+     * @param {number} tokenIndex - Index of the first content token
+     * @param {number} start - Offset of the first content line
+     * @returns {{lines: object[], lineCount: number, end: number}|null} - Lines (see src/embedded.js),
+     *          the number of source lines they replace and the offset of the end tag line
+     */
+    formatEmbedded(text, tokens, tokenIndex, start) {
+        const owner = tokens[tokenIndex].rawOwner;
+        const language = embeddedLanguage(owner);
+        if (!language || text.slice(owner.end, start).trim() !== '') {
+            return null;
+        }
+        let last = tokenIndex;
+        while (last < tokens.length && tokens[last].rawOwner === owner) {
+            last++;
+        }
+        const endTag = tokens[last];
+        const end = endTag ? text.lastIndexOf('\n', endTag.start - 1) + 1 : -1;
+        if (!endTag || end <= start || text.slice(end, endTag.start).trim() !== '') {
+            return null;
+        }
+
+        const twig = tokens.slice(tokenIndex, last)
+            .filter(token => token.type !== 'text')
+            .map(token => {
+                let kind = token.type === 'twigOutput' ? 'output' : 'comment';
+                if (token.type === 'twigTag') {
+                    kind = this.tags.isOpener(token) ? 'open' : this.tags.isMid(token) ? 'mid' : this.tags.isEnd(token) ? 'end' : 'tag';
+                }
+                return { start: token.start - start, end: token.end - start, kind };
+            });
+        const code = text.slice(start, end);
+        const format = { javascript: formatJavaScript, json: formatJson, css: formatCss }[language];
+        return { lines: format(code, twig), lineCount: code.split('\n').length - 1, end };
+    }
+
+    /**
+     * Split a line at the Twig block tags that should stand on their own line
+     * Lines starting with an HTML tag and lines with a Twig comment stay whole, and so do
+     * blocks opened and closed on the same line like {% block title %}Home{% endblock %}
+     * @returns {Array<[number, number]>} - Start/end offsets of each segment
+     */
+    lineSegments(tokens, tokenIndex, lineStart, lineEnd) {
+        const lineTokens = [];
+        for (let t = tokenIndex; t < tokens.length && tokens[t].start < lineEnd; t++) {
+            lineTokens.push(tokens[t]);
+        }
+
+        const first = lineTokens[0];
+        const keepWhole = (first.type === 'htmlStartTag' && first.start >= lineStart) ||
+            lineTokens.some(token => token.type === 'twigComment');
+        if (keepWhole) {
+            return [[lineStart, lineEnd]];
+        }
+
+        const boundaries = [lineStart];
+        for (let t = 0; t < lineTokens.length; t++) {
+            const token = lineTokens[t];
+            if (token.type !== 'twigTag' || token.start < lineStart) {
+                continue;
+            }
+            // Block opened and closed on this line - keep it inline
+            const node = token.node;
+            if (node && node.open === token && node.close && node.close.end <= lineEnd) {
+                t = lineTokens.indexOf(node.close);
+                continue;
+            }
+            boundaries.push(token.start, Math.min(token.end, lineEnd));
+        }
+        boundaries.push(lineEnd);
+
+        const segments = [];
+        for (let b = 0; b < boundaries.length - 1; b++) {
+            if (boundaries[b + 1] > boundaries[b]) {
+                segments.push([boundaries[b], boundaries[b + 1]]);
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * Text of a line outside Twig delimiters
+     */
+    textOfLine(tokens, tokenIndex, lineStart, lineEnd) {
+        let result = '';
+        for (let t = tokenIndex; t < tokens.length && tokens[t].start < lineEnd; t++) {
+            if (tokens[t].type === 'text') {
+                result += tokens[t].text.slice(Math.max(0, lineStart - tokens[t].start), lineEnd - tokens[t].start);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Indent level of a line that starts inside a multi-line token
+     */
+    continuationDepth(text, token, offset) {
+        if (token.type === 'htmlStartTag') {
+            // Attributes are indented one level deeper than the tag, plus Twig blocks between them
+            let twigDepth = 0;
+            for (const twig of token.twig) {
+                if (twig.type !== 'twigTag') {
+                    continue;
+                }
+                if (twig.end <= offset) {
+                    if (this.tags.isOpener(twig)) {
+                        twigDepth++;
+                    } else if (this.tags.isEnd(twig)) {
+                        twigDepth = Math.max(0, twigDepth - 1);
+                    }
+                } else if (twig.start === offset && (this.tags.isEnd(twig) || this.tags.isMid(twig))) {
+                    twigDepth = Math.max(0, twigDepth - 1);
+                }
+            }
+            return token.depth + 1 + twigDepth;
+        }
+
+        if (token.type === 'twigTag' || token.type === 'twigOutput') {
+            // Multi-line {% set x = { ... } %}: indent by bracket depth,
+            // capped to ±1 per line to avoid over-indenting lines like { key: [
+            let depth = 0;
+            let lineChange = 0;
+            let i = token.bodyStart;
+            while (i < offset) {
+                const ch = text[i];
+                if (ch === '"' || ch === '\'') {
+                    i = skipString(text, i);
+                    continue;
+                }
+                if (ch === '(' || ch === '[' || ch === '{') {
+                    lineChange++;
+                } else if (ch === ')' || ch === ']' || ch === '}') {
+                    lineChange--;
+                } else if (ch === '\n') {
+                    depth = Math.max(0, depth + Math.max(-1, Math.min(1, lineChange)));
+                    lineChange = 0;
+                }
+                i++;
+            }
+            if (depth > 0 && /[)\]}]/.test(text[offset])) {
+                depth--;
+            }
+            return token.depth + depth;
+        }
+
+        // Comments and other tokens keep the indent of their first line
+        return token.depth;
+    }
+
+    /**
+     * Get the {% %} tokens of a line, including those inside HTML tags
+     */
+    twigTagsOf(line) {
+        const result = [];
+        new TwigLexer(line).tokenize().forEach(token => {
+            if (token.type === 'twigTag') {
+                result.push(token);
+            } else if (token.type === 'htmlStartTag') {
+                result.push(...token.twig.filter(twig => twig.type === 'twigTag'));
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Check if line contains an opening Twig tag
+     */
+    isOpeningTag(line) {
+        return this.twigTagsOf(line).some(token => this.tags.isOpener(token));
+    }
+
+    /**
+     * Check if line contains an HTML opening tag
+     */
+    isHtmlOpeningTag(line) {
+        // Match opening HTML tags (like <div>, <p>, etc.)
+        // Use [^<>]* to avoid matching nested angle brackets
+        return /<[a-zA-Z][a-zA-Z0-9\-._]*(\s[^<>]*)?>/.test(line);
+    }
+}
+
+/**
+ * Create a formatter from settings named like the ultimateTwig.format.* settings
+ * @param {object} settings - { useTabs, indentSize, printWidth, insertFinalNewline, trimTrailingWhitespace,
+ *                            spacing: { delimiters, ... } }, missing ones keep their default
+ * @param {TwigTagSet} [tags] - Tag set with the project's custom block tags
+ * @returns {TwigFormatter}
+ */
+function createFormatter(settings = {}, tags) {
+    const twigFormatter = new TwigFormatter();
+    ['useTabs', 'indentSize', 'printWidth', 'insertFinalNewline', 'trimTrailingWhitespace'].forEach(name => {
+        if (settings[name] !== undefined) {
+            twigFormatter[name] = settings[name];
+        }
+    });
+    Object.assign(twigFormatter.spacing, settings.spacing);
+    if (tags) {
+        twigFormatter.tags = tags;
+    }
+    return twigFormatter;
+}
+
+module.exports = {
+    TwigFormatter,
+    createFormatter
+};
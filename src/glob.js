@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Glob
+ * File patterns as used in settings and on the command line:
+ * `**` for any number of directories, `*` and `?` within a name, `{a,b}` and `[abc]`
+ */
+
+// Directories only searched when a pattern starts inside them
+const SKIPPED_DIRECTORIES = ['node_modules', 'vendor'];
+
+/**
+ * Regular expression for a glob pattern, matched against /-separated relative paths
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '*' && pattern[i + 1] === '*') {
+            // **/ matches no directory too
+            const slash = pattern[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else if (ch === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                i = end;
+            }
+        } else if (ch === '{') {
+            braces++;
+            source += '(?:';
+        } else if (ch === '}' && braces > 0) {
+            braces--;
+            source += ')';
+        } else if (ch === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += ch.replace(/[.+^$()|\\{}]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check if a relative path matches one of some glob patterns
+ * A pattern without a slash matches the file name in any directory.
+ * @param {string[]} patterns
+ * @param {string} relativePath - /-separated
+ */
+function matchesGlob(patterns, relativePath) {
+    const name = relativePath.slice(relativePath.lastIndexOf('/') + 1);
+    return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? relativePath : name));
+}
+
+/**
+ * Check if a pattern has glob characters
+ */
+function isGlob(pattern) {
+    return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Files below a directory, skipping hidden and dependency directories
+ */
+function walk(directory, files) {
+    let entries;
+    try {
+        entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+        return;
+    }
+    for (const entry of entries) {
+        const full = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+                walk(full, files);
+            }
+        } else if (entry.isFile()) {
+            files.push(full);
+        }
+    }
+}
+
+/**
+ * Templates named by files, directories and glob patterns
+ * Directories give all their .twig files.
+ * @param {string[]} patterns - Relative to `cwd`
+ * @returns {{files: string[], unmatched: string[]}} - Sorted absolute paths, and the patterns that matched nothing
+ */
+function findFiles(patterns, cwd) {
+    const found = new Set();
+    const unmatched = [];
+    for (const pattern of patterns) {
+        const before = found.size;
+        const full = path.resolve(cwd, pattern);
+        let stat = null;
+        try {
+            stat = fs.statSync(full);
+        } catch (error) {
+            stat = null;
+        }
+
+        if (stat && stat.isFile()) {
+            found.add(full);
+        } else if (stat && stat.isDirectory()) {
+            const files = [];
+            walk(full, files);
+            files.filter(file => file.endsWith('.twig')).forEach(file => found.add(file));
+        } else if (isGlob(pattern)) {
+            // Search from the directories before the first glob character
+            const normalized = pattern.split(path.sep).join('/');
+            const segments = normalized.split('/');
+            const staticSegments = [];
+            while (segments.length > 1 && !isGlob(segments[0])) {
+                staticSegments.push(segments.shift());
+            }
+            const base = path.resolve(cwd, staticSegments.join('/'));
+            const regExp = globToRegExp(segments.join('/'));
+            const files = [];
+            walk(base, files);
+            files.filter(file => regExp.test(path.relative(base, file).split(path.sep).join('/')))
+                .forEach(file => found.add(file));
+        }
+
+        if (found.size === before) {
+            unmatched.push(pattern);
+        }
+    }
+    return { files: Array.from(found).sort(), unmatched };
+}
+
+module.exports = {
+    globToRegExp,
+    matchesGlob,
+    findFiles
+};
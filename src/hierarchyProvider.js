@@ -0,0 +1,145 @@
+const vscode = require('vscode');
+const path = require('path');
+const { ancestorsOf, childrenOf } = require('./inheritance');
+const { templateResolverFor } = require('./project');
+const { positionIn } = require('./templateIndex');
+
+const VIEW_ID = 'ultimateTwig.templateHierarchy';
+
+/**
+ * Template Hierarchy Provider
+ * Tree view of the active template: the templates it extends, the templates that extend it,
+ * the templates it includes, embeds or imports, and the templates that include it
+ */
+class TemplateHierarchyProvider {
+    /**
+     * @param {TemplateIndex} index - Templates of the workspace
+     */
+    constructor(index) {
+        this.index = index;
+        this.file = null;
+        this.graph = null;        // Promise of the template graph, until something changes
+        this.changed = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changed.event;
+    }
+
+    /**
+     * Create the view and follow the active template
+     */
+    register(context) {
+        this.view = vscode.window.createTreeView(VIEW_ID, { treeDataProvider: this, showCollapseAll: true });
+        context.subscriptions.push(
+            this.view,
+            this.changed,
+            vscode.commands.registerCommand('ultimateTwig.refreshTemplateHierarchy', () => this.refresh()),
+            vscode.window.onDidChangeActiveTextEditor(editor => this.show(editor)),
+            vscode.workspace.onDidSaveTextDocument(document => {
+                if (document.languageId === 'twig') {
+                    this.refresh();
+                }
+            }),
+            vscode.workspace.onDidCreateFiles(() => this.refresh()),
+            vscode.workspace.onDidDeleteFiles(() => this.refresh()),
+            vscode.workspace.onDidRenameFiles(() => this.refresh())
+        );
+        this.show(vscode.window.activeTextEditor);
+    }
+
+    /**
+     * Show the hierarchy of the template in an editor; other editors keep the last template
+     */
+    show(editor) {
+        if (!editor || editor.document.languageId !== 'twig' || editor.document.uri.scheme !== 'file' ||
+            editor.document.uri.fsPath === this.file) {
+            return;
+        }
+        this.file = editor.document.uri.fsPath;
+        this.changed.fire();
+    }
+
+    refresh() {
+        this.graph = null;
+        this.changed.fire();
+    }
+
+    getTreeItem(element) {
+        if (element.kind === 'section') {
+            const item = new vscode.TreeItem(element.label, element.entries.length > 0
+                ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.None);
+            item.description = element.entries.length > 0 ? String(element.entries.length) : 'none';
+            item.iconPath = new vscode.ThemeIcon(element.icon);
+            return item;
+        }
+
+        const item = new vscode.TreeItem(element.label, element.children.length > 0
+            ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None);
+        item.resourceUri = vscode.Uri.file(element.template);
+        item.description = element.tag || '';
+        item.tooltip = element.template;
+        item.command = {
+            title: 'Open Template',
+            command: 'vscode.open',
+            arguments: [vscode.Uri.file(element.opens.template), element.opens.selection ? { selection: element.opens.selection } : {}]
+        };
+        return item;
+    }
+
+    async getChildren(element) {
+        if (!this.file) {
+            return [];
+        }
+        if (element) {
+            return element.kind === 'section' ? element.entries : element.children;
+        }
+
+        this.graph = this.graph || this.index.graph();
+        const { templates, links } = await this.graph;
+        const texts = new Map(templates.map(({ uri, parsed }) => [uri.fsPath, parsed.text]));
+        const resolver = templateResolverFor({ uri: vscode.Uri.file(this.file) });
+        const label = (template) => resolver.nameOf(template) || path.basename(template);
+        const at = (link) => texts.has(link.from)
+            ? new vscode.Range(positionIn(texts.get(link.from), link.start), positionIn(texts.get(link.from), link.start)) : null;
+
+        // Templates that extend a template, expanding to the ones that extend them in turn
+        const descendants = (template, seen) => childrenOf(template, links)
+            .filter(child => !seen.includes(child))
+            .map(child => ({
+                kind: 'template', label: label(child), template: child, opens: { template: child },
+                children: descendants(child, seen.concat(child))
+            }));
+
+        // One entry per template and tag
+        const unique = (list, key) => list.filter((link, index) =>
+            list.findIndex(other => other[key] === link[key] && other.tag === link.tag) === index);
+        const outgoing = unique(links.filter(link => link.from === this.file && link.tag !== 'extends'), 'to');
+        const incoming = unique(links.filter(link => link.to === this.file && link.from !== this.file && link.tag !== 'extends'), 'from');
+
+        this.view.description = label(this.file);
+        return [
+            {
+                kind: 'section', label: 'Extends', icon: 'arrow-up',
+                entries: ancestorsOf(this.file, links).map(template => ({
+                    kind: 'template', label: label(template), template, opens: { template }, children: []
+                }))
+            },
+            { kind: 'section', label: 'Extended by', icon: 'arrow-down', entries: descendants(this.file, [this.file]) },
+            {
+                kind: 'section', label: 'Includes', icon: 'file-symlink-file',
+                entries: outgoing.map(link => ({
+                    kind: 'template', label: label(link.to), template: link.to, tag: link.tag, opens: { template: link.to }, children: []
+                }))
+            },
+            {
+                kind: 'section', label: 'Included by', icon: 'references',
+                entries: incoming.map(link => ({
+                    kind: 'template', label: label(link.from), template: link.from, tag: link.tag,
+                    opens: { template: link.from, selection: at(link) }, children: []
+                }))
+            }
+        ];
+    }
+}
+
+module.exports = {
+    TemplateHierarchyProvider
+};
@@ -0,0 +1,134 @@
+const { twigTokens } = require('./parser');
+const { maskStrings, stringLiterals } = require('./expression');
+
+/**
+ * Inheritance
+ * Blocks of a template, and the templates above and below it in `extends` chains,
+ * from the links of the template index (see src/templateIndex.js)
+ */
+
+// How many templates up an extends chain are followed
+const MAX_ANCESTORS = 10;
+
+/**
+ * Template name of an {% embed %} tag, or '' when it is not a string
+ */
+function embeddedTemplate(text, token) {
+    const literal = stringLiterals(text, token.argsStart, token.bodyEnd)[0];
+    return literal && text.slice(token.argsStart, literal.start - 1).trim() === '' ? literal.value : '';
+}
+
+/**
+ * Blocks of a template
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {Array<{name: string, start: number, end: number, callsParent: boolean, embed: string|null}>}
+ *          Offsets of the name; `embed` is the template of the {% embed %} the block is in,
+ *          whose block it overrides instead of one of the template's parents, or null
+ */
+function blocksOf(document) {
+    const text = document.text;
+    const tokens = twigTokens(document);
+    const blocks = [];
+
+    // Bodies of the blocks, to find parent() calls outside nested blocks
+    const callsParent = (node) => {
+        const nested = [];
+        const collect = (items) => items.forEach(item => {
+            if (item.type === 'twigBlock' && item.name === 'block') {
+                nested.push({ start: item.open.start, end: item.close ? item.close.end : text.length });
+            } else if (item.children) {
+                collect(item.children);
+            }
+        });
+        collect(node.children);
+        const end = node.close ? node.close.start : text.length;
+        return tokens.some(token => token.start >= node.open.end && token.end <= end &&
+            !nested.some(range => range.start <= token.start && token.start < range.end) &&
+            /(^|[^\w.])parent\s*\(\s*\)/.test(maskStrings(text, token.bodyStart, token.bodyEnd)));
+    };
+
+    const add = (token, embed, node) => {
+        const match = token.args.match(/^(\s*)([a-zA-Z_]\w*)/);
+        if (match) {
+            const start = token.argsStart + match[1].length;
+            blocks.push({ name: match[2], start, end: start + match[2].length, callsParent: node ? callsParent(node) : false, embed });
+        }
+    };
+
+    const visit = (items, embed) => {
+        for (const item of items) {
+            if (item.type === 'twigBlock' && item.name === 'embed') {
+                visit(item.children, embeddedTemplate(text, item.open));
+                continue;
+            }
+            if (item.type === 'twigBlock' && item.name === 'block') {
+                add(item.open, embed, item);
+            } else if (item.type === 'twigTag' && item.name === 'block') {
+                // Shortcut form {% block title 'Home' %}
+                add(item, embed, null);
+            }
+            if (item.children) {
+                visit(item.children, embed);
+            }
+        }
+    };
+    visit(document.children, null);
+
+    return blocks;
+}
+
+/**
+ * Templates a template extends, nearest first
+ * @param {string} file
+ * @param {Array<{from: string, to: string, tag: string}>} links - Links between template files
+ * @returns {string[]}
+ */
+function ancestorsOf(file, links) {
+    const ancestors = [];
+    let current = file;
+    while (ancestors.length < MAX_ANCESTORS) {
+        const parent = links.find(link => link.from === current && link.tag === 'extends');
+        if (!parent || parent.to === file || ancestors.includes(parent.to)) {
+            break;
+        }
+        ancestors.push(parent.to);
+        current = parent.to;
+    }
+    return ancestors;
+}
+
+/**
+ * Templates that extend a template directly
+ * @returns {string[]}
+ */
+function childrenOf(file, links) {
+    return Array.from(new Set(links
+        .filter(link => link.to === file && link.tag === 'extends' && link.from !== file)
+        .map(link => link.from)));
+}
+
+/**
+ * Templates that extend a template directly or through others
+ * @returns {string[]}
+ */
+function descendantsOf(file, links) {
+    const descendants = [];
+    const queue = [file];
+    while (queue.length > 0) {
+        for (const child of childrenOf(queue.shift(), links)) {
+            if (child !== file && !descendants.includes(child)) {
+                descendants.push(child);
+                queue.push(child);
+            }
+        }
+    }
+    return descendants;
+}
+
+module.exports = {
+    embeddedTemplate,
+    blocksOf,
+    ancestorsOf,
+    childrenOf,
+    descendantsOf
+};
@@ -0,0 +1,125 @@
+const vscode = require('vscode');
+const path = require('path');
+const { TwigParser } = require('./parser');
+const { blocksOf, ancestorsOf, descendantsOf } = require('./inheritance');
+const { templateResolverFor } = require('./project');
+const { positionIn } = require('./templateIndex');
+
+/**
+ * Inheritance Lens Provider
+ * CodeLens above each {% block %}: the parent template whose block it overrides (and whether
+ * it calls parent()), and the templates that extend or embed the template and override it
+ */
+class InheritanceLensProvider {
+    /**
+     * @param {TemplateIndex} index - Templates of the workspace
+     */
+    constructor(index) {
+        this.index = index;
+        this.changed = new vscode.EventEmitter();
+        this.onDidChangeCodeLenses = this.changed.event;
+    }
+
+    /**
+     * Register the lenses and update them when templates or the setting change
+     */
+    register(context) {
+        context.subscriptions.push(
+            vscode.languages.registerCodeLensProvider('twig', this),
+            this.changed,
+            // Lenses depend on the other templates of the hierarchy
+            vscode.workspace.onDidSaveTextDocument(document => {
+                if (document.languageId === 'twig') {
+                    this.changed.fire();
+                }
+            }),
+            vscode.workspace.onDidCreateFiles(() => this.changed.fire()),
+            vscode.workspace.onDidDeleteFiles(() => this.changed.fire()),
+            vscode.workspace.onDidRenameFiles(() => this.changed.fire()),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('ultimateTwig.codeLens')) {
+                    this.changed.fire();
+                }
+            })
+        );
+    }
+
+    async provideCodeLenses(document, cancellation) {
+        if (!vscode.workspace.getConfiguration('ultimateTwig.codeLens', document.uri).get('enabled', true)) {
+            return [];
+        }
+        const blocks = blocksOf(new TwigParser().parse(document.getText()));
+        if (blocks.length === 0) {
+            return [];
+        }
+
+        const file = document.uri.fsPath;
+        const resolver = templateResolverFor(document);
+        const { templates, links } = await this.index.graph(cancellation);
+        const texts = new Map(templates.map(({ uri, parsed }) => [uri.fsPath, parsed.text]));
+        const blockCache = new Map();
+        const blocksIn = (template) => {
+            if (!blockCache.has(template)) {
+                const entry = templates.find(({ uri }) => uri.fsPath === template);
+                blockCache.set(template, entry ? blocksOf(entry.parsed) : []);
+            }
+            return blockCache.get(template);
+        };
+        const label = (template) => resolver.nameOf(template) || path.basename(template);
+        const rangeIn = (template, block) => new vscode.Range(
+            positionIn(texts.get(template), block.start), positionIn(texts.get(template), block.end));
+
+        // Templates that embed this one, with the blocks of their {% embed %} bodies
+        const embedders = Array.from(new Set(links
+            .filter(link => link.to === file && link.tag === 'embed' && link.from !== file)
+            .map(link => link.from)));
+        const descendants = descendantsOf(file, links);
+
+        const lenses = [];
+        for (const block of blocks) {
+            const range = new vscode.Range(document.positionAt(block.start), document.positionAt(block.end));
+
+            // The nearest template up the chain that defines the block
+            const embedded = block.embed !== null && resolver.resolve(block.embed);
+            const chain = block.embed !== null ? (embedded ? [embedded].concat(ancestorsOf(embedded, links)) : []) : ancestorsOf(file, links);
+            const parent = chain
+                .map(template => ({ template, block: blocksIn(template).find(item => item.name === block.name && item.embed === null) }))
+                .find(item => item.block);
+            if (parent) {
+                lenses.push(new vscode.CodeLens(range, {
+                    title: `overrides ${label(parent.template)}${block.callsParent ? ' · calls parent()' : ''}`,
+                    command: 'vscode.open',
+                    arguments: [vscode.Uri.file(parent.template), { selection: rangeIn(parent.template, parent.block) }]
+                }));
+            }
+            if (block.embed !== null) {
+                continue;
+            }
+
+            const overrides = [];
+            descendants.forEach(template => blocksIn(template)
+                .filter(item => item.name === block.name && item.embed === null)
+                .forEach(item => overrides.push({ template, block: item })));
+            embedders.forEach(template => {
+                const embedderResolver = templateResolverFor({ uri: vscode.Uri.file(template) });
+                blocksIn(template)
+                    .filter(item => item.name === block.name && item.embed !== null && embedderResolver.resolve(item.embed) === file)
+                    .forEach(item => overrides.push({ template, block: item }));
+            });
+            if (overrides.length > 0) {
+                const count = new Set(overrides.map(item => item.template)).size;
+                lenses.push(new vscode.CodeLens(range, {
+                    title: `overridden in ${count} template${count === 1 ? '' : 's'}`,
+                    command: 'editor.action.showReferences',
+                    arguments: [document.uri, range.start, overrides.map(item =>
+                        new vscode.Location(vscode.Uri.file(item.template), rangeIn(item.template, item.block)))]
+                }));
+            }
+        }
+        return lenses;
+    }
+}
+
+module.exports = {
+    InheritanceLensProvider
+};
@@ -0,0 +1,427 @@
+/**
+ * Twig Lexer
+ * Splits a template into Twig, HTML and text tokens with their source offsets
+ *
+ * Token types:
+ *  - text          plain text between other tokens
+ *  - twigTag       {% name args %}
+ *  - twigOutput    {{ expression }}
+ *  - twigComment   {# comment #}
+ *  - htmlStartTag  <name attr="value"> (Twig inside the tag is kept in `twig`)
+ *  - htmlEndTag    </name>
+ *  - htmlComment   <!-- comment -->
+ *  - htmlDoctype   <!DOCTYPE html>
+ */
+
+// Elements whose content is not parsed for HTML tags (Twig still applies)
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+    'param', 'source', 'track', 'wbr'];
+
+/**
+ * Skip a quoted Twig string starting at `start`, including #{...} interpolation
+ * @returns {number} - Offset right after the closing quote
+ */
+function skipString(text, start) {
+    const quote = text[start];
+    let i = start + 1;
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i += 2;
+            continue;
+        }
+        if (ch === quote) {
+            return i + 1;
+        }
+        if (quote === '"' && ch === '#' && text[i + 1] === '{') {
+            i = skipExpression(text, i + 2, '}');
+            continue;
+        }
+        i++;
+    }
+    return text.length;
+}
+
+/**
+ * Skip a Twig expression until the given closing character at bracket depth 0
+ * @returns {number} - Offset right after the closing character
+ */
+function skipExpression(text, start, closeChar) {
+    let depth = 0;
+    let i = start;
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '"' || ch === '\'') {
+            i = skipString(text, i);
+            continue;
+        }
+        if (depth === 0 && ch === closeChar) {
+            return i + 1;
+        }
+        if (ch === '(' || ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ')' || ch === ']' || ch === '}') {
+            depth = Math.max(0, depth - 1);
+        }
+        i++;
+    }
+    return text.length;
+}
+
+/**
+ * Read a Twig token ({% %}, {{ }} or {# #}) starting at `start`
+ * @returns {object|null} - The token, or null if there is no complete Twig token here
+ */
+function readTwig(text, start) {
+    if (text[start] !== '{') {
+        return null;
+    }
+    const kind = text[start + 1];
+
+    if (kind === '#') {
+        const end = text.indexOf('#}', start + 2);
+        if (end === -1) {
+            return null;
+        }
+        return {
+            type: 'twigComment',
+            start,
+            end: end + 2,
+            text: text.slice(start, end + 2),
+            trimLeft: /[-~]/.test(text[start + 2]) ? text[start + 2] : '',
+            trimRight: /[-~]/.test(text[end - 1]) ? text[end - 1] : ''
+        };
+    }
+
+    if (kind !== '%' && kind !== '{') {
+        return null;
+    }
+
+    const closeChar = kind === '%' ? '%' : '}';
+    let i = start + 2;
+    let trimLeft = '';
+    if (text[i] === '-' || text[i] === '~') {
+        trimLeft = text[i];
+        i++;
+    }
+    const bodyStart = i;
+    let depth = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '"' || ch === '\'') {
+            i = skipString(text, i);
+            continue;
+        }
+        if (depth === 0) {
+            if ((ch === '-' || ch === '~') && text[i + 1] === closeChar && text[i + 2] === '}') {
+                return createTwigToken(text, kind, start, bodyStart, i, i + 3, trimLeft, ch);
+            }
+            if (ch === closeChar && text[i + 1] === '}') {
+                return createTwigToken(text, kind, start, bodyStart, i, i + 2, trimLeft, '');
+            }
+        }
+        if (ch === '(' || ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ')' || ch === ']' || ch === '}') {
+            depth = Math.max(0, depth - 1);
+        }
+        i++;
+    }
+
+    return null;
+}
+
+function createTwigToken(text, kind, start, bodyStart, bodyEnd, end, trimLeft, trimRight) {
+    const body = text.slice(bodyStart, bodyEnd);
+    const token = {
+        type: kind === '%' ? 'twigTag' : 'twigOutput',
+        start,
+        end,
+        text: text.slice(start, end),
+        trimLeft,
+        trimRight,
+        bodyStart,
+        bodyEnd
+    };
+
+    if (kind === '%') {
+        const nameMatch = body.match(/^\s*([a-zA-Z_]\w*)/);
+        token.name = nameMatch ? nameMatch[1] : '';
+        token.nameStart = nameMatch ? bodyStart + nameMatch[0].length - nameMatch[1].length : bodyStart;
+        token.argsStart = nameMatch ? bodyStart + nameMatch[0].length : bodyStart;
+        token.args = text.slice(token.argsStart, bodyEnd);
+    } else {
+        token.expression = body;
+    }
+
+    return token;
+}
+
+/**
+ * Read an HTML start tag, end tag, comment or doctype starting at `start`
+ * @returns {object|null} - The token, or null if this `<` does not start a tag
+ */
+function readHtml(text, start) {
+    if (text.startsWith('<!--', start)) {
+        const end = text.indexOf('-->', start + 4);
+        if (end === -1) {
+            return null;
+        }
+        return { type: 'htmlComment', start, end: end + 3, text: text.slice(start, end + 3) };
+    }
+
+    if (/^<![a-zA-Z]/.test(text.substr(start, 3))) {
+        const end = text.indexOf('>', start);
+        if (end === -1) {
+            return null;
+        }
+        return { type: 'htmlDoctype', start, end: end + 1, text: text.slice(start, end + 1) };
+    }
+
+    const endTagMatch = /^<\/([a-zA-Z][a-zA-Z0-9\-._:]*)[^<>]*>/.exec(text.substr(start, 256));
+    if (endTagMatch) {
+        const end = start + endTagMatch[0].length;
+        return { type: 'htmlEndTag', name: endTagMatch[1], start, end, text: text.slice(start, end) };
+    }
+
+    const nameMatch = /^<([a-zA-Z][a-zA-Z0-9\-._:]*)/.exec(text.substr(start, 256));
+    if (!nameMatch) {
+        return null;
+    }
+
+    return readStartTag(text, start, nameMatch[1]);
+}
+
+/**
+ * Read the attributes of an HTML start tag up to its closing > or />
+ * Twig tokens inside the tag never end it, so `{{ a > b }}` is safe
+ */
+function readStartTag(text, start, name) {
+    const attributes = [];
+    const twig = [];
+    let selfClosing = false;
+    let i = start + 1 + name.length;
+
+    const readNestedTwig = (at) => {
+        const token = readTwig(text, at);
+        if (token) {
+            twig.push(token);
+        }
+        return token;
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '>') {
+            break;
+        }
+        if (ch === '/' && text[i + 1] === '>') {
+            selfClosing = true;
+            i++;
+            break;
+        }
+        if (ch === '<') {
+            // Another tag starts before this one was closed - not a tag after all
+            return null;
+        }
+        if (ch === '{') {
+            const token = readNestedTwig(i);
+            if (token) {
+                i = token.end;
+                continue;
+            }
+        }
+
+        // Attribute name
+        let j = i;
+        while (j < text.length && !/[\s=>/<]/.test(text[j]) && !(text[j] === '{' && /[{%#]/.test(text[j + 1]))) {
+            j++;
+        }
+        if (j === i) {
+            i++;
+            continue;
+        }
+
+        const attribute = { name: text.slice(i, j), start: i, nameEnd: j, end: j, value: null };
+        let k = j;
+        while (k < text.length && /\s/.test(text[k])) {
+            k++;
+        }
+
+        if (text[k] === '=') {
+            k++;
+            while (k < text.length && /\s/.test(text[k])) {
+                k++;
+            }
+            const quote = text[k] === '"' || text[k] === '\'' ? text[k] : '';
+            let m = quote ? k + 1 : k;
+            while (m < text.length) {
+                if (text[m] === '{') {
+                    const token = readNestedTwig(m);
+                    if (token) {
+                        m = token.end;
+                        continue;
+                    }
+                }
+                if (quote ? text[m] === quote : /[\s>]/.test(text[m])) {
+                    break;
+                }
+                m++;
+            }
+            if (m >= text.length) {
+                return null;
+            }
+            attribute.quote = quote;
+            attribute.valueStart = quote ? k + 1 : k;
+            attribute.valueEnd = m;
+            attribute.value = text.slice(attribute.valueStart, m);
+            attribute.end = quote ? m + 1 : m;
+            i = attribute.end;
+        } else {
+            i = j;
+        }
+
+        attributes.push(attribute);
+    }
+
+    if (i >= text.length) {
+        return null;
+    }
+
+    const end = i + 1;
+    return {
+        type: 'htmlStartTag',
+        name,
+        start,
+        end,
+        text: text.slice(start, end),
+        attributes,
+        twig,
+        selfClosing,
+        void: VOID_ELEMENTS.includes(name.toLowerCase())
+    };
+}
+
+class TwigLexer {
+    constructor(text) {
+        this.text = text;
+        this.tokens = [];
+        this.pos = 0;
+        this.textStart = 0;
+    }
+
+    /**
+     * Tokenize the whole text
+     * @returns {object[]} - Tokens in source order, covering every character
+     */
+    tokenize() {
+        const text = this.text;
+
+        while (this.pos < text.length) {
+            const ch = text[this.pos];
+
+            if (ch === '{') {
+                const token = readTwig(text, this.pos);
+                if (token) {
+                    this.push(token);
+                    if (token.type === 'twigTag' && token.name === 'verbatim') {
+                        this.readVerbatim();
+                    }
+                    continue;
+                }
+            } else if (ch === '<') {
+                const token = readHtml(text, this.pos);
+                if (token) {
+                    this.push(token);
+                    if (token.type === 'htmlStartTag' && !token.selfClosing &&
+                        RAW_TEXT_ELEMENTS.includes(token.name.toLowerCase())) {
+                        this.readRawText(token);
+                    }
+                    continue;
+                }
+            }
+
+            this.pos++;
+        }
+
+        this.flushText();
+        return this.tokens;
+    }
+
+    /**
+     * Content of {% verbatim %} is plain text up to {% endverbatim %}
+     */
+    readVerbatim() {
+        const re = /\{%[-~]?\s*endverbatim\s*[-~]?%\}/g;
+        re.lastIndex = this.pos;
+        const match = re.exec(this.text);
+        this.pos = match ? match.index : this.text.length;
+    }
+
+    /**
+     * Content of <script>, <style>, ... holds only text and Twig up to the matching end tag
+     */
+    readRawText(startTag) {
+        const text = this.text;
+        const endTag = new RegExp(`^</${startTag.name}[\\s/>]`, 'i');
+
+        while (this.pos < text.length) {
+            if (text[this.pos] === '<' && endTag.test(text.substr(this.pos, startTag.name.length + 3))) {
+                break;
+            }
+            if (text[this.pos] === '{') {
+                const token = readTwig(text, this.pos);
+                if (token) {
+                    token.rawOwner = startTag;
+                    this.push(token);
+                    continue;
+                }
+            }
+            this.pos++;
+        }
+
+        this.flushText(startTag);
+    }
+
+    flushText(rawOwner) {
+        if (this.pos > this.textStart) {
+            const token = {
+                type: 'text',
+                start: this.textStart,
+                end: this.pos,
+                text: this.text.slice(this.textStart, this.pos)
+            };
+            if (rawOwner) {
+                token.rawOwner = rawOwner;
+            }
+            this.tokens.push(token);
+        }
+        this.textStart = this.pos;
+    }
+
+    push(token) {
+        this.flushText(token.rawOwner);
+        this.tokens.push(token);
+        this.pos = token.end;
+        this.textStart = this.pos;
+    }
+}
+
+module.exports = {
+    RAW_TEXT_ELEMENTS,
+    VOID_ELEMENTS,
+    TwigLexer,
+    createTwigToken,
+    readTwig,
+    skipString,
+    skipExpression
+};
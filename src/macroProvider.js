@@ -0,0 +1,131 @@
+const vscode = require('vscode');
+const { TwigParser, twigTokenAt } = require('./parser');
+const { paramName } = require('./catalog');
+const { maskStrings, wordAt } = require('./expression');
+const { collectMacros, findImports, importsAt, resolveMacroName } = require('./macros');
+const { templateResolverFor, readTemplate } = require('./project');
+
+/**
+ * Markdown documentation of a macro: its signature, doc comment and template
+ */
+function macroDocumentation(macro, template) {
+    const markdown = new vscode.MarkdownString();
+    markdown.appendCodeblock(`{% macro ${macro.name}(${macro.params.join(', ')}) %}`, 'twig');
+    if (macro.doc) {
+        markdown.appendMarkdown(macro.doc);
+    }
+    markdown.appendMarkdown(`\n\n_Macro from \`${template}\`_`);
+    return markdown;
+}
+
+/**
+ * Macro Provider
+ * Completion and hover for macros imported with {% import %} and {% from %},
+ * and for macros of the template itself through _self
+ */
+class MacroProvider {
+    /**
+     * Expression context at an offset: the Twig token, the parsed document and
+     * the masked expression text up to `end`
+     */
+    contextAt(document, offset, end) {
+        const parsed = new TwigParser().parse(document.getText());
+        const token = twigTokenAt(parsed, offset);
+        if (!token) {
+            return null;
+        }
+        const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+        if (end < exprStart) {
+            return null;
+        }
+        return { parsed, before: maskStrings(parsed.text, exprStart, end) };
+    }
+
+    /**
+     * Macros of an imported template, or of the document itself for _self
+     */
+    macrosOf(document, parsed, template) {
+        if (template === '_self') {
+            return collectMacros(parsed);
+        }
+        const file = templateResolverFor(document).resolve(template);
+        if (!file) {
+            return [];
+        }
+        const text = readTemplate(file);
+        return text === null ? [] : collectMacros(new TwigParser().parse(text));
+    }
+
+    completionItem(macro, template, label = macro.name) {
+        const item = new vscode.CompletionItem(label, vscode.CompletionItemKind.Function);
+        item.detail = `macro ${macro.name}(${macro.params.join(', ')})`;
+        item.documentation = macroDocumentation(macro, template);
+        const placeholders = macro.params.map((param, index) => `\${${index + 1}:${paramName(param)}}`);
+        item.insertText = new vscode.SnippetString(`${label}(${placeholders.join(', ')})$0`);
+        return item;
+    }
+
+    provideCompletionItems(document, position) {
+        const offset = document.offsetAt(position);
+        const context = this.contextAt(document, offset, offset);
+        if (!context) {
+            return [];
+        }
+        const { parsed, before } = context;
+        const imports = importsAt(findImports(parsed), offset);
+
+        // alias.| or _self.|
+        const member = before.match(/(?:^|[^\w.])([a-zA-Z_]\w*)\s*\.\s*\w*$/);
+        if (member) {
+            const entry = member[1] === '_self' ? { template: '_self' } : imports.find(item => item.alias === member[1]);
+            if (!entry) {
+                return [];
+            }
+            return this.macrosOf(document, parsed, entry.template)
+                .map(macro => this.completionItem(macro, entry.template));
+        }
+
+        // Names imported with {% from %}, wherever a function call may start
+        if (/[.|]\s*\w*$/.test(before)) {
+            return [];
+        }
+        const completions = [];
+        for (const entry of imports) {
+            const macros = this.macrosOf(document, parsed, entry.template);
+            for (const imported of entry.names) {
+                const macro = macros.find(item => item.name === imported.name) ||
+                    { name: imported.name, params: [], doc: '' };
+                completions.push(this.completionItem(macro, entry.template, imported.alias));
+            }
+        }
+        return completions;
+    }
+
+    provideHover(document, position) {
+        const offset = document.offsetAt(position);
+        const word = wordAt(document.getText(), offset);
+        if (!word) {
+            return null;
+        }
+        const context = this.contextAt(document, offset, word.start);
+        if (!context) {
+            return null;
+        }
+        const { parsed, before } = context;
+
+        const target = resolveMacroName(before, word.word, importsAt(findImports(parsed), offset));
+        if (!target) {
+            return null;
+        }
+        const macro = this.macrosOf(document, parsed, target.template).find(item => item.name === target.macro);
+        if (!macro) {
+            return null;
+        }
+        const range = new vscode.Range(document.positionAt(word.start), document.positionAt(word.end));
+        return new vscode.Hover(macroDocumentation(macro, target.template), range);
+    }
+}
+
+module.exports = {
+    MacroProvider
+};
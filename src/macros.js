@@ -0,0 +1,168 @@
+const { parseMacro } = require('./symbols');
+const { maskStrings, stringLiterals } = require('./expression');
+
+// Tags that give imports a scope of their own
+const SCOPE_TAGS = ['block', 'macro'];
+
+/**
+ * Text of a {# #} comment without the delimiters and leading * or # markers
+ */
+function commentText(token) {
+    return token.text
+        .replace(/^\{#[-~]?/, '')
+        .replace(/[-~]?#\}$/, '')
+        .split('\n')
+        .map(line => line.replace(/^\s*[*#]?\s?/, ''))
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Collect the {% macro %} definitions of a template
+ * The {# #} comment right before a macro is its documentation.
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {Array<{name: string, params: string[], doc: string, start: number, nameStart: number}>}
+ */
+function collectMacros(document) {
+    const macros = [];
+    const tokens = document.tokens;
+
+    tokens.forEach((token, index) => {
+        if (token.type !== 'twigTag' || token.name !== 'macro') {
+            return;
+        }
+        const macro = parseMacro(token);
+        if (!macro) {
+            return;
+        }
+
+        let previous = tokens[index - 1];
+        if (previous && previous.type === 'text' && previous.text.trim() === '') {
+            previous = tokens[index - 2];
+        }
+        const doc = previous && previous.type === 'twigComment' ? commentText(previous) : '';
+
+        macros.push({ name: macro.name, params: macro.params, doc, start: token.start, nameStart: macro.nameStart });
+    });
+
+    return macros;
+}
+
+/**
+ * Template an import reads macros from: a string literal or _self
+ * @returns {string|null} - Template name, '_self', or null for a dynamic expression
+ */
+function importedTemplate(text, start, end) {
+    const expression = text.slice(start, end).trim();
+    if (expression === '_self') {
+        return '_self';
+    }
+    const literals = stringLiterals(text, start, end);
+    if (literals.length === 1 && expression.length === literals[0].end - literals[0].start + 2) {
+        return literals[0].value;
+    }
+    return null;
+}
+
+/**
+ * Offsets an import is visible in: the block or macro it is in, or the whole template
+ */
+function scopeOf(token, text) {
+    for (let node = token.parent; node && node.type !== 'document'; node = node.parent) {
+        if (node.type === 'twigBlock' && SCOPE_TAGS.includes(node.name)) {
+            return { start: node.open.start, end: node.close ? node.close.end : text.length };
+        }
+    }
+    return { start: 0, end: text.length };
+}
+
+/**
+ * Find {% import 'x' as alias %} and {% from 'x' import a, b as c %} tags
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {Array<{tag: string, template: string, alias: string|null,
+ *          names: Array<{name: string, alias: string}>, scope: {start: number, end: number}}>}
+ *          `alias` is set for import, `names` for from
+ */
+function findImports(document) {
+    const text = document.text;
+    const imports = [];
+
+    for (const token of document.tokens) {
+        if (token.type !== 'twigTag' || (token.name !== 'import' && token.name !== 'from')) {
+            continue;
+        }
+        const masked = maskStrings(text, token.argsStart, token.bodyEnd);
+        const keyword = token.name === 'import' ? /\bas\b/.exec(masked) : /\bimport\b/.exec(masked);
+        if (!keyword) {
+            continue;
+        }
+        const template = importedTemplate(text, token.argsStart, token.argsStart + keyword.index);
+        if (!template) {
+            continue;
+        }
+
+        const rest = masked.slice(keyword.index + keyword[0].length);
+        const entry = { tag: token.name, template, alias: null, names: [], scope: scopeOf(token, text) };
+        if (token.name === 'import') {
+            const alias = rest.match(/^\s*([a-zA-Z_]\w*)\s*$/);
+            if (!alias) {
+                continue;
+            }
+            entry.alias = alias[1];
+        } else {
+            rest.split(',').forEach(part => {
+                const name = part.match(/^\s*([a-zA-Z_]\w*)(?:\s+as\s+([a-zA-Z_]\w*))?\s*$/);
+                if (name) {
+                    entry.names.push({ name: name[1], alias: name[2] || name[1] });
+                }
+            });
+        }
+        imports.push(entry);
+    }
+
+    return imports;
+}
+
+/**
+ * Imports visible at an offset; imports in a block or macro come before template-level ones
+ */
+function importsAt(imports, offset) {
+    return imports
+        .filter(entry => entry.scope.start <= offset && offset <= entry.scope.end)
+        .sort((a, b) => (b.scope.start - a.scope.start));
+}
+
+/**
+ * What a macro name in an expression refers to: `alias.name(` or an imported `name(`
+ * @param {string} before - Masked expression text before the name
+ * @param {string} name - The name
+ * @param {object[]} imports - Imports visible at the name (see importsAt)
+ * @returns {{template: string, macro: string}|null}
+ */
+function resolveMacroName(before, name, imports) {
+    const member = before.match(/(?:^|[^\w.])([a-zA-Z_]\w*)\s*\.\s*$/);
+    if (member) {
+        if (member[1] === '_self') {
+            return { template: '_self', macro: name };
+        }
+        const entry = imports.find(item => item.alias === member[1]);
+        return entry ? { template: entry.template, macro: name } : null;
+    }
+    if (/[.|]\s*$/.test(before)) {
+        return null;
+    }
+    for (const entry of imports) {
+        const imported = entry.names.find(item => item.alias === name);
+        if (imported) {
+            return { template: entry.template, macro: imported.name };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    collectMacros,
+    findImports,
+    importsAt,
+    resolveMacroName
+};
@@ -0,0 +1,129 @@
+const { TwigTagSet } = require('./tags');
+
+/**
+ * Twig Extensions Manifest
+ * Project-defined filters, functions, tests, globals and tags, read from a
+ * .twig-extensions.json file in the workspace folder:
+ *
+ *  {
+ *      "filters":   [{ "name": "price", "params": ["currency = 'EUR'"], "description": "..." }],
+ *      "functions": [{ "name": "asset_version", "params": ["path"] }],
+ *      "tests":     [{ "name": "instanceof", "params": ["class"] }],
+ *      "globals":   [{ "name": "app_name", "type": "string" }],
+ *      "tags":      [{ "name": "cache_block", "end": "endcache_block", "mids": ["fallback"] }]
+ *  }
+ *
+ * A tag with an `end` (a name, or true for end<name>) is a block tag; without one it is inline.
+ */
+
+const MANIFEST_FILE = '.twig-extensions.json';
+
+const SECTIONS = { filters: 'filter', functions: 'function', tests: 'test', tags: 'tag' };
+
+/**
+ * Check and normalize one manifest entry into the shape of a catalog entry
+ */
+function normalizeEntry(section, raw, index) {
+    const where = `${section}[${index}]`;
+    if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !/^[a-zA-Z_][\w ]*$/.test(raw.name)) {
+        throw new Error(`${where} needs a "name"`);
+    }
+    const params = raw.params || [];
+    if (!Array.isArray(params) || params.some(param => typeof param !== 'string')) {
+        throw new Error(`${where}.params must be a list of strings`);
+    }
+
+    const item = {
+        kind: SECTIONS[section],
+        name: raw.name,
+        params,
+        description: typeof raw.description === 'string' ? raw.description : '',
+        extension: MANIFEST_FILE
+    };
+    if (raw.deprecated) {
+        item.deprecated = typeof raw.deprecated === 'string' ? raw.deprecated : 'Deprecated.';
+    }
+
+    if (section === 'tags') {
+        if (raw.end !== undefined && raw.end !== false && raw.end !== true && typeof raw.end !== 'string') {
+            throw new Error(`${where}.end must be an end tag name or true`);
+        }
+        item.end = raw.end === true ? `end${raw.name}` : (raw.end || null);
+        item.mids = Array.isArray(raw.mids) ? raw.mids.filter(mid => typeof mid === 'string') : [];
+        item.syntax = typeof raw.syntax === 'string' ? raw.syntax
+            : (item.end ? `{% ${raw.name} %}...{% ${item.end} %}` : `{% ${raw.name} %}`);
+    }
+    return item;
+}
+
+class TwigManifest {
+    /**
+     * @param {object} data - Parsed manifest JSON
+     * @throws {Error} - When an entry is malformed
+     */
+    constructor(data = {}) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('The manifest must be a JSON object');
+        }
+
+        Object.keys(SECTIONS).forEach(section => {
+            const list = data[section] || [];
+            if (!Array.isArray(list)) {
+                throw new Error(`"${section}" must be a list`);
+            }
+            this[section] = list.map((raw, index) => normalizeEntry(section, raw, index));
+        });
+
+        const globals = data.globals || [];
+        if (!Array.isArray(globals)) {
+            throw new Error('"globals" must be a list');
+        }
+        this.globals = globals.map((raw, index) => {
+            if (!raw || typeof raw.name !== 'string' || !/^[a-zA-Z_]\w*$/.test(raw.name)) {
+                throw new Error(`globals[${index}] needs a "name"`);
+            }
+            return {
+                name: raw.name,
+                type: typeof raw.type === 'string' ? raw.type : '',
+                description: typeof raw.description === 'string' ? raw.description : ''
+            };
+        });
+    }
+
+    /**
+     * Read a manifest from its JSON text
+     * @throws {Error} - When the JSON is invalid or an entry is malformed
+     */
+    static parse(text) {
+        return new TwigManifest(JSON.parse(text));
+    }
+
+    /**
+     * Filters, functions, tests or tags, by catalog kind
+     */
+    entries(kind) {
+        const section = Object.keys(SECTIONS).find(name => SECTIONS[name] === kind);
+        return section ? this[section] : [];
+    }
+
+    /**
+     * Find a project entry by kind and name
+     */
+    find(kind, name) {
+        return this.entries(kind).find(item => item.name === name) || null;
+    }
+
+    /**
+     * Tag set with the project's block tags added
+     */
+    tagSet() {
+        const tags = new TwigTagSet();
+        this.tags.filter(item => item.end).forEach(item => tags.addBlockTag(item.name, item.end, item.mids));
+        return tags;
+    }
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    TwigManifest
+};
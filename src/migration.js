@@ -0,0 +1,234 @@
+const { twigTokens } = require('./parser');
+const { maskStrings, needsParentheses } = require('./expression');
+const { expressionNames } = require('./references');
+
+/**
+ * Migration
+ * Syntax that Twig 2 and 3 removed or deprecated, with the fixes that move a template
+ * to what replaces it
+ *
+ * Problems are plain objects like those of src/structure.js, with `deprecated: true` for
+ * syntax that still works and `fixes: [{ title, edits: [{ start, end, text }] }]`.
+ */
+
+// Block tags removed in Twig 2 and 3 and the tags that replace them
+const REMOVED_TAGS = {
+    spaceless: {
+        version: '3.0', code: 'removed-spaceless-tag', open: 'apply spaceless', close: 'endapply',
+        use: '{% apply spaceless %}...{% endapply %}'
+    },
+    filter: { version: '3.0', code: 'removed-filter-tag', open: 'apply', close: 'endapply', use: '{% apply %}...{% endapply %}' },
+    raw: { version: '2.0', code: 'removed-raw-tag', open: 'verbatim', close: 'endverbatim', use: '{% verbatim %}...{% endverbatim %}' }
+};
+
+// Test spellings removed in Twig 2.0
+const REMOVED_TESTS = { sameas: 'same as', divisibleby: 'divisible by' };
+
+function has(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * The end tag of a removed block tag; tags the parser doesn't know as blocks ({% raw %})
+ * end at the next end tag of the same name outside nested ones
+ */
+function endTagOf(document, token) {
+    if (token.node && token.node.open === token) {
+        const close = token.node.close;
+        return close && close.name === `end${token.name}` ? close : null;
+    }
+    let depth = 0;
+    for (const other of document.tokens) {
+        if (other.type !== 'twigTag' || other.start <= token.start) {
+            continue;
+        }
+        if (other.name === token.name) {
+            depth++;
+        } else if (other.name === `end${token.name}`) {
+            if (depth === 0) {
+                return other;
+            }
+            depth--;
+        }
+    }
+    return null;
+}
+
+/**
+ * Text of an expression with the removed test spellings replaced
+ */
+function withTestsRenamed(text, start, end) {
+    const masked = maskStrings(text, start, end);
+    const pattern = /(^|[^\w.])(is\s+(?:not\s+)?)(sameas|divisibleby)\b/g;
+    let result = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(masked)) !== null) {
+        const nameStart = match.index + match[1].length + match[2].length;
+        result += text.slice(start + last, start + nameStart) + REMOVED_TESTS[match[3]];
+        last = nameStart + match[3].length;
+    }
+    return result + text.slice(start + last, end);
+}
+
+/**
+ * {% for x in items if condition %}, removed in Twig 3.0
+ * The condition moves into a |filter arrow function; conditions that use `loop` can't.
+ */
+function checkLoopCondition(text, token, problems) {
+    const masked = maskStrings(text, token.argsStart, token.bodyEnd);
+    const head = masked.match(/^\s*([a-zA-Z_]\w*)(?:\s*,\s*([a-zA-Z_]\w*))?\s+in\s+/);
+    if (!head) {
+        return;
+    }
+
+    // The `if` outside brackets after the sequence
+    let depth = 0;
+    let ifAt = -1;
+    for (let i = head[0].length; i < masked.length; i++) {
+        if ('([{'.includes(masked[i])) {
+            depth++;
+        } else if (')]}'.includes(masked[i])) {
+            depth--;
+        } else if (depth === 0 && /\sif\s/.test(masked.slice(i - 1, i + 3))) {
+            ifAt = i;
+            break;
+        }
+    }
+    if (ifAt === -1) {
+        return;
+    }
+
+    const sequenceStart = token.argsStart + head[0].length;
+    const sequence = text.slice(sequenceStart, token.argsStart + ifAt).trimEnd();
+    const condition = withTestsRenamed(text, token.argsStart + ifAt + 2, token.bodyEnd).trim();
+    const end = token.argsStart + masked.trimEnd().length;
+    const problem = {
+        start: token.argsStart + ifAt,
+        end,
+        severity: 'warning',
+        code: 'removed-loop-condition',
+        message: 'Conditions in {% for %} were removed in Twig 3.0: filter the sequence with |filter',
+        fixes: []
+    };
+    if (!/(^|[^\w.])loop\b/.test(maskStrings(text, token.argsStart + ifAt + 2, token.bodyEnd))) {
+        // {% for key, value in items %}: the arrow function gets the value first
+        const params = head[2] ? `(${head[2]}, ${head[1]})` : head[1];
+        const wrapped = needsParentheses(masked.slice(head[0].length, ifAt)) ? `(${sequence})` : sequence;
+        problem.fixes.push({
+            title: 'Move the condition into |filter',
+            edits: [{ start: sequenceStart, end, text: `${wrapped}|filter(${params} => ${condition})` }]
+        });
+    }
+    problems.push(problem);
+}
+
+/**
+ * Check a template for syntax that Twig 2 and 3 removed or deprecated
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {function(string, string): object|undefined} lookup - Catalog or project entry of a
+ *        tag, filter, function or test (see src/catalog.js), for the ones marked deprecated
+ * @returns {object[]} - Problems found
+ */
+function checkMigration(document, lookup = () => undefined) {
+    const text = document.text;
+    const problems = [];
+
+    for (const token of twigTokens(document)) {
+        if (token.type !== 'twigTag') {
+            continue;
+        }
+        const removed = has(REMOVED_TAGS, token.name) ? REMOVED_TAGS[token.name] : null;
+        if (removed) {
+            const edits = [{ start: token.nameStart, end: token.nameStart + token.name.length, text: removed.open }];
+            const close = endTagOf(document, token);
+            if (close) {
+                edits.push({ start: close.nameStart, end: close.nameStart + close.name.length, text: removed.close });
+            }
+            problems.push({
+                start: token.start,
+                end: token.end,
+                severity: 'warning',
+                code: removed.code,
+                message: `{% ${token.name} %} was removed in Twig ${removed.version}: use ${removed.use}`,
+                fixes: [{ title: `Replace with {% ${removed.open} %}`, edits }]
+            });
+        } else if (token.name === 'for') {
+            checkLoopCondition(text, token, problems);
+        } else if (token.name && !token.name.startsWith('end')) {
+            const entry = lookup('tag', token.name);
+            if (entry && entry.deprecated) {
+                problems.push({
+                    start: token.nameStart,
+                    end: token.nameStart + token.name.length,
+                    severity: 'information',
+                    code: 'deprecated',
+                    message: `{% ${token.name} %}: ${entry.deprecated}`,
+                    deprecated: true,
+                    fixes: []
+                });
+            }
+        }
+    }
+
+    for (const item of expressionNames(document)) {
+        if (item.kind === 'test' && has(REMOVED_TESTS, item.name)) {
+            problems.push({
+                start: item.start,
+                end: item.end,
+                severity: 'warning',
+                code: 'removed-test',
+                message: `The "${item.name}" test was removed in Twig 2.0: use "${REMOVED_TESTS[item.name]}"`,
+                fixes: [{ title: `Replace with "${REMOVED_TESTS[item.name]}"`, edits: [{ start: item.start, end: item.end, text: REMOVED_TESTS[item.name] }] }]
+            });
+            continue;
+        }
+        const entry = ['filter', 'function', 'test'].includes(item.kind) && lookup(item.kind, item.name);
+        if (entry && entry.deprecated) {
+            problems.push({
+                start: item.start,
+                end: item.end,
+                severity: 'information',
+                code: 'deprecated',
+                message: `The "${item.name}" ${item.kind}: ${entry.deprecated}`,
+                deprecated: true,
+                fixes: []
+            });
+        }
+    }
+
+    return problems.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check if the first fix of a problem is part of a list of edits: its own edits, or an edit
+ * around them that fixes them too (removed tests in a {% for %} condition)
+ */
+function isFixedBy(problem, edits) {
+    const fix = problem.fixes[0];
+    return Boolean(fix) && fix.edits.every(edit =>
+        edits.some(other => other === edit || (other.start <= edit.start && edit.end <= other.end)));
+}
+
+/**
+ * Edits of the first fix of every problem, leaving out fixes that overlap an earlier one
+ * @param {object[]} problems - Result of checkMigration
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function migrationEdits(problems) {
+    const edits = [];
+    for (const problem of problems) {
+        const fix = problem.fixes[0];
+        if (fix && !isFixedBy(problem, edits) &&
+            fix.edits.every(edit => edits.every(other => edit.end <= other.start || other.end <= edit.start))) {
+            edits.push(...fix.edits);
+        }
+    }
+    return edits.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    checkMigration,
+    migrationEdits,
+    isFixedBy
+};
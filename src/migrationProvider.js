@@ -0,0 +1,97 @@
+const vscode = require('vscode');
+const { TwigParser } = require('./parser');
+const { checkMigration, migrationEdits, isFixedBy } = require('./migration');
+const { lookup } = require('./twigHelp');
+const { manifestFor, readTemplate } = require('./project');
+const { positionIn } = require('./templateIndex');
+
+/**
+ * Migration Provider
+ * Warnings for syntax that Twig 2 and 3 removed or deprecated, quick fixes that replace it,
+ * and the fixes of every template of the workspace at once
+ */
+class MigrationProvider {
+    /**
+     * Migration problems of a template's text
+     * @param {{uri: vscode.Uri}} document - Document or { uri } of a file, for the project's tags
+     */
+    problemsOf(document, text) {
+        const parsed = new TwigParser(manifestFor(document).tagSet()).parse(text);
+        return checkMigration(parsed, (kind, name) => lookup(document, kind, name));
+    }
+
+    check(document) {
+        if (!vscode.workspace.getConfiguration('ultimateTwig.diagnostics', document.uri).get('migration', true)) {
+            return [];
+        }
+        return this.problemsOf(document, document.getText());
+    }
+
+    provideCodeActions(document, range, context) {
+        const problems = this.problemsOf(document, document.getText());
+        const toEdit = (edits) => {
+            const edit = new vscode.WorkspaceEdit();
+            edits.forEach(item => edit.replace(document.uri,
+                new vscode.Range(document.positionAt(item.start), document.positionAt(item.end)), item.text));
+            return edit;
+        };
+
+        const actions = [];
+        for (const diagnostic of context.diagnostics) {
+            const start = document.offsetAt(diagnostic.range.start);
+            const problem = problems.find(item => item.code === diagnostic.code && item.start === start);
+            if (!problem) {
+                continue;
+            }
+            problem.fixes.forEach((fix, index) => {
+                const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+                action.edit = toEdit(fix.edits);
+                action.diagnostics = [diagnostic];
+                action.isPreferred = index === 0;
+                actions.push(action);
+            });
+        }
+
+        if (actions.length > 0 && problems.filter(item => item.fixes.length > 0).length > 1) {
+            const action = new vscode.CodeAction('Fix all Twig 3 migration problems in this template', vscode.CodeActionKind.QuickFix);
+            action.edit = toEdit(migrationEdits(problems));
+            actions.push(action);
+        }
+        return actions;
+    }
+
+    /**
+     * Fixes of every template, open ones as they are in the editor
+     * @param {vscode.Uri[]} files - Template files
+     * @returns {{edit: vscode.WorkspaceEdit, count: number, fileCount: number,
+     *           unfixed: Array<{uri: vscode.Uri, line: number, message: string}>}}
+     *          `unfixed` are the problems that have no fix or whose fix overlaps another one
+     */
+    fixAll(files) {
+        const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.fsPath, document]));
+        const edit = new vscode.WorkspaceEdit();
+        const unfixed = [];
+        let count = 0;
+        let fileCount = 0;
+        for (const uri of files) {
+            const document = openDocuments.get(uri.fsPath);
+            const text = document ? document.getText() : readTemplate(uri.fsPath);
+            if (text === null) {
+                continue;
+            }
+            const problems = this.problemsOf({ uri }, text);
+            const edits = migrationEdits(problems);
+            edits.forEach(item => edit.replace(uri,
+                new vscode.Range(positionIn(text, item.start), positionIn(text, item.end)), item.text));
+            const left = problems.filter(problem => !isFixedBy(problem, edits));
+            left.forEach(problem => unfixed.push({ uri, line: positionIn(text, problem.start).line, message: problem.message }));
+            count += problems.length - left.length;
+            fileCount += edits.length > 0 ? 1 : 0;
+        }
+        return { edit, count, fileCount, unfixed };
+    }
+}
+
+module.exports = {
+    MigrationProvider
+};
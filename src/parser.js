@@ -0,0 +1,210 @@
+const { TwigLexer, createTwigToken } = require('./lexer');
+const { TwigTagSet } = require('./tags');
+
+// An open element is implicitly closed when one of these starts inside it
+const IMPLICIT_CLOSE = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    p: ['address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+        'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'main', 'menu', 'nav', 'ol',
+        'p', 'pre', 'section', 'table', 'ul'],
+    option: ['option', 'optgroup'],
+    tr: ['tr'],
+    td: ['td', 'th', 'tr'],
+    th: ['td', 'th', 'tr']
+};
+
+/**
+ * Twig Parser
+ * Builds a tree of nested Twig blocks and HTML elements from the lexer tokens
+ *
+ * Node types:
+ *  - document   { children }
+ *  - twigBlock  { name, open, close, children } - mid tags (else, elseif) are kept in children
+ *  - element    { name, open, close, children }
+ *  - any lexer token as a leaf
+ *
+ * Every token gets a `depth`: the nesting level it should be printed at when it
+ * starts a line. End and mid tags get the depth of the block they belong to.
+ * HTML elements never cross a Twig block or branch boundary; an element still open
+ * when its branch ends is closed implicitly and marked `unclosed`, with the tag that
+ * ended it in `closedBy`. End tags without a matching open node are marked `stray`.
+ */
+class TwigParser {
+    constructor(tags) {
+        this.tags = tags || new TwigTagSet();
+    }
+
+    /**
+     * Parse a template
+     * @param {string} text - The template source
+     * @returns {object} - The document node, with the flat token list in `tokens`
+     */
+    parse(text) {
+        const tokens = new TwigLexer(text).tokenize();
+        const document = { type: 'document', children: [], tokens, text };
+        const stack = [document];
+
+        const top = () => stack[stack.length - 1];
+        const depth = () => stack.length - 1;
+        const append = (item) => {
+            item.parent = top();
+            top().children.push(item);
+        };
+        const popUnclosed = (closedBy) => {
+            const node = stack.pop();
+            node.unclosed = true;
+            node.closedBy = closedBy;
+        };
+        const closeUntil = (node, closeToken) => {
+            while (top() !== node) {
+                popUnclosed(closeToken);
+            }
+            stack.pop();
+            node.close = closeToken;
+            closeToken.depth = depth();
+            closeToken.node = node;
+        };
+        const innermostBlockIndex = () => {
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].type === 'twigBlock') {
+                    return i;
+                }
+            }
+            return 0;
+        };
+
+        for (const token of tokens) {
+            if (token.type === 'twigTag') {
+                if (this.tags.isOpener(token)) {
+                    token.depth = depth();
+                    const node = { type: 'twigBlock', name: token.name, open: token, close: null, children: [] };
+                    token.node = node;
+                    append(node);
+                    stack.push(node);
+                    continue;
+                }
+
+                if (this.tags.isMid(token)) {
+                    const index = innermostBlockIndex();
+                    const block = stack[index];
+                    if (index > 0 && this.tags.acceptsMid(block.name, token.name)) {
+                        while (stack.length - 1 > index) {
+                            popUnclosed(token);
+                        }
+                        token.depth = index - 1;
+                        token.node = block;
+                        append(token);
+                        continue;
+                    }
+                    token.stray = true;
+                }
+
+                if (this.tags.isEnd(token)) {
+                    const openerName = this.tags.openerOf(token.name);
+                    const block = stack.slice(1).reverse().find(node =>
+                        node.type === 'twigBlock' && node.name === openerName);
+                    if (block) {
+                        closeUntil(block, token);
+                        continue;
+                    }
+                    token.stray = true;
+                }
+
+                token.depth = depth();
+                append(token);
+                continue;
+            }
+
+            if (token.type === 'htmlStartTag' && !token.selfClosing && !token.void) {
+                const name = token.name.toLowerCase();
+                const current = top();
+                if (current.type === 'element' && (IMPLICIT_CLOSE[current.name] || []).includes(name)) {
+                    stack.pop();
+                }
+                token.depth = depth();
+                const node = { type: 'element', name, open: token, close: null, children: [] };
+                token.node = node;
+                append(node);
+                stack.push(node);
+                continue;
+            }
+
+            if (token.type === 'htmlEndTag') {
+                const name = token.name.toLowerCase();
+                const boundary = innermostBlockIndex();
+                let element = null;
+                for (let i = stack.length - 1; i > boundary; i--) {
+                    if (stack[i].type === 'element' && stack[i].name === name) {
+                        element = stack[i];
+                        break;
+                    }
+                }
+                if (element) {
+                    closeUntil(element, token);
+                    continue;
+                }
+                token.stray = true;
+            }
+
+            token.depth = depth();
+            append(token);
+        }
+
+        while (stack.length > 1) {
+            stack.pop().unclosed = true;
+        }
+
+        return document;
+    }
+}
+
+/**
+ * All {% %} and {{ }} tokens of a document, including those inside HTML tags, in source order
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {object[]}
+ */
+function twigTokens(document) {
+    const result = [];
+    for (const token of document.tokens) {
+        if (token.type === 'twigTag' || token.type === 'twigOutput') {
+            result.push(token);
+        } else if (token.type === 'htmlStartTag') {
+            result.push(...token.twig.filter(twig => twig.type !== 'twigComment'));
+        }
+    }
+    return result;
+}
+
+/**
+ * The {% %} or {{ }} token an offset is inside of
+ * While typing, the token may not be closed yet: then the text from the last
+ * unclosed {{ or {% up to the offset is used
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {number} offset - Offset in the document
+ * @returns {object|null}
+ */
+function twigTokenAt(document, offset) {
+    const token = twigTokens(document).find(t => t.start < offset && offset < t.end);
+    if (token) {
+        return token;
+    }
+
+    const before = document.text.slice(0, offset);
+    const start = Math.max(before.lastIndexOf('{{'), before.lastIndexOf('{%'));
+    if (start === -1 || /%\}|\}\}/.test(before.slice(start))) {
+        return null;
+    }
+    const kind = before[start + 1];
+    const trimLeft = /[-~]/.test(before[start + 2] || '') ? before[start + 2] : '';
+    const bodyStart = start + 2 + trimLeft.length;
+    return createTwigToken(document.text, kind, start, bodyStart, Math.max(bodyStart, offset), offset, trimLeft, '');
+}
+
+module.exports = {
+    IMPLICIT_CLOSE,
+    TwigParser,
+    twigTokens,
+    twigTokenAt
+};
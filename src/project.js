@@ -0,0 +1,148 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { TemplateResolver } = require('./templates');
+const { MANIFEST_FILE, TwigManifest } = require('./manifest');
+const { SymfonyProject, isSymfonyProject } = require('./symfony');
+const { SYMFONY_GLOBALS, symfonyEntries } = require('./catalog');
+
+/**
+ * Project Context
+ * Per-document access to the workspace folder and the project settings that go with it
+ */
+
+// Workspace folder path -> TwigManifest, dropped when a manifest file changes
+const manifests = new Map();
+
+// Workspace folder path -> { project: SymfonyProject, detected: whether it looks like a Symfony app }
+const symfonyProjects = new Map();
+
+/**
+ * Directory project paths are relative to: the workspace folder of the document,
+ * or the document's own directory when it is outside the workspace
+ */
+function projectRootOf(document) {
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+    return folder ? folder.uri.fsPath : path.dirname(document.uri.fsPath);
+}
+
+/**
+ * Template resolver configured by ultimateTwig.templates.roots/namespaces
+ */
+function templateResolverFor(document) {
+    const config = vscode.workspace.getConfiguration('ultimateTwig.templates', document.uri);
+    return new TemplateResolver(projectRootOf(document), {
+        roots: config.get('roots', ['templates']),
+        namespaces: config.get('namespaces', {})
+    });
+}
+
+/**
+ * Text of a template file, from its editor when it is open
+ * @returns {string|null} - null if the file can't be read
+ */
+function readTemplate(file) {
+    const open = vscode.workspace.textDocuments.find(document => document.uri.fsPath === file);
+    if (open) {
+        return open.getText();
+    }
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Project extensions manifest (.twig-extensions.json) of the document's workspace folder
+ * A missing manifest is empty; an invalid one is reported once and treated as empty.
+ * @returns {TwigManifest}
+ */
+function manifestFor(document) {
+    const root = projectRootOf(document);
+    if (manifests.has(root)) {
+        return manifests.get(root);
+    }
+
+    let manifest = new TwigManifest();
+    const file = path.join(root, MANIFEST_FILE);
+    if (fs.existsSync(file)) {
+        try {
+            manifest = TwigManifest.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            vscode.window.showWarningMessage(`Ultimate Twig: ignoring ${MANIFEST_FILE}: ${error.message}`);
+        }
+    }
+    manifests.set(root, manifest);
+    return manifest;
+}
+
+/**
+ * Symfony app of the document's workspace folder, following ultimateTwig.symfony.mode:
+ * 'auto' when the folder looks like a Symfony app, 'on' always, 'off' never
+ * @returns {SymfonyProject|null}
+ */
+function symfonyProjectFor(document) {
+    const mode = vscode.workspace.getConfiguration('ultimateTwig.symfony', document.uri).get('mode', 'auto');
+    if (mode === 'off') {
+        return null;
+    }
+    const root = projectRootOf(document);
+    if (!symfonyProjects.has(root)) {
+        symfonyProjects.set(root, { project: new SymfonyProject(root), detected: isSymfonyProject(root) });
+    }
+    const entry = symfonyProjects.get(root);
+    return mode === 'on' || entry.detected ? entry.project : null;
+}
+
+/**
+ * Tags, filters, functions or tests the project adds to Twig: the manifest's
+ * and, in Symfony mode, those of the Symfony Twig bridge
+ * @param {string} kind - 'tag', 'filter', 'function' or 'test'
+ */
+function projectEntries(document, kind) {
+    const entries = manifestFor(document).entries(kind);
+    return symfonyProjectFor(document) ? entries.concat(symfonyEntries(kind)) : entries;
+}
+
+/**
+ * Global variables of the manifest and, in Symfony mode, the app variable
+ */
+function projectGlobals(document) {
+    const globals = manifestFor(document).globals;
+    return symfonyProjectFor(document) ? globals.concat(SYMFONY_GLOBALS) : globals;
+}
+
+/**
+ * Reload manifests and Symfony routes, assets and translations when their files change
+ * @param {vscode.ExtensionContext} context
+ * @param {function(): void} onChange - Called after project files changed
+ */
+function watchProjectFiles(context, onChange) {
+    const watch = (pattern, reload, events = ['onDidCreate', 'onDidChange', 'onDidDelete']) => {
+        const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+        context.subscriptions.push(watcher);
+        events.forEach(event => context.subscriptions.push(watcher[event](() => {
+            reload();
+            onChange();
+        })));
+    };
+    const invalidateSymfony = () => symfonyProjects.forEach(entry => entry.project.invalidate());
+
+    watch(`**/${MANIFEST_FILE}`, () => manifests.clear());
+    watch('**/{composer.json,symfony.lock}', () => symfonyProjects.clear());
+    watch('**/{config/routes.{yaml,yml},config/routes/**/*.{yaml,yml},src/**/*.php}', invalidateSymfony);
+    watch('**/{public,assets}/**', invalidateSymfony, ['onDidCreate', 'onDidDelete']);
+    watch('**/translations/**', invalidateSymfony);
+}
+
+module.exports = {
+    projectRootOf,
+    templateResolverFor,
+    readTemplate,
+    manifestFor,
+    symfonyProjectFor,
+    projectEntries,
+    projectGlobals,
+    watchProjectFiles
+};
@@ -0,0 +1,160 @@
+const { skipString } = require('./lexer');
+const { twigTokens } = require('./parser');
+
+/**
+ * Protected Regions
+ * Parts of a template the formatter leaves exactly as written:
+ *  - the content of <pre>, <textarea>, {% verbatim %} and {% apply spaceless %}
+ *  - Twig strings over several lines
+ *  - the lines between {# format-off #} and {# format-on #} (or the end of the file)
+ *  - the element, block or tag after {# format-ignore-next #}, with its whole lines
+ *    (in text and <script> code, the next line)
+ * A line is kept as written when it starts inside a region, so the indentation of
+ * `</pre>` and of the lines in between never changes.
+ */
+
+// Elements whose whitespace is content
+const PROTECTED_ELEMENTS = ['pre', 'textarea'];
+
+/**
+ * Formatter directive of a {# #} comment
+ * @returns {string|null} - 'off', 'on' or 'ignore-next'
+ */
+function directiveOf(token) {
+    const match = token.type === 'twigComment' && /^\{#\s*format-(off|on|ignore-next)\s*#\}$/.exec(token.text);
+    return match ? match[1] : null;
+}
+
+/**
+ * Check if a block or element keeps its content as written
+ */
+function keepsContent(node) {
+    if (node.type === 'element') {
+        return PROTECTED_ELEMENTS.includes(node.name);
+    }
+    return node.name === 'verbatim' || (node.name === 'apply' && /\bspaceless\b/.test(node.open.args));
+}
+
+/**
+ * Offset right after the element, block or token that starts with a token
+ */
+function endOf(token) {
+    const node = token.node;
+    return node && node.open === token && node.close ? node.close.end : token.end;
+}
+
+/**
+ * Start of the line an offset is on
+ */
+function lineStartOf(text, offset) {
+    return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+/**
+ * Find the protected regions of a template
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {Array<{start: number, end: number}>} - Offsets, in source order; lines that start
+ *          after `start` and at or before `end` are kept as written
+ */
+function protectedRegions(document) {
+    const text = document.text;
+    const regions = [];
+
+    const visit = (items) => {
+        for (const item of items) {
+            if (item.children && item.close && keepsContent(item)) {
+                regions.push({ start: item.open.end, end: item.close.start });
+                continue;
+            }
+            if (item.children) {
+                visit(item.children);
+            }
+        }
+    };
+    visit(document.children);
+
+    for (const token of twigTokens(document)) {
+        for (let i = token.bodyStart; i < token.bodyEnd; i++) {
+            if (text[i] === '"' || text[i] === '\'') {
+                const end = skipString(text, i);
+                if (text.slice(i, end).includes('\n')) {
+                    regions.push({ start: i, end });
+                }
+                i = end - 1;
+            }
+        }
+    }
+
+    const tokens = document.tokens;
+    for (let t = 0; t < tokens.length; t++) {
+        const directive = directiveOf(tokens[t]);
+        if (directive === 'off') {
+            let on = t + 1;
+            while (on < tokens.length && directiveOf(tokens[on]) !== 'on') {
+                on++;
+            }
+            const end = on < tokens.length ? lineStartOf(text, tokens[on].start) - 1 : text.length;
+            regions.push({ start: tokens[t].end, end });
+            t = on;
+        } else if (directive === 'ignore-next') {
+            const next = tokens.slice(t + 1).find(token => token.type !== 'text' || token.text.trim() !== '');
+            if (next && next.type === 'text') {
+                // In text and script code, the next line
+                const lineStart = lineStartOf(text, next.start + next.text.search(/\S/));
+                regions.push({ start: lineStart - 1, end: lineStart });
+            } else if (next) {
+                regions.push({ start: lineStartOf(text, next.start) - 1, end: endOf(next) - 1 });
+            }
+        }
+    }
+
+    return regions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check if offsets overlap a protected region
+ */
+function overlapsRegion(regions, start, end) {
+    return regions.some(region => start < region.end && end > region.start);
+}
+
+/**
+ * Lines that start inside a protected region
+ * @returns {Set<number>} - Line indexes
+ */
+function protectedLines(text, regions) {
+    const lines = new Set();
+    if (regions.length === 0) {
+        return lines;
+    }
+    const lineStarts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
+    }
+    // First line starting after an offset
+    const lineAfter = (offset) => {
+        let low = 0;
+        let high = lineStarts.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (lineStarts[middle] <= offset) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    };
+    for (const region of regions) {
+        for (let line = lineAfter(region.start); line < lineStarts.length && lineStarts[line] <= region.end; line++) {
+            lines.add(line);
+        }
+    }
+    return lines;
+}
+
+module.exports = {
+    protectedRegions,
+    overlapsRegion,
+    protectedLines
+};
@@ -0,0 +1,203 @@
+const vscode = require('vscode');
+const path = require('path');
+const { TwigParser } = require('./parser');
+const { blockNames, macroNames, variableOccurrences, parentTemplates, movedTemplateReferences } = require('./references');
+const { templateResolverFor } = require('./project');
+const { positionIn } = require('./templateIndex');
+
+/**
+ * Twig Reference Provider
+ * Find references and rename for block names across the extends/use hierarchy, macros
+ * across the templates that import them, and variables within their scope, and updating
+ * template names when template files are moved
+ */
+class TwigReferenceProvider {
+    /**
+     * @param {TemplateIndex} index - Templates of the workspace
+     */
+    constructor(index) {
+        this.index = index;
+    }
+
+    /**
+     * The block, macro or variable named at an offset
+     * @returns {{kind: string, name: string, start: number, end: number, template?: string|null}|null}
+     */
+    symbolAt(document, offset) {
+        const parsed = new TwigParser().parse(document.getText());
+        const contains = (item) => item.start <= offset && offset <= item.end;
+
+        const block = blockNames(parsed).find(contains);
+        if (block) {
+            return Object.assign({ kind: 'block' }, block);
+        }
+        const macro = macroNames(parsed).find(contains);
+        if (macro) {
+            return Object.assign({ kind: 'macro' }, macro);
+        }
+        const occurrences = variableOccurrences(parsed, offset);
+        if (occurrences) {
+            return Object.assign({ kind: 'variable', occurrences }, occurrences.find(contains));
+        }
+        return null;
+    }
+
+    /**
+     * Occurrences of the block, macro or variable at a position, in every template they are in
+     * @returns {Promise<Array<{uri: vscode.Uri, text: string, occurrences: object[]}>|null>}
+     */
+    async occurrencesAt(document, position, cancellation) {
+        const symbol = this.symbolAt(document, document.offsetAt(position));
+        if (!symbol) {
+            return null;
+        }
+        if (symbol.kind === 'variable') {
+            return [{ uri: document.uri, text: document.getText(), occurrences: symbol.occurrences }];
+        }
+
+        const resolver = templateResolverFor(document);
+        const templates = await this.index.templates(cancellation);
+        if (!templates.some(({ uri }) => uri.fsPath === document.uri.fsPath)) {
+            templates.push({ uri: document.uri, parsed: new TwigParser().parse(document.getText()) });
+        }
+        const fileOf = (name, uri) => name === '_self' ? uri.fsPath : resolver.resolve(name);
+        const result = [];
+        const add = (uri, parsed, occurrences) => {
+            if (occurrences.length > 0) {
+                result.push({ uri, text: parsed.text, occurrences });
+            }
+        };
+
+        if (symbol.kind === 'macro') {
+            const source = fileOf(symbol.template, document.uri);
+            if (!source) {
+                return null;
+            }
+            for (const { uri, parsed } of templates) {
+                add(uri, parsed, macroNames(parsed)
+                    .filter(item => item.name === symbol.name && fileOf(item.template, uri) === source));
+            }
+            return result;
+        }
+
+        // Blocks: the templates connected to the one the name is in through extends and use, and
+        // the {% embed %} bodies of them (blockNames gives those the embedded template)
+        const start = symbol.template ? resolver.resolve(symbol.template) : document.uri.fsPath;
+        if (!start) {
+            return null;
+        }
+        const family = this.family(start, templates, resolver);
+        for (const { uri, parsed } of templates) {
+            add(uri, parsed, blockNames(parsed).filter(item => item.name === symbol.name &&
+                (item.template ? family.has(resolver.resolve(item.template)) : family.has(uri.fsPath))));
+        }
+        return result;
+    }
+
+    /**
+     * Files of the templates connected to a template through extends and use, in either direction
+     * @returns {Set<string>}
+     */
+    family(file, templates, resolver) {
+        const links = new Map();
+        const link = (a, b) => {
+            links.set(a, (links.get(a) || []).concat(b));
+            links.set(b, (links.get(b) || []).concat(a));
+        };
+        for (const { uri, parsed } of templates) {
+            parentTemplates(parsed)
+                .map(name => resolver.resolve(name))
+                .filter(parent => parent)
+                .forEach(parent => link(uri.fsPath, parent));
+        }
+
+        const family = new Set([file]);
+        const queue = [file];
+        while (queue.length > 0) {
+            for (const next of links.get(queue.shift()) || []) {
+                if (!family.has(next)) {
+                    family.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+        return family;
+    }
+
+    async provideReferences(document, position, context, cancellation) {
+        const found = await this.occurrencesAt(document, position, cancellation);
+        if (!found) {
+            return [];
+        }
+        const locations = [];
+        for (const { uri, text, occurrences } of found) {
+            occurrences
+                .filter(item => context.includeDeclaration || !item.declaration)
+                .forEach(item => locations.push(new vscode.Location(uri,
+                    new vscode.Range(positionIn(text, item.start), positionIn(text, item.end)))));
+        }
+        return locations;
+    }
+
+    prepareRename(document, position) {
+        const symbol = this.symbolAt(document, document.offsetAt(position));
+        if (!symbol) {
+            throw new Error('Only blocks, macros and variables set in a template can be renamed');
+        }
+        return {
+            range: new vscode.Range(document.positionAt(symbol.start), document.positionAt(symbol.end)),
+            placeholder: symbol.name
+        };
+    }
+
+    async provideRenameEdits(document, position, newName, cancellation) {
+        if (!/^[a-zA-Z_]\w*$/.test(newName)) {
+            throw new Error(`"${newName}" is not a valid Twig name`);
+        }
+        const found = await this.occurrencesAt(document, position, cancellation);
+        if (!found) {
+            return null;
+        }
+        const edit = new vscode.WorkspaceEdit();
+        for (const { uri, text, occurrences } of found) {
+            occurrences.forEach(item => edit.replace(uri,
+                new vscode.Range(positionIn(text, item.start), positionIn(text, item.end)), newName));
+        }
+        return edit;
+    }
+
+    /**
+     * Edits that point template names at moved or renamed template files
+     * @param {Array<{oldUri: vscode.Uri, newUri: vscode.Uri}>} files - Moved files and directories
+     * @returns {Promise<{edit: vscode.WorkspaceEdit, count: number, fileCount: number}>}
+     */
+    async movedTemplateEdits(files) {
+        const movedPath = (file) => {
+            for (const { oldUri, newUri } of files) {
+                if (file === oldUri.fsPath) {
+                    return newUri.fsPath;
+                }
+                if (file.startsWith(oldUri.fsPath + path.sep)) {
+                    return newUri.fsPath + file.slice(oldUri.fsPath.length);
+                }
+            }
+            return null;
+        };
+
+        const edit = new vscode.WorkspaceEdit();
+        let count = 0;
+        let fileCount = 0;
+        for (const { uri, parsed } of await this.index.templates()) {
+            const edits = movedTemplateReferences(parsed, templateResolverFor({ uri }), movedPath);
+            edits.forEach(item => edit.replace(uri,
+                new vscode.Range(positionIn(parsed.text, item.start), positionIn(parsed.text, item.end)), item.name));
+            count += edits.length;
+            fileCount += edits.length > 0 ? 1 : 0;
+        }
+        return { edit, count, fileCount };
+    }
+}
+
+module.exports = {
+    TwigReferenceProvider
+};
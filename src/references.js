@@ -0,0 +1,277 @@
+const path = require('path');
+const { twigTokens } = require('./parser');
+const { maskStrings, stringLiterals, classifyName, findClosingBracket } = require('./expression');
+const { collectVariables, variablesAt } = require('./variables');
+const { findImports, importsAt, resolveMacroName } = require('./macros');
+const { findTemplateReferences } = require('./templates');
+const { parseMacro } = require('./symbols');
+const { embeddedTemplate } = require('./inheritance');
+
+/**
+ * References
+ * Where blocks, macros and variables are named in a template, for rename and find references.
+ * Every occurrence has the offsets of the name and whether it declares it:
+ * { name, start, end, declaration }
+ */
+
+// Tags whose arguments are names or template imports, not expressions
+const NAME_TAGS = ['block', 'endblock', 'macro', 'endmacro', 'import', 'from', 'use'];
+
+// Words of expressions and tag arguments that are not variables
+const KEYWORDS = ['and', 'or', 'not', 'in', 'is', 'matches', 'starts', 'ends', 'with', 'only', 'ignore', 'missing',
+    'as', 'if', 'true', 'false', 'null', 'none', 'TRUE', 'FALSE', 'NULL', 'NONE', '_self', '_context', '_charset'];
+
+/**
+ * Names in the Twig expressions of a template
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {Array<{name: string, start: number, end: number, kind: string, before: string}>} - kind is
+ *          'filter', 'function', 'test', 'property', 'key' (hash key or named argument) or 'name';
+ *          `before` is the masked expression up to the name (see resolveMacroName)
+ */
+function expressionNames(document) {
+    const text = document.text;
+    const names = [];
+    for (const token of twigTokens(document)) {
+        if (token.type === 'twigTag' && NAME_TAGS.includes(token.name)) {
+            continue;
+        }
+        const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+        const masked = maskStrings(text, exprStart, token.bodyEnd);
+        const pattern = /(?<![\w$])[a-zA-Z_]\w*/g;
+        let match;
+        while ((match = pattern.exec(masked)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            const before = masked.slice(0, start);
+            let kind = (classifyName(masked, start, end) || { kind: 'name' }).kind;
+            if (kind === 'property' && /\.\.\s*$/.test(before)) {
+                // 1..count
+                kind = 'name';
+            } else if (kind === 'name' && /(^|[{(,])\s*$/.test(before) && /^\s*(?::|=(?!=))/.test(masked.slice(end))) {
+                kind = 'key';
+            }
+            names.push({ name: match[0], start: exprStart + start, end: exprStart + end, kind, before });
+        }
+    }
+    return names;
+}
+
+/**
+ * Offsets of the {% embed %} bodies of a template, whose blocks belong to the embedded template
+ * @returns {Array<{start: number, end: number, template: string}>} - Innermost bodies last;
+ *          `template` is '' when the embedded template name is not a string
+ */
+function embedBodies(document) {
+    const bodies = [];
+    const visit = (items) => {
+        for (const item of items) {
+            if (item.type === 'twigBlock' && item.name === 'embed') {
+                bodies.push({
+                    start: item.open.end,
+                    end: item.close ? item.close.start : document.text.length,
+                    template: embeddedTemplate(document.text, item.open)
+                });
+            }
+            if (item.children) {
+                visit(item.children);
+            }
+        }
+    };
+    visit(document.children);
+    return bodies;
+}
+
+/**
+ * Block names of a template: {% block name %}, {% endblock name %} and block('name') calls
+ * Blocks of {% embed %} bodies belong to the embedded template, like block('name', 'template')
+ * calls: they have its name in `template`. Those of embeds with a name that is not a string are
+ * left out.
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {object[]} - Occurrences, with the template the block belongs to in `template` (null for
+ *          the template itself)
+ */
+function blockNames(document) {
+    const text = document.text;
+    const embeds = embedBodies(document);
+    // Template of the innermost embed body around an offset: null outside, '' when unknown
+    const embedAt = (offset) => {
+        const body = embeds.filter(item => item.start <= offset && offset < item.end).pop();
+        return body ? body.template : null;
+    };
+    const names = [];
+
+    for (const token of document.tokens) {
+        if (token.type !== 'twigTag' || (token.name !== 'block' && token.name !== 'endblock') || embedAt(token.start) === '') {
+            continue;
+        }
+        const match = token.args.match(/^(\s*)([a-zA-Z_]\w*)/);
+        if (match) {
+            const start = token.argsStart + match[1].length;
+            names.push({ name: match[2], start, end: start + match[2].length, declaration: token.name === 'block', template: embedAt(token.start) });
+        }
+    }
+
+    for (const token of twigTokens(document)) {
+        const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+        const masked = maskStrings(text, exprStart, token.bodyEnd);
+        const callPattern = /(^|[^\w.|])block\s*\(/g;
+        let call;
+        while ((call = callPattern.exec(masked)) !== null) {
+            const argsStart = exprStart + call.index + call[0].length;
+            if (embedAt(argsStart) === '') {
+                continue;
+            }
+            const argsEnd = findClosingBracket(text, argsStart, token.bodyEnd);
+            const literals = stringLiterals(text, argsStart, argsEnd);
+            const args = maskStrings(text, argsStart, argsEnd);
+            const first = literals[0];
+            // Only a literal that is the whole first argument
+            if (!first || args.slice(0, first.start - 1 - argsStart).trim() !== '' ||
+                !/^\s*(,|$)/.test(args.slice(first.end + 1 - argsStart)) || !/^[a-zA-Z_]\w*$/.test(first.value)) {
+                continue;
+            }
+            const second = literals[1];
+            const template = second && args.slice(first.end + 1 - argsStart, second.start - 1 - argsStart).trim() === ',' ? second.value : embedAt(argsStart);
+            names.push({ name: first.value, start: first.start, end: first.end, declaration: false, template });
+        }
+    }
+
+    return names.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Macro names of a template: {% macro %} definitions, names imported with {% from %} and calls
+ * through an import or _self
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {object[]} - Occurrences, with the macro in `name` and the template that defines it
+ *          in `template` ('_self' for the template itself)
+ */
+function macroNames(document) {
+    const text = document.text;
+    const names = [];
+
+    for (const token of document.tokens) {
+        if (token.type !== 'twigTag') {
+            continue;
+        }
+        if (token.name === 'macro') {
+            const macro = parseMacro(token);
+            if (macro) {
+                names.push({ name: macro.name, start: macro.nameStart, end: macro.nameStart + macro.name.length, declaration: true, template: '_self' });
+            }
+        } else if (token.name === 'from') {
+            const masked = maskStrings(text, token.argsStart, token.bodyEnd);
+            const keyword = /\bimport\b/.exec(masked);
+            const literal = stringLiterals(text, token.argsStart, token.argsStart + (keyword ? keyword.index : 0))[0];
+            const template = /^\s*_self\s*$/.test(masked.slice(0, keyword ? keyword.index : 0)) ? '_self' : (literal && literal.value);
+            if (!keyword || !template) {
+                continue;
+            }
+            const listStart = keyword.index + keyword[0].length;
+            const pattern = /([a-zA-Z_]\w*)(?:\s+as\s+[a-zA-Z_]\w*)?/g;
+            let match;
+            while ((match = pattern.exec(masked.slice(listStart))) !== null) {
+                const start = token.argsStart + listStart + match.index;
+                names.push({ name: match[1], start, end: start + match[1].length, declaration: false, template });
+            }
+        }
+    }
+
+    const imports = findImports(document);
+    expressionNames(document)
+        .filter(item => item.kind === 'function' || item.kind === 'property')
+        .forEach(item => {
+            const target = resolveMacroName(item.before, item.name, importsAt(imports, item.start));
+            // Calls through a {% from ... import x as y %} alias keep the alias
+            if (target && target.macro === item.name) {
+                names.push({ name: item.name, start: item.start, end: item.end, declaration: false, template: target.template });
+            }
+        });
+
+    return names.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * A variable declared in a template and every place it is used in its scope
+ * Variables the template doesn't declare (passed in by the controller or a parent
+ * template) and loop/varargs have no occurrences.
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {number} offset - Offset inside the name
+ * @returns {object[]|null} - Occurrences, or null if there is no declared variable at the offset
+ */
+function variableOccurrences(document, offset) {
+    const collected = collectVariables(document);
+    const declared = collected.variables.filter(variable => variable.start !== null);
+    const declarations = new Map(declared.map(variable => [variable.start, variable]));
+    const keyOf = (variable) => `${variable.name}:${variable.scope.start}:${variable.scope.end}`;
+
+    // The variable a name refers to: the one it declares, or the innermost one visible
+    const resolve = (item) => declarations.get(item.start) ||
+        variablesAt(collected, item.start).find(variable => variable.name === item.name) || null;
+
+    const candidates = declared
+        .map(variable => ({ name: variable.name, start: variable.start, end: variable.start + variable.name.length }))
+        .concat(expressionNames(document).filter(item => item.kind === 'name' && !KEYWORDS.includes(item.name) && !declarations.has(item.start)));
+
+    const target = candidates.find(item => item.start <= offset && offset <= item.end);
+    const variable = target && resolve(target);
+    if (!variable) {
+        return null;
+    }
+    const key = keyOf(variable);
+    if (!declared.some(item => keyOf(item) === key)) {
+        return null;
+    }
+
+    return candidates
+        .filter(item => item.name === variable.name)
+        .filter(item => {
+            const resolved = resolve(item);
+            return resolved && keyOf(resolved) === key;
+        })
+        .map(item => ({ name: item.name, start: item.start, end: item.end, declaration: declarations.has(item.start) }))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Templates a template inherits blocks from: its extends and use tags
+ * @returns {string[]} - Template names
+ */
+function parentTemplates(document) {
+    return findTemplateReferences(document)
+        .filter(reference => reference.tag === 'extends' || reference.tag === 'use')
+        .map(reference => reference.name);
+}
+
+/**
+ * Template names that pointed at moved files, with their new names
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {TemplateResolver} resolver
+ * @param {function(string): string|null} movedPath - New path of a file that was moved, or null
+ * @returns {Array<{start: number, end: number, name: string}>} - Offsets of the name and the name to write
+ */
+function movedTemplateReferences(document, resolver, movedPath) {
+    const edits = [];
+    for (const reference of findTemplateReferences(document)) {
+        // The file the name resolved to before the move: the first candidate that exists or moved
+        const relative = resolver.parseName(reference.name).path;
+        const candidates = resolver.directoriesFor(reference.name).map(dir => path.join(dir, relative));
+        const before = candidates.find(candidate => movedPath(candidate) || resolver.resolve(reference.name) === candidate);
+        const moved = before && movedPath(before);
+        const name = moved && resolver.nameLike(reference.name, moved);
+        if (name && name !== reference.name) {
+            edits.push({ start: reference.start, end: reference.end, name });
+        }
+    }
+    return edits;
+}
+
+module.exports = {
+    KEYWORDS,
+    expressionNames,
+    blockNames,
+    macroNames,
+    variableOccurrences,
+    parentTemplates,
+    movedTemplateReferences
+};
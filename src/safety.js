@@ -0,0 +1,188 @@
+const { TwigLexer, skipString } = require('./lexer');
+const { TwigParser } = require('./parser');
+const { maskStrings } = require('./expression');
+const { diffLines } = require('./textEdits');
+
+/**
+ * Formatting Safety
+ * Checks a formatter result before it is applied, so that a formatter bug shows up
+ * as a refusal instead of a changed template:
+ *  - the text is the same apart from whitespace (a space between two words or two operators
+ *    may not go, a trailing comma in a Twig hash or array may)
+ *  - whitespace inside <pre>, <textarea>, {% verbatim %} and Twig strings is unchanged
+ *  - formatting the result again changes nothing
+ */
+
+// Elements whose whitespace is content
+const PRESERVED_ELEMENTS = ['pre', 'textarea'];
+
+// Characters of operators that mean something else when the space between them goes
+const OPERATOR_CHARACTERS = /[+\-*/%&|<>=!?]/;
+
+/**
+ * Twig tokens of a template, including those inside HTML tags
+ */
+function twigTokensOf(tokens) {
+    const result = [];
+    tokens.forEach(token => {
+        if (token.type === 'twigTag' || token.type === 'twigOutput') {
+            result.push(token);
+        } else if (token.type === 'htmlStartTag') {
+            result.push(...token.twig);
+        }
+    });
+    return result;
+}
+
+/**
+ * The characters of a template that formatting must keep, with their offsets
+ * Whitespace counts only as one space between two word characters or two operator
+ * characters (`+ ++j` is not `+++j`), and commas before a closing bracket in Twig don't
+ * count at all.
+ * @returns {{characters: string, offsets: number[]}}
+ */
+function significantCharacters(text, tokens) {
+    const dropped = new Set();
+    twigTokensOf(tokens).forEach(token => {
+        const pattern = /,(?=\s*[)\]}])/g;
+        const masked = maskStrings(text, token.start, token.end);
+        let match;
+        while ((match = pattern.exec(masked)) !== null) {
+            dropped.add(token.start + match.index);
+        }
+    });
+
+    let characters = '';
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        if (/\s/.test(text[i])) {
+            let end = i;
+            while (end < text.length && /\s/.test(text[end])) {
+                end++;
+            }
+            const before = text[i - 1] || '';
+            const after = text[end] || '';
+            if ((/\w/.test(before) && /\w/.test(after)) || (OPERATOR_CHARACTERS.test(before) && OPERATOR_CHARACTERS.test(after))) {
+                characters += ' ';
+                offsets.push(i);
+            }
+            i = end - 1;
+        } else if (!dropped.has(i)) {
+            characters += text[i];
+            offsets.push(i);
+        }
+    }
+    return { characters, offsets };
+}
+
+/**
+ * Parts of a template whose whitespace is content
+ * @returns {Array<{start: number, text: string, what: string}>} - In source order
+ */
+function preservedParts(text, tokens, tags) {
+    const parts = [];
+    const visit = (items) => {
+        for (const item of items) {
+            if (item.close && (item.type === 'element' ? PRESERVED_ELEMENTS.includes(item.name) : item.name === 'verbatim')) {
+                const what = item.type === 'element' ? `<${item.name}>` : '{% verbatim %}';
+                parts.push({ start: item.open.end, text: text.slice(item.open.end, item.close.start), what });
+            }
+            if (item.children) {
+                visit(item.children);
+            }
+        }
+    };
+    visit(new TwigParser(tags).parse(text).children);
+
+    twigTokensOf(tokens).forEach(token => {
+        for (let i = token.bodyStart; i < token.bodyEnd; i++) {
+            if (text[i] === '"' || text[i] === '\'') {
+                const end = skipString(text, i);
+                parts.push({ start: i, text: text.slice(i, end), what: 'a string' });
+                i = end - 1;
+            }
+        }
+    });
+    return parts.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Line of an offset
+ */
+function lineAt(text, offset) {
+    return text.slice(0, offset).split('\n').length - 1;
+}
+
+/**
+ * Line of the original text that a line of the formatted text came from
+ */
+function originalLine(original, formatted, formattedLine) {
+    let shift = 0;
+    for (const hunk of diffLines(original.split('\n'), formatted.split('\n'))) {
+        if (formattedLine < hunk.newStart) {
+            break;
+        }
+        if (formattedLine < hunk.newEnd) {
+            return hunk.oldStart;
+        }
+        shift = hunk.oldEnd - hunk.newEnd;
+    }
+    return formattedLine + shift;
+}
+
+/**
+ * Check a formatter result
+ * @param {string} original - Text before formatting
+ * @param {string} formatted - Text after formatting
+ * @param {function(string): string} reformat - Formats the formatted text again
+ * @param {TwigTagSet} [tags]
+ * @returns {{line: number, message: string}|null} - The first problem, with its line in the
+ *          original text, or null if the result is safe to apply
+ */
+function checkFormatting(original, formatted, reformat, tags) {
+    if (original === formatted) {
+        return null;
+    }
+    const originalTokens = new TwigLexer(original).tokenize();
+    const formattedTokens = new TwigLexer(formatted).tokenize();
+
+    const before = significantCharacters(original, originalTokens);
+    const after = significantCharacters(formatted, formattedTokens);
+    if (before.characters !== after.characters) {
+        let index = 0;
+        while (before.characters[index] === after.characters[index]) {
+            index++;
+        }
+        const offset = index < before.offsets.length ? before.offsets[index] : original.length;
+        return { line: lineAt(original, offset), message: 'the formatter would change more than whitespace' };
+    }
+
+    const partsBefore = preservedParts(original, originalTokens, tags);
+    const partsAfter = preservedParts(formatted, formattedTokens, tags);
+    const index = partsBefore.findIndex((part, i) => !partsAfter[i] || partsAfter[i].text !== part.text);
+    if (index !== -1 || partsAfter.length !== partsBefore.length) {
+        const part = index !== -1 ? partsBefore[index] : partsBefore[partsBefore.length - 1] || { start: 0, text: '', what: 'a string' };
+        const other = (index !== -1 && partsAfter[index]) ? partsAfter[index].text : '';
+        let offset = 0;
+        while (offset < part.text.length && part.text[offset] === other[offset]) {
+            offset++;
+        }
+        return { line: lineAt(original, part.start + offset), message: `the formatter would change whitespace inside ${part.what}` };
+    }
+
+    const again = reformat(formatted);
+    if (again !== formatted) {
+        const formattedLines = formatted.split('\n');
+        const againLines = again.split('\n');
+        let line = 0;
+        while (formattedLines[line] === againLines[line]) {
+            line++;
+        }
+        return { line: originalLine(original, formatted, line), message: 'formatting the result again would change it' };
+    }
+    return null;
+}
+
+module.exports = {
+    checkFormatting
+};
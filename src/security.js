@@ -0,0 +1,212 @@
+const { twigTokens } = require('./parser');
+const { maskStrings, stringLiterals, splitFilters, needsParentheses } = require('./expression');
+const { embeddedLanguage } = require('./embedded');
+
+/**
+ * Security
+ * Output that HTML autoescaping doesn't protect: |raw, {% autoescape false %}, and {{ }} in
+ * JavaScript, URL and CSS contexts without the escaping strategy of the context
+ *
+ * Problems are plain objects like those of src/structure.js, with `fixes: [{ title, edits }]`
+ * (see src/migration.js) and the value of the output in `safeName` when it can be allow-listed.
+ */
+
+// Checks that can be turned on and off
+const SECURITY_CHECKS = ['raw', 'autoescape', 'js', 'url', 'css'];
+
+// Attributes whose value is a URL (and `data` of <object>)
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite', 'background'];
+
+// Functions that build escaped URLs (Symfony routing and assets)
+const URL_FUNCTIONS = ['path', 'url', 'asset', 'absolute_url', 'relative_path', 'logout_path', 'logout_url', 'impersonation_path'];
+
+// Filters whose result is a number, safe in any context
+const NUMBER_FILTERS = ['length', 'abs', 'round', 'number_format'];
+
+// Where the output ends up, for messages
+const CONTEXT_NAMES = { js: 'JavaScript', url: 'a URL', css: 'CSS' };
+
+/**
+ * Check if an output's value is on the allow list: the name itself or a property of it
+ */
+function isSafeName(name, safeNames) {
+    return name !== null && safeNames.some(safe => name === safe || name.startsWith(`${safe}.`));
+}
+
+/**
+ * Ranges of {% autoescape %} blocks and the strategy they escape with (false when off)
+ */
+function autoescapeBlocks(document) {
+    const blocks = [];
+    const visit = (items) => items.forEach(item => {
+        if (item.type === 'twigBlock' && item.name === 'autoescape') {
+            const args = item.open.args.trim();
+            const literal = stringLiterals(item.open.args)[0];
+            blocks.push({
+                start: item.open.end,
+                end: item.close ? item.close.start : document.text.length,
+                strategy: args === 'false' ? false : (literal ? literal.value : 'html'),
+                open: item.open
+            });
+        }
+        if (item.children) {
+            visit(item.children);
+        }
+    });
+    visit(document.children);
+    return blocks;
+}
+
+/**
+ * Output contexts of the {{ }} of a template
+ * @returns {Array<{token: object, context: string, where: string, startsValue: boolean}>} - context is
+ *          'js', 'url' or 'css'; `where` names the element or attribute for messages; `startsValue`
+ *          is true when nothing but whitespace comes before the output in its attribute value
+ */
+function outputContexts(document) {
+    const outputs = [];
+    for (const token of document.tokens) {
+        if (token.type === 'twigOutput' && token.rawOwner) {
+            const language = embeddedLanguage(token.rawOwner);
+            if (language === 'javascript' || language === 'css') {
+                outputs.push({ token, context: language === 'css' ? 'css' : 'js', where: `<${token.rawOwner.name}>`, startsValue: false });
+            }
+        } else if (token.type === 'htmlStartTag') {
+            for (const twig of token.twig.filter(item => item.type === 'twigOutput')) {
+                const attribute = token.attributes.find(item => item.value !== null &&
+                    item.valueStart <= twig.start && twig.end <= item.valueEnd);
+                const name = attribute ? attribute.name.toLowerCase() : '';
+                const isUrl = URL_ATTRIBUTES.includes(name) || (name === 'data' && token.name.toLowerCase() === 'object');
+                const context = /^on\w+$/.test(name) ? 'js' : (name === 'style' ? 'css' : (isUrl ? 'url' : null));
+                if (context) {
+                    const startsValue = document.text.slice(attribute.valueStart, twig.start).trim() === '';
+                    outputs.push({ token: twig, context, where: `the ${name} attribute`, startsValue });
+                }
+            }
+        }
+    }
+    return outputs;
+}
+
+/**
+ * Edits that escape an output with a strategy: replacing a last |e or |escape, or adding one
+ */
+function escapeEdits(text, split, strategy) {
+    const escape = `e('${strategy}')`;
+    const last = split.filters[split.filters.length - 1];
+    if (last && (last.name === 'e' || last.name === 'escape')) {
+        return [{ start: last.start, end: last.end, text: escape }];
+    }
+    const end = last ? last.end : split.value.end;
+    if (!last && needsParentheses(maskStrings(text, split.value.start, split.value.end))) {
+        // `a ~ b|e('js')` would only escape b
+        return [{ start: split.value.start, end: split.value.start, text: '(' }, { start: end, end, text: `)|${escape}` }];
+    }
+    return [{ start: end, end, text: `|${escape}` }];
+}
+
+/**
+ * Check a template for output that autoescaping doesn't protect
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {{checks: string[], safeNames: string[]}} options - Checks to run (SECURITY_CHECKS) and
+ *        names of variables that never hold user input, with their properties
+ * @returns {object[]} - Problems found
+ */
+function checkSecurity(document, options = {}) {
+    const text = document.text;
+    const checks = options.checks || SECURITY_CHECKS;
+    const safeNames = options.safeNames || [];
+    const problems = [];
+    const blocks = autoescapeBlocks(document);
+
+    if (checks.includes('autoescape')) {
+        blocks.filter(block => block.strategy === false).forEach(block => problems.push({
+            start: block.open.start,
+            end: block.open.end,
+            severity: 'warning',
+            code: 'autoescape-off',
+            message: '{% autoescape false %} turns off escaping for everything inside it: escape what can hold user input',
+            fixes: [],
+            safeName: null
+        }));
+    }
+
+    // The value of an output, when it is a name that can go on the allow list
+    const nameOf = (split) => {
+        const value = text.slice(split.value.start, split.value.end);
+        return /^[a-zA-Z_]\w*(\.[a-zA-Z_]\w*)*$/.test(value) ? value : null;
+    };
+
+    if (checks.includes('raw')) {
+        for (const token of twigTokens(document).filter(item => item.type === 'twigOutput')) {
+            const split = splitFilters(text, token.bodyStart, token.bodyEnd);
+            const raw = split.filters.find(filter => filter.name === 'raw');
+            const safeName = nameOf(split);
+            if (!raw || isSafeName(safeName, safeNames)) {
+                continue;
+            }
+            // From the | before the filter
+            const pipe = text.lastIndexOf('|', raw.start);
+            problems.push({
+                start: raw.start,
+                end: raw.end,
+                severity: 'warning',
+                code: 'raw-output',
+                message: `|raw turns off escaping: make sure ${safeName ? `"${safeName}"` : 'the value'} can't hold user input`,
+                fixes: [{ title: 'Remove |raw', edits: [{ start: pipe, end: raw.end, text: '' }] }],
+                safeName
+            });
+        }
+    }
+
+    for (const { token, context, where, startsValue } of outputContexts(document)) {
+        if (!checks.includes(context)) {
+            continue;
+        }
+        const block = blocks.filter(item => item.start <= token.start && token.end <= item.end).pop();
+        if (block && (block.strategy === false || block.strategy === context)) {
+            // Reported as autoescape-off, or escaped for the context already
+            continue;
+        }
+        const split = splitFilters(text, token.bodyStart, token.bodyEnd);
+        const names = split.filters.map(filter => filter.name);
+        const value = text.slice(split.value.start, split.value.end);
+        const escaped = split.filters.some(filter => (filter.name === 'e' || filter.name === 'escape') && filter.argsStart !== null &&
+            (stringLiterals(text, filter.argsStart, filter.end)[0] || {}).value === context);
+        const safeName = nameOf(split);
+        if (escaped || names.includes('raw') || NUMBER_FILTERS.includes(names[names.length - 1]) ||
+            /^(-?\d+(\.\d+)?|'[^']*'|"[^"#]*")$/.test(value) || isSafeName(safeName, safeNames) ||
+            (context === 'url' && (names.includes('url_encode') || new RegExp(`^(${URL_FUNCTIONS.join('|')})\\s*\\(`).test(value)))) {
+            continue;
+        }
+        if (context === 'url' && startsValue) {
+            // |e('url') would percent-encode the scheme and slashes of a whole URL
+            problems.push({
+                start: token.start,
+                end: token.end,
+                severity: 'warning',
+                code: 'unchecked-url',
+                message: `Output starts the URL in ${where}: make sure it can't be a javascript: or data: URL`,
+                fixes: [],
+                safeName
+            });
+            continue;
+        }
+        problems.push({
+            start: token.start,
+            end: token.end,
+            severity: 'warning',
+            code: `unescaped-${context}`,
+            message: `Output in ${where} is only HTML-escaped, which doesn't protect ${CONTEXT_NAMES[context]}: escape it with |e('${context}')`,
+            fixes: [{ title: `Escape with |e('${context}')`, edits: escapeEdits(text, split, context) }],
+            safeName
+        });
+    }
+
+    return problems.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    SECURITY_CHECKS,
+    checkSecurity
+};
@@ -0,0 +1,60 @@
+const vscode = require('vscode');
+const { TwigParser } = require('./parser');
+const { SECURITY_CHECKS, checkSecurity } = require('./security');
+const { manifestFor } = require('./project');
+
+/**
+ * Security Provider
+ * Warnings for |raw, {% autoescape false %} and output in JavaScript, URL and CSS contexts
+ * without the matching escaping strategy, with quick fixes and an allow list of safe variables
+ */
+class SecurityProvider {
+    problemsOf(document) {
+        const config = vscode.workspace.getConfiguration('ultimateTwig.security', document.uri);
+        if (!config.get('enabled', true)) {
+            return [];
+        }
+        const parsed = new TwigParser(manifestFor(document).tagSet()).parse(document.getText());
+        return checkSecurity(parsed, {
+            checks: config.get('checks', SECURITY_CHECKS),
+            safeNames: config.get('safeVariables', [])
+        });
+    }
+
+    check(document) {
+        return this.problemsOf(document);
+    }
+
+    provideCodeActions(document, range, context) {
+        const problems = this.problemsOf(document);
+        const actions = [];
+        for (const diagnostic of context.diagnostics) {
+            const start = document.offsetAt(diagnostic.range.start);
+            const problem = problems.find(item => item.code === diagnostic.code && item.start === start);
+            if (!problem) {
+                continue;
+            }
+            problem.fixes.forEach((fix, index) => {
+                const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+                action.edit = new vscode.WorkspaceEdit();
+                fix.edits.forEach(item => action.edit.replace(document.uri,
+                    new vscode.Range(document.positionAt(item.start), document.positionAt(item.end)), item.text));
+                action.diagnostics = [diagnostic];
+                action.isPreferred = index === 0;
+                actions.push(action);
+            });
+            if (problem.safeName) {
+                const title = `Mark "${problem.safeName}" as safe`;
+                const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+                action.command = { command: 'ultimateTwig.addSafeVariable', title, arguments: [problem.safeName, document.uri] };
+                action.diagnostics = [diagnostic];
+                actions.push(action);
+            }
+        }
+        return actions;
+    }
+}
+
+module.exports = {
+    SecurityProvider
+};
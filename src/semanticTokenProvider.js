@@ -0,0 +1,36 @@
+const vscode = require('vscode');
+const { TwigParser } = require('./parser');
+const { TOKEN_TYPES, TOKEN_MODIFIERS, semanticTokens } = require('./semanticTokens');
+const { manifestFor, projectEntries } = require('./project');
+
+const LEGEND = new vscode.SemanticTokensLegend(TOKEN_TYPES, TOKEN_MODIFIERS);
+
+/**
+ * Twig Semantic Token Provider
+ * Semantic highlighting for variables, loop variables, properties and methods, filters,
+ * functions, tests, macros, block names, named arguments and project tags
+ */
+class TwigSemanticTokenProvider {
+    provideDocumentSemanticTokens(document) {
+        const manifest = manifestFor(document);
+        const project = {
+            filters: projectEntries(document, 'filter').map(item => item.name),
+            functions: projectEntries(document, 'function').map(item => item.name),
+            tags: [].concat(...projectEntries(document, 'tag').map(tag => [tag.name].concat(tag.end || [], tag.mids || [])))
+        };
+
+        const builder = new vscode.SemanticTokensBuilder(LEGEND);
+        const parsed = new TwigParser(manifest.tagSet()).parse(document.getText());
+        for (const token of semanticTokens(parsed, project)) {
+            const position = document.positionAt(token.start);
+            const modifiers = token.modifiers.reduce((bits, modifier) => bits | (1 << TOKEN_MODIFIERS.indexOf(modifier)), 0);
+            builder.push(position.line, position.character, token.end - token.start, TOKEN_TYPES.indexOf(token.type), modifiers);
+        }
+        return builder.build();
+    }
+}
+
+module.exports = {
+    LEGEND,
+    TwigSemanticTokenProvider
+};
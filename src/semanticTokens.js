@@ -0,0 +1,134 @@
+const { twigTokens } = require('./parser');
+const { collectVariables, variablesAt } = require('./variables');
+const { findImports, importsAt, resolveMacroName } = require('./macros');
+const { KEYWORDS, expressionNames, blockNames, macroNames } = require('./references');
+const { FILTERS, FUNCTIONS } = require('./catalog');
+
+/**
+ * Semantic Tokens
+ * What each name in the Twig code of a template is, for semantic highlighting on top
+ * of the TextMate grammar, which only knows a fixed list of keywords
+ */
+
+// Token types; 'filter', 'test' and 'block' are declared in package.json
+const TOKEN_TYPES = ['variable', 'parameter', 'property', 'method', 'function', 'macro', 'namespace', 'keyword', 'filter', 'test', 'block'];
+
+// Token modifiers; 'loop' and 'unknown' are declared in package.json
+const TOKEN_MODIFIERS = ['declaration', 'defaultLibrary', 'loop', 'unknown'];
+
+// Kinds of variables set by {% for %}
+const LOOP_KINDS = ['for', 'key', 'loop'];
+
+/**
+ * The bracket an offset of a masked expression is directly inside of
+ * @returns {string|null} - '(', '[' or '{'
+ */
+function enclosingBracket(masked) {
+    const open = [];
+    for (const ch of masked) {
+        if ('([{'.includes(ch)) {
+            open.push(ch);
+        } else if (')]}'.includes(ch)) {
+            open.pop();
+        }
+    }
+    return open.length > 0 ? open[open.length - 1] : null;
+}
+
+/**
+ * Semantic tokens of a template
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {{filters: string[], functions: string[], tags: string[]}} project - Names of the project's
+ *        filters and functions (manifest and Symfony) and of its tags, with end and mid tags
+ * @returns {Array<{start: number, end: number, type: string, modifiers: string[]}>} - Sorted by offset,
+ *          types and modifiers from TOKEN_TYPES and TOKEN_MODIFIERS
+ */
+function semanticTokens(document, project = { filters: [], functions: [], tags: [] }) {
+    const text = document.text;
+    const tokens = new Map();   // start offset -> token; the first one found for a name wins
+    const add = (start, end, type, modifiers = []) => {
+        if (!tokens.has(start)) {
+            tokens.set(start, { start, end, type, modifiers });
+        }
+    };
+    const library = (list, name) => list.some(item => item.name === name) ? ['defaultLibrary'] : [];
+
+    // Custom tags, unknown to the grammar
+    for (const token of twigTokens(document)) {
+        if (token.type === 'twigTag' && project.tags.includes(token.name)) {
+            add(token.nameStart, token.nameStart + token.name.length, 'keyword');
+        }
+    }
+
+    // Block and macro names, in tags that the expression names leave out
+    const blockTagNames = new Set();
+    for (const token of document.tokens) {
+        if (token.type === 'twigTag' && (token.name === 'block' || token.name === 'endblock')) {
+            const match = token.args.match(/^(\s*)([a-zA-Z_]\w*)/);
+            if (match) {
+                const start = token.argsStart + match[1].length;
+                blockTagNames.add(start);
+                add(start, start + match[2].length, 'block', token.name === 'block' ? ['declaration'] : []);
+            }
+        }
+    }
+    blockNames(document)
+        .filter(item => !blockTagNames.has(item.start))
+        .forEach(item => add(item.start, item.end, 'block'));
+    macroNames(document).forEach(item => add(item.start, item.end, 'macro', item.declaration ? ['declaration'] : []));
+
+    // Variables where they are declared: set, for, with keys, macro arguments and @var hints
+    const collected = collectVariables(document);
+    const declared = new Map(collected.variables
+        .filter(variable => variable.start !== null)
+        .map(variable => [variable.start, variable]));
+    const variableToken = (variable) => {
+        if (variable.kind === 'param') {
+            return { type: 'parameter', modifiers: [] };
+        }
+        return { type: 'variable', modifiers: LOOP_KINDS.includes(variable.kind) ? ['loop'] : [] };
+    };
+    declared.forEach(variable => {
+        const { type, modifiers } = variableToken(variable);
+        add(variable.start, variable.start + variable.name.length, type, ['declaration'].concat(modifiers));
+    });
+
+    const imports = findImports(document);
+    for (const item of expressionNames(document)) {
+        const after = text.slice(item.end);
+        const macro = (item.kind === 'function' || item.kind === 'property') &&
+            resolveMacroName(item.before, item.name, importsAt(imports, item.start));
+
+        if (macro) {
+            add(item.start, item.end, 'macro');
+        } else if (item.kind === 'filter') {
+            const known = FILTERS.some(filter => filter.name === item.name) || project.filters.includes(item.name);
+            add(item.start, item.end, 'filter', library(FILTERS, item.name).concat(known ? [] : ['unknown']));
+        } else if (item.kind === 'test') {
+            add(item.start, item.end, 'test');
+        } else if (item.kind === 'function') {
+            const known = FUNCTIONS.some(func => func.name === item.name) || project.functions.includes(item.name);
+            add(item.start, item.end, 'function', library(FUNCTIONS, item.name).concat(known ? [] : ['unknown']));
+        } else if (item.kind === 'property') {
+            add(item.start, item.end, /^\s*\(/.test(after) ? 'method' : 'property');
+        } else if (item.kind === 'key') {
+            // Named arguments of calls, keys of hashes
+            add(item.start, item.end, enclosingBracket(item.before) === '(' ? 'parameter' : 'property');
+        } else if (/^\s*\./.test(after) && (item.name === '_self' ||
+            importsAt(imports, item.start).some(entry => entry.alias === item.name))) {
+            add(item.start, item.end, 'namespace');
+        } else if (!KEYWORDS.includes(item.name)) {
+            const variable = variablesAt(collected, item.start).find(visible => visible.name === item.name);
+            const { type, modifiers } = variable ? variableToken(variable) : { type: 'variable', modifiers: [] };
+            add(item.start, item.end, type, modifiers);
+        }
+    }
+
+    return Array.from(tokens.values()).sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    TOKEN_TYPES,
+    TOKEN_MODIFIERS,
+    semanticTokens
+};
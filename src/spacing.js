@@ -0,0 +1,252 @@
+const { skipString } = require('./lexer');
+const { twigTokens } = require('./parser');
+const { overlapsRegion } = require('./protectedRegions');
+
+/**
+ * Twig Spacing
+ * Normalizes the spaces inside {{ }} and {% %}, following the Twig coding standards.
+ * Only spaces within a line change: line breaks, string contents, comments and
+ * {% verbatim %} content stay exactly as written.
+ *
+ * Rules (each 'preserve' leaves that spacing alone):
+ *  - delimiters     'space' | 'none'    {{ name }} / {{name}}
+ *  - operators      'space'             a == b, a and b, x ? y : z, no spaces around . and ..
+ *  - pipes          'none' | 'space'    name|upper / name | upper
+ *  - commas         'space'             (a, b), no space before the comma
+ *  - colons         'space'             { key: value }, no space before the colon
+ *  - concatenation  'space' | 'none'    a ~ b / a~b
+ */
+
+const SPACING_DEFAULTS = {
+    delimiters: 'space',
+    operators: 'space',
+    pipes: 'none',
+    commas: 'space',
+    colons: 'space',
+    concatenation: 'space'
+};
+
+// Values each rule accepts
+const SPACING_CHOICES = {
+    delimiters: ['space', 'none', 'preserve'],
+    operators: ['space', 'preserve'],
+    pipes: ['none', 'space', 'preserve'],
+    commas: ['space', 'preserve'],
+    colons: ['space', 'preserve'],
+    concatenation: ['space', 'none', 'preserve']
+};
+
+// Punctuation and symbol operators, longest first
+const PUNCTUATION = ['<=>', '...', '?:', '??', '?.', '..', '//', '**', '==', '!=', '<=', '>=', '=>',
+    '<', '>', '+', '-', '*', '/', '%', '~', '|', '.', ',', ':', '?', '=', '(', ')', '[', ']', '{', '}', '!'];
+
+// Symbol operators that take one space on each side
+const BINARY_OPERATORS = ['<=>', '?:', '??', '//', '**', '==', '!=', '<=', '>=', '=>', '<', '>',
+    '+', '-', '*', '/', '%', '?', '='];
+
+// Word operators, after which + and - are unary
+const WORD_OPERATORS = ['and', 'or', 'xor', 'not', 'in', 'is', 'matches', 'b-and', 'b-or', 'b-xor'];
+
+/**
+ * Split an expression into words, numbers, strings, punctuation, comments and spaces
+ * @returns {Array<{type: string, text: string}>}
+ */
+function expressionTokens(expression) {
+    const tokens = [];
+    let i = 0;
+    while (i < expression.length) {
+        const rest = expression.slice(i);
+        let match;
+        let type;
+        let end;
+        if ((match = /^\s+/.exec(rest))) {
+            type = 'space';
+            end = i + match[0].length;
+        } else if (expression[i] === '"' || expression[i] === '\'') {
+            type = 'string';
+            end = skipString(expression, i);
+        } else if (expression[i] === '#') {
+            // Inline comment, up to the end of the line
+            type = 'comment';
+            end = expression.indexOf('\n', i) === -1 ? expression.length : expression.indexOf('\n', i);
+        } else if ((match = /^\d[\d_]*(\.\d[\d_]*)?([eE][+-]?\d+)?/.exec(rest))) {
+            type = 'number';
+            end = i + match[0].length;
+        } else if ((match = /^(b-(and|or|xor)\b|[a-zA-Z_\x7f-\uffff][\w\x7f-\uffff]*)/.exec(rest))) {
+            type = 'word';
+            end = i + match[0].length;
+        } else {
+            const punctuation = PUNCTUATION.find(item => rest.startsWith(item));
+            type = punctuation ? 'punctuation' : 'other';
+            end = i + (punctuation ? punctuation.length : 1);
+        }
+        tokens.push({ type, text: expression.slice(i, end) });
+        i = end;
+    }
+    return tokens;
+}
+
+/**
+ * Check if a token ends an operand, so a following + or - is binary
+ */
+function endsOperand(token) {
+    if (!token) {
+        return false;
+    }
+    if (token.type === 'word') {
+        return !WORD_OPERATORS.includes(token.text);
+    }
+    return token.type === 'number' || token.type === 'string' || /^[)\]}]$/.test(token.text);
+}
+
+/**
+ * Normalize the spaces of an expression (the body of a {{ }} or {% %} without padding)
+ * @param {string} expression - Expression source
+ * @param {object} rules - Spacing rules, see SPACING_DEFAULTS
+ * @returns {string}
+ */
+function normalizeExpression(expression, rules) {
+    const tokens = expressionTokens(expression);
+    const stack = [{ bracket: '', ternary: 0 }];
+    let previous = null;
+
+    // Classify each token with what its neighbours need
+    for (const token of tokens) {
+        if (token.type === 'space') {
+            continue;
+        }
+        const top = stack[stack.length - 1];
+        const text = token.type === 'punctuation' ? token.text : '';
+        if (text === '(' || text === '[' || text === '{') {
+            stack.push({ bracket: text, ternary: 0 });
+        } else if ((text === ')' || text === ']' || text === '}') && stack.length > 1) {
+            stack.pop();
+        } else if (text === '?') {
+            top.ternary++;
+            token.role = 'binary';
+        } else if (text === ':') {
+            if (top.ternary > 0) {
+                top.ternary--;
+                token.role = 'binary';
+            } else if (top.bracket === '{' || top.bracket === '(') {
+                // Hash keys and named arguments
+                token.role = 'key';
+            }
+        } else if (text === '=' && top.bracket === '(') {
+            // Named arguments and macro defaults are written both ways
+            token.role = null;
+        } else if ((text === '+' || text === '-') && !endsOperand(previous)) {
+            token.role = 'unary';
+        } else if (BINARY_OPERATORS.includes(text)) {
+            token.role = 'binary';
+        } else if (text === '.' || text === '..' || text === '?.') {
+            token.role = 'tight';
+        }
+        previous = token;
+    }
+
+    const choice = (rule) => (rule === 'none' ? '' : rule === 'space' ? ' ' : null);
+    const operand = (token) => token.type === 'word' || token.type === 'number' || token.type === 'string';
+
+    const gap = (before, after) => {
+        if (before.type === 'comment' || after.type === 'comment') {
+            return null;
+        }
+        if (before.text === '|' || after.text === '|') {
+            return choice(rules.pipes);
+        }
+        if (before.text === '~' || after.text === '~') {
+            return choice(rules.concatenation);
+        }
+        if (after.text === ',' || after.role === 'key') {
+            return rules[after.text === ',' ? 'commas' : 'colons'] === 'space' ? '' : null;
+        }
+        if (before.text === ',' || before.role === 'key') {
+            return rules[before.text === ',' ? 'commas' : 'colons'] === 'space' && !/^[)\]}]$/.test(after.text) ? ' ' : null;
+        }
+        if (rules.operators !== 'space') {
+            return null;
+        }
+        if (before.role === 'unary') {
+            return '';
+        }
+        if (before.role === 'binary' || after.role === 'binary') {
+            return ' ';
+        }
+        if (before.role === 'tight' || after.role === 'tight') {
+            return '';
+        }
+        if (operand(before) && operand(after) && (before.type === 'word' || after.type === 'word')) {
+            return ' ';
+        }
+        return null;
+    };
+
+    let result = '';
+    let last = null;
+    for (let t = 0; t < tokens.length; t++) {
+        const token = tokens[t];
+        if (token.type === 'space') {
+            continue;
+        }
+        if (last) {
+            const space = tokens[t - 1].type === 'space' ? tokens[t - 1].text : '';
+            const wanted = space.includes('\n') ? null : gap(last, token);
+            // Never glue two words together
+            result += wanted === null || (wanted === '' && /\w$/.test(last.text) && /^\w/.test(token.text)) ? space : wanted;
+        } else if (tokens[t - 1]) {
+            result += tokens[t - 1].text;
+        }
+        result += token.text;
+        last = token;
+    }
+    if (tokens.length > 0 && tokens[tokens.length - 1].type === 'space') {
+        result += tokens[tokens.length - 1].text;
+    }
+    return result;
+}
+
+/**
+ * Normalize the spaces inside all {{ }} and {% %} of a template
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {object} rules - Spacing rules, see SPACING_DEFAULTS
+ * @param {{start: number, end: number}} [range] - Only change tokens inside these offsets
+ * @param {Array<{start: number, end: number}>} [regions] - Leave tokens in these protected regions alone
+ * @returns {string} - The template text with normalized spacing
+ */
+function normalizeSpacing(document, rules, range, regions = []) {
+    const text = document.text;
+    let result = '';
+    let position = 0;
+
+    for (const token of twigTokens(document)) {
+        if ((range && (token.start < range.start || token.end > range.end)) || overlapsRegion(regions, token.start, token.end)) {
+            continue;
+        }
+        const body = text.slice(token.bodyStart, token.bodyEnd);
+        if (body.trim() === '') {
+            continue;
+        }
+        const leading = body.match(/^\s*/)[0];
+        const trailing = body.match(/\s*$/)[0];
+        const pad = (space) => {
+            if (space.includes('\n') || rules.delimiters === 'preserve') {
+                return space;
+            }
+            return rules.delimiters === 'none' ? '' : ' ';
+        };
+        const expression = normalizeExpression(body.slice(leading.length, body.length - trailing.length), rules);
+
+        result += text.slice(position, token.bodyStart) + pad(leading) + expression + pad(trailing);
+        position = token.bodyEnd;
+    }
+
+    return result + text.slice(position);
+}
+
+module.exports = {
+    SPACING_DEFAULTS,
+    SPACING_CHOICES,
+    normalizeExpression,
+    normalizeSpacing
+};
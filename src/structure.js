@@ -0,0 +1,176 @@
+const { IMPLICIT_CLOSE } = require('./parser');
+
+// Elements whose end tag may be left out, so an implicit close is not a problem
+const OPTIONAL_END_TAGS = Object.keys(IMPLICIT_CLOSE).concat(['html', 'head', 'body', 'optgroup', 'thead',
+    'tbody', 'tfoot', 'colgroup', 'caption', 'rt', 'rp']);
+
+/**
+ * Short form of a Twig tag for messages, e.g. {% endblock %}
+ */
+function describeTag(name) {
+    return `{% ${name} %}`;
+}
+
+/**
+ * Nearest Twig block that contains a token
+ */
+function enclosingBlock(token) {
+    let node = token.parent;
+    while (node && node.type !== 'twigBlock') {
+        node = node.parent;
+    }
+    return node || null;
+}
+
+/**
+ * Check the block structure of a parsed template
+ * Uses the same tag knowledge as the formatter (see src/tags.js), so anything the
+ * formatter indents as a block is checked here too.
+ *
+ * Problems are plain objects: { start, end, message, severity, code, related: [{ start, end, message }] }
+ * with `severity` one of 'error', 'warning', 'information'.
+ *
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {TwigTagSet} tags - Tag set the document was parsed with
+ * @returns {object[]} - Problems found
+ */
+function checkStructure(document, tags) {
+    const problems = [];
+    const problem = (token, severity, code, message, related = []) => {
+        problems.push({ start: token.start, end: token.end, severity, code, message, related });
+    };
+    const related = (token, message) => ({ start: token.start, end: token.end, message });
+
+    for (const token of document.tokens) {
+        if (token.type === 'twigTag') {
+            checkTwigTag(token, tags, problem, related);
+        } else if (token.type === 'htmlStartTag') {
+            checkHtmlStartTag(token, problem, related);
+        } else if (token.type === 'htmlEndTag' && token.stray) {
+            checkStrayHtmlEndTag(token, problem, related);
+        }
+    }
+
+    return problems;
+}
+
+function checkTwigTag(token, tags, problem, related) {
+    const node = token.node;
+
+    if (node && node.open === token && !node.close) {
+        const endName = tags.endTagOf(token.name);
+        if (node.closedBy) {
+            problem(token, 'error', 'unclosed-block',
+                `Unclosed ${describeTag(token.name)}: ${describeTag(node.closedBy.name)} was found before ${describeTag(endName)}`,
+                [related(node.closedBy, `${describeTag(node.closedBy.name)} found here`)]);
+        } else {
+            problem(token, 'error', 'unclosed-block',
+                `Unclosed ${describeTag(token.name)}: expected ${describeTag(endName)}`);
+        }
+        return;
+    }
+
+    if (node && node.close === token) {
+        // {% endblock foo %} closing {% block bar %}
+        const closingLabel = token.args.trim();
+        const openingLabel = (node.open.args.match(/^\s*(\w+)/) || [])[1];
+        if (closingLabel && openingLabel && closingLabel !== openingLabel) {
+            problem(token, 'error', 'mismatched-end',
+                `${describeTag(`${token.name} ${closingLabel}`)} closes ${describeTag(`${node.name} ${openingLabel}`)}`,
+                [related(node.open, `${describeTag(`${node.name} ${openingLabel}`)} opened here`)]);
+        }
+
+        // End tag of an outer block while inner blocks are still open
+        const innerBlocks = [];
+        collectUnclosedBlocks(node, token, innerBlocks);
+        if (innerBlocks.length > 0) {
+            const inner = innerBlocks[innerBlocks.length - 1];
+            problem(token, 'error', 'mismatched-end',
+                `Unexpected ${describeTag(token.name)}: expected ${describeTag(`end${inner.name}`)} first`,
+                innerBlocks.map(block => related(block.open, `${describeTag(block.name)} is still open`)));
+        }
+        return;
+    }
+
+    if (token.stray && tags.isMid(token)) {
+        const block = enclosingBlock(token);
+        problem(token, 'error', 'unexpected-tag', block
+            ? `Unexpected ${describeTag(token.name)} inside ${describeTag(block.name)}`
+            : `Unexpected ${describeTag(token.name)} outside of a block`,
+        block ? [related(block.open, `${describeTag(block.name)} opened here`)] : []);
+        return;
+    }
+
+    if (token.stray && tags.isEnd(token)) {
+        const block = enclosingBlock(token);
+        const opener = tags.openerOf(token.name);
+        problem(token, 'error', 'unexpected-end', block
+            ? `Unexpected ${describeTag(token.name)}: expected ${describeTag(tags.endTagOf(block.name))}`
+            : `Unexpected ${describeTag(token.name)}: there is no open ${describeTag(opener)}`,
+        block ? [related(block.open, `${describeTag(block.name)} opened here`)] : []);
+    }
+}
+
+/**
+ * Blocks inside `node` that were closed implicitly by `closeToken`
+ */
+function collectUnclosedBlocks(node, closeToken, result) {
+    for (const child of node.children) {
+        if (child.type !== 'twigBlock' && child.type !== 'element') {
+            continue;
+        }
+        if (child.unclosed && child.closedBy === closeToken) {
+            if (child.type === 'twigBlock') {
+                result.push(child);
+            }
+            collectUnclosedBlocks(child, closeToken, result);
+        }
+    }
+}
+
+function checkHtmlStartTag(token, problem, related) {
+    const node = token.node;
+    if (!node || !node.unclosed || !node.closedBy || OPTIONAL_END_TAGS.includes(node.name)) {
+        return;
+    }
+
+    const closedBy = node.closedBy;
+    const block = enclosingBlock(node);
+    if (closedBy.type === 'twigTag' && block) {
+        problem(token, 'warning', 'html-crosses-branch',
+            `<${token.name}> opened inside ${describeTag(block.name)} is not closed before ${describeTag(closedBy.name)}`,
+            [related(closedBy, `${describeTag(closedBy.name)} found here`)]);
+    } else {
+        problem(token, 'warning', 'html-unclosed',
+            `<${token.name}> is not closed before </${closedBy.name}>`,
+            [related(closedBy, `</${closedBy.name}> found here`)]);
+    }
+}
+
+function checkStrayHtmlEndTag(token, problem, related) {
+    const block = enclosingBlock(token);
+    if (!block) {
+        // A partial may close elements opened by the template that includes it
+        return;
+    }
+
+    const name = token.name.toLowerCase();
+    let opener = block.parent;
+    while (opener && !(opener.type === 'element' && opener.name === name)) {
+        opener = opener.parent;
+    }
+
+    if (opener) {
+        problem(token, 'warning', 'html-crosses-branch',
+            `</${token.name}> inside ${describeTag(block.name)} closes <${opener.open.name}> opened outside of it`,
+            [related(opener.open, `<${opener.open.name}> opened here`)]);
+    } else {
+        problem(token, 'warning', 'html-unexpected-end',
+            `Unexpected </${token.name}> inside ${describeTag(block.name)}`,
+            [related(block.open, `${describeTag(block.name)} opened here`)]);
+    }
+}
+
+module.exports = {
+    checkStructure
+};
@@ -0,0 +1,129 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const { TwigParser } = require('./parser');
+const { collectSymbols } = require('./symbols');
+const { EXCLUDED_FILES, positionIn } = require('./templateIndex');
+
+const SYMBOL_KINDS = {
+    block: vscode.SymbolKind.Module,
+    macro: vscode.SymbolKind.Function,
+    set: vscode.SymbolKind.Variable,
+    embed: vscode.SymbolKind.Namespace,
+    landmark: vscode.SymbolKind.Field
+};
+
+// Symbol kinds offered by workspace symbol search
+const WORKSPACE_SYMBOL_KINDS = ['block', 'macro'];
+
+/**
+ * Check if the characters of a query appear in order in a name (case-insensitive)
+ */
+function matchesQuery(name, query) {
+    const lowerName = name.toLowerCase();
+    let index = 0;
+    for (const ch of query.toLowerCase()) {
+        index = lowerName.indexOf(ch, index);
+        if (index === -1) {
+            return false;
+        }
+        index++;
+    }
+    return true;
+}
+
+/**
+ * Twig Symbol Provider
+ * Outline, breadcrumbs and "Go to Symbol" for blocks, macros, captured sets, embeds
+ * and HTML landmarks, plus workspace-wide search for blocks and macros
+ */
+class TwigSymbolProvider {
+    constructor() {
+        this.cache = new Map();   // file path -> { mtime, symbols }
+    }
+
+    provideDocumentSymbols(document) {
+        const toDocumentSymbol = (symbol) => {
+            const range = new vscode.Range(document.positionAt(symbol.start), document.positionAt(symbol.end));
+            const selectionRange = new vscode.Range(
+                document.positionAt(symbol.selectionStart), document.positionAt(symbol.selectionEnd));
+            const documentSymbol = new vscode.DocumentSymbol(symbol.name, symbol.detail, SYMBOL_KINDS[symbol.kind],
+                range, selectionRange);
+            documentSymbol.children = symbol.children.map(toDocumentSymbol);
+            return documentSymbol;
+        };
+
+        return collectSymbols(new TwigParser().parse(document.getText())).map(toDocumentSymbol);
+    }
+
+    async provideWorkspaceSymbols(query, cancellation) {
+        const files = await vscode.workspace.findFiles('**/*.twig', EXCLUDED_FILES, 5000);
+        const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.fsPath, document]));
+        const result = [];
+
+        for (const uri of files) {
+            if (cancellation && cancellation.isCancellationRequested) {
+                break;
+            }
+            const document = openDocuments.get(uri.fsPath);
+            const symbols = document ? this.workspaceSymbolsIn(document.getText()) : this.workspaceSymbolsOf(uri.fsPath);
+            const containerName = vscode.workspace.asRelativePath(uri);
+            for (const symbol of symbols) {
+                if (matchesQuery(symbol.name, query)) {
+                    result.push(new vscode.SymbolInformation(symbol.name, SYMBOL_KINDS[symbol.kind], containerName,
+                        new vscode.Location(uri, symbol.position)));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Flat list of the blocks and macros of a text, with their positions
+     * @returns {Array<{name: string, kind: string, position: vscode.Position}>}
+     */
+    workspaceSymbolsIn(text) {
+        const symbols = [];
+        const flatten = (list) => list.forEach(symbol => {
+            if (WORKSPACE_SYMBOL_KINDS.includes(symbol.kind)) {
+                symbols.push({ name: symbol.name, kind: symbol.kind, position: positionIn(text, symbol.selectionStart) });
+            }
+            flatten(symbol.children);
+        });
+        flatten(collectSymbols(new TwigParser().parse(text)));
+        return symbols;
+    }
+
+    /**
+     * Blocks and macros of a template file, cached by modification time: the file is
+     * only read when it changed
+     */
+    workspaceSymbolsOf(file) {
+        let mtime;
+        try {
+            mtime = fs.statSync(file).mtimeMs;
+        } catch (error) {
+            return [];
+        }
+        const cached = this.cache.get(file);
+        if (cached && cached.mtime === mtime) {
+            return cached.symbols;
+        }
+        const text = this.readFile(file);
+        const symbols = text === null ? [] : this.workspaceSymbolsIn(text);
+        this.cache.set(file, { mtime, symbols });
+        return symbols;
+    }
+
+    readFile(file) {
+        try {
+            return fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    TwigSymbolProvider
+};
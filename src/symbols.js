@@ -0,0 +1,171 @@
+const { stringLiterals } = require('./expression');
+
+// HTML elements that show up in the outline
+const LANDMARK_ELEMENTS = ['header', 'nav', 'main', 'aside', 'footer', 'section', 'article', 'form', 'dialog'];
+
+/**
+ * Parse the parameter list of a {% macro name(a, b = 1) %} tag
+ * @returns {{name: string, nameStart: number, params: string[], paramStarts: number[]}|null}
+ */
+function parseMacro(token) {
+    const match = token.args.match(/^(\s*)([a-zA-Z_]\w*)\s*(?:\(([\s\S]*)\))?/);
+    if (!match) {
+        return null;
+    }
+    const params = [];
+    const paramStarts = [];
+    const listStart = token.argsStart + match[0].indexOf('(') + 1;
+    let depth = 0;
+    let current = '';
+    let currentStart = listStart;
+    const list = match[3] || '';
+    const push = () => {
+        if (current.trim() !== '') {
+            params.push(current.trim());
+            paramStarts.push(currentStart + current.search(/\S/));
+        }
+    };
+    for (let i = 0; i < list.length; i++) {
+        const ch = list[i];
+        if ('([{'.includes(ch)) {
+            depth++;
+        } else if (')]}'.includes(ch)) {
+            depth--;
+        }
+        if (ch === ',' && depth === 0) {
+            push();
+            current = '';
+            currentStart = listStart + i + 1;
+        } else {
+            current += ch;
+        }
+    }
+    push();
+
+    return {
+        name: match[2],
+        nameStart: token.argsStart + match[1].length,
+        params,
+        paramStarts
+    };
+}
+
+/**
+ * Name of a {% block name %} or {% set name %} tag and its offset
+ */
+function firstWord(token) {
+    const match = token.args.match(/^(\s*)([a-zA-Z_]\w*)/);
+    return match ? { name: match[2], start: token.argsStart + match[1].length } : null;
+}
+
+/**
+ * Outline label of an HTML landmark, e.g. nav#main-menu or section.hero
+ */
+function landmarkName(token) {
+    const attribute = (name) => token.attributes.find(attr => attr.name.toLowerCase() === name);
+    const id = attribute('id');
+    if (id && id.value) {
+        return `${token.name}#${id.value}`;
+    }
+    const cls = attribute('class');
+    if (cls && cls.value && cls.value.trim()) {
+        return `${token.name}.${cls.value.trim().split(/\s+/)[0]}`;
+    }
+    return token.name;
+}
+
+/**
+ * Build the symbol for a node, or null if it doesn't show up in the outline
+ */
+function symbolOf(item) {
+    const token = item.open || item;
+    const end = item.close ? item.close.end : (item.open ? lastEnd(item) : token.end);
+
+    if (token.type === 'twigTag') {
+        if (token.name === 'block') {
+            const word = firstWord(token);
+            return word && symbol('block', word.name, '', token.start, end, word.start, word.name.length);
+        }
+        if (token.name === 'macro') {
+            const macro = parseMacro(token);
+            return macro && symbol('macro', macro.name, `(${macro.params.join(', ')})`, token.start, end,
+                macro.nameStart, macro.name.length, { params: macro.params });
+        }
+        if (token.name === 'set' && item.type === 'twigBlock') {
+            const word = firstWord(token);
+            return word && symbol('set', word.name, '', token.start, end, word.start, word.name.length);
+        }
+        if (token.name === 'embed' && item.type === 'twigBlock') {
+            const literal = stringLiterals(token.text, token.argsStart - token.start, token.bodyEnd - token.start)[0];
+            const name = literal ? literal.value : token.args.trim();
+            return symbol('embed', name, 'embed', token.start, end, token.nameStart, token.name.length);
+        }
+        return null;
+    }
+
+    if (token.type === 'htmlStartTag' && item.type === 'element' && LANDMARK_ELEMENTS.includes(item.name)) {
+        return symbol('landmark', landmarkName(token), '', token.start, end, token.start + 1, token.name.length);
+    }
+
+    return null;
+}
+
+/**
+ * End offset of the last token inside a node
+ */
+function lastEnd(node) {
+    let last = node.open;
+    const visit = (child) => {
+        const token = child.close || child.open || child;
+        if (token.end > last.end) {
+            last = token;
+        }
+        (child.children || []).forEach(visit);
+    };
+    node.children.forEach(visit);
+    return last.end;
+}
+
+function symbol(kind, name, detail, start, end, selectionStart, selectionLength, extra = {}) {
+    return Object.assign({
+        kind,
+        name,
+        detail,
+        start,
+        end,
+        selectionStart,
+        selectionEnd: selectionStart + selectionLength,
+        children: []
+    }, extra);
+}
+
+/**
+ * Collect the outline of a template: blocks, macros (with their parameters),
+ * capture-form sets, embeds and HTML landmarks, nested as in the template
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {object[]} - Symbols { kind, name, detail, start, end, selectionStart, selectionEnd, children }
+ */
+function collectSymbols(document) {
+    const result = [];
+
+    const visit = (items, parentSymbols) => {
+        for (const item of items) {
+            const itemSymbol = symbolOf(item);
+            if (itemSymbol) {
+                parentSymbols.push(itemSymbol);
+            }
+            if (item.children) {
+                visit(item.children, itemSymbol ? itemSymbol.children : parentSymbols);
+            }
+        }
+    };
+    visit(document.children, result);
+
+    return result;
+}
+
+module.exports = {
+    LANDMARK_ELEMENTS,
+    collectSymbols,
+    parseMacro
+};
@@ -0,0 +1,422 @@
+const fs = require('fs');
+const path = require('path');
+const { twigTokens } = require('./parser');
+const { maskStrings, findClosingBracket } = require('./expression');
+const { TranslationCatalog } = require('./translations');
+
+/**
+ * Symfony Project
+ * Routes and assets of a Symfony app, read from its files without booting it:
+ *  - routes from config/routes.yaml, config/routes/**.yaml and #[Route] / @Route in src/
+ *  - asset paths from public/ and assets/
+ *  - message catalogs from translations/
+ */
+
+// Directories with asset files, relative to the project root
+const ASSET_DIRS = ['public', 'assets'];
+
+// Files in asset directories that are not assets
+const NOT_ASSETS = /(^|\/)(index\.php|\.htaccess|\.gitignore|\.DS_Store)$/;
+
+// Stop scanning a directory tree after this many files
+const MAX_FILES = 5000;
+
+// Routing imports of the app's controllers (Symfony 6.4 and later) and of bundles whose
+// routes all start with _, which are not checked anyway
+const READ_IMPORTS = /^(routing\.controllers$|@FrameworkBundle\/Resources\/config\/routing\/errors\.|@WebProfilerBundle\/)/;
+
+// Functions whose first argument is a route name, or an asset path
+const ROUTE_FUNCTIONS = ['path', 'url'];
+const ASSET_FUNCTIONS = ['asset', 'asset_version'];
+
+/**
+ * Check if a directory looks like the root of a Symfony app
+ */
+function isSymfonyProject(root) {
+    if (fs.existsSync(path.join(root, 'bin', 'console')) || fs.existsSync(path.join(root, 'symfony.lock'))) {
+        return true;
+    }
+    try {
+        const composer = JSON.parse(fs.readFileSync(path.join(root, 'composer.json'), 'utf8'));
+        const requires = Object.assign({}, composer.require, composer['require-dev']);
+        return Object.keys(requires).some(name => name === 'symfony/framework-bundle' || name === 'symfony/twig-bundle');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parameter names of a route path like /blog/{slug}/{page<\d+>?1}
+ */
+function routeParams(routePath) {
+    const params = [];
+    const pattern = /\{!?([a-zA-Z_]\w*)/g;
+    let match;
+    while ((match = pattern.exec(routePath)) !== null) {
+        params.push(match[1]);
+    }
+    return params;
+}
+
+function unquote(value) {
+    const match = value.match(/^(['"])(.*)\1$/);
+    return match ? match[2] : value;
+}
+
+/**
+ * Read the routes and imports of a YAML routing file
+ * Only what route names need is understood: top-level `name:` keys with a `path`
+ * (a string, or one path per locale) or a `resource`, also nested under `when@env:`.
+ * @returns {{routes: Array<{name: string, path: string, params: string[], offset: number}>,
+ *           imports: Array<{resource: string, namePrefix: string}>}} - `resource` is '' when it isn't a path
+ */
+function readRoutingYaml(text) {
+    const lines = [];
+    let offset = 0;
+    for (const raw of text.split('\n')) {
+        const line = raw.replace(/\r$/, '').replace(/(^|\s)#.*$/, '');
+        const match = line.match(/^(\s*)([^\s:][^:]*?)\s*:(?:\s+(.*?))?\s*$/);
+        if (match) {
+            lines.push({ indent: match[1].length, key: unquote(match[2]), value: unquote(match[3] || ''), offset: offset + match[1].length });
+        }
+        offset += raw.length + 1;
+    }
+
+    const childrenOf = (index) => {
+        const children = [];
+        let childIndent = null;
+        for (let i = index + 1; i < lines.length && lines[i].indent > lines[index].indent; i++) {
+            childIndent = childIndent === null ? lines[i].indent : childIndent;
+            if (lines[i].indent === childIndent) {
+                children.push(i);
+            }
+        }
+        return children;
+    };
+
+    const routes = [];
+    const imports = [];
+    const readRoutes = (indexes) => indexes.forEach(index => {
+        const entry = lines[index];
+        if (entry.key.startsWith('when@')) {
+            readRoutes(childrenOf(index));
+            return;
+        }
+        const children = childrenOf(index);
+        const resourceIndex = children.find(i => lines[i].key === 'resource');
+        if (resourceIndex !== undefined) {
+            // resource: ../src/Controller/, or { path: ../src/Controller/, namespace: App\Controller }
+            let resource = lines[resourceIndex].value;
+            const inline = resource.match(/^\{.*\bpath\s*:\s*([^,}]*)/);
+            const nested = childrenOf(resourceIndex).find(i => lines[i].key === 'path');
+            resource = inline ? unquote(inline[1].trim()) : (resource || (nested === undefined ? '' : lines[nested].value));
+            const prefix = children.find(i => lines[i].key === 'name_prefix');
+            imports.push({ resource, namePrefix: prefix === undefined ? '' : lines[prefix].value });
+            return;
+        }
+        const pathIndex = children.find(i => lines[i].key === 'path');
+        if (pathIndex === undefined) {
+            return;
+        }
+        let routePath = lines[pathIndex].value;
+        if (!routePath) {
+            // Localized paths: { en: /about, nl: /over-ons }
+            const localized = childrenOf(pathIndex)[0];
+            routePath = localized === undefined ? '' : lines[localized].value;
+        }
+        routes.push({ name: entry.key, path: routePath, params: routeParams(routePath), offset: entry.offset });
+    });
+    readRoutes(lines.map((line, index) => index).filter(index => lines[index].indent === 0));
+
+    return { routes, imports };
+}
+
+/**
+ * Read the routes of a YAML routing file (see readRoutingYaml)
+ * @returns {Array<{name: string, path: string, params: string[], offset: number}>}
+ */
+function parseRoutesYaml(text) {
+    return readRoutingYaml(text).routes;
+}
+
+/**
+ * Read name and path arguments of a Route attribute or annotation
+ * @param {string} text - PHP source
+ * @param {number} start - Offset right after the opening parenthesis
+ */
+function routeArguments(text, start) {
+    const end = findClosingBracket(text, start);
+    const args = text.slice(start, end);
+    const named = (key) => {
+        const match = args.match(new RegExp(`\\b${key}\\s*[:=]\\s*(['"])(.*?)\\1`));
+        return match ? match[2] : null;
+    };
+
+    // The path is the first argument or path: ..., a string or an array of paths per locale
+    const pathArg = args.match(/\bpath\s*[:=]\s*/);
+    const value = args.slice(pathArg ? pathArg.index + pathArg[0].length : 0);
+    const first = value.match(/^\s*(['"])(.*?)\1/) || value.match(/^\s*\[\s*(['"])[^'"]*\1\s*=>\s*(['"])(.*?)\2/);
+    return { name: named('name'), path: first ? first[first.length - 1] : '' };
+}
+
+/**
+ * Name Symfony gives a route without one: App\Controller\BlogController::index() is app_blog_index
+ * @param {string} className - Class name with its namespace
+ * @param {number} index - Position of the route among the routes of the method
+ */
+function defaultRouteName(className, method, index) {
+    let name = `${className.replace(/\\/g, '_')}_${method}`.toLowerCase() + (index > 0 ? `_${index}` : '');
+    name = name.replace(/(bundle|controller)_/g, '_');
+    if (method.endsWith('Action') || method === '__invoke') {
+        name = name.replace(/action(_\d+)?$/, '$1');
+    }
+    return name.replace(/__/g, '_');
+}
+
+/**
+ * Read the routes of a PHP controller: #[Route(...)] attributes and @Route(...) annotations,
+ * with the name and path prefix of a Route on the class, or the route of an invokable controller
+ * @returns {Array<{name: string, path: string, params: string[], offset: number}>}
+ */
+function parsePhpRoutes(text) {
+    const classMatch = /^\s*(?:final\s+|abstract\s+)*class\s+(\w+)/m.exec(text);
+    const classStart = classMatch ? classMatch.index : -1;
+    const namespace = text.match(/^\s*namespace\s+([\w\\]+)\s*;/m);
+    const className = (namespace ? `${namespace[1]}\\` : '') + (classMatch ? classMatch[1] : '');
+    const pattern = /(?:#\[\s*(?:\\?[\w\\]*\\)?|@)Route\s*\(/g;
+    const found = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const args = routeArguments(text, match.index + match[0].length);
+        const method = /\bfunction\s+(\w+)/.exec(text.slice(match.index));
+        found.push(Object.assign({ offset: match.index, onClass: match.index < classStart, method: method ? method[1] : '' }, args));
+    }
+
+    let prefix = found.find(route => route.onClass) || { name: '', path: '' };
+    let routes = found.filter(route => !route.onClass);
+    if (routes.length === 0 && found.length > 0 && /\bfunction\s+__invoke\s*\(/.test(text)) {
+        // The Route on an invokable controller is its route
+        routes = found.map(route => Object.assign({}, route, { method: '__invoke' }));
+        prefix = { name: '', path: '' };
+    }
+    const counts = new Map();
+    return routes.map(route => {
+        const index = counts.get(route.method) || 0;
+        counts.set(route.method, index + 1);
+        const routePath = (prefix.path || '').replace(/\/$/, '') + route.path;
+        const name = route.name || defaultRouteName(className, route.method, index);
+        return { name: (prefix.name || '') + name, path: routePath, params: routeParams(routePath), offset: route.offset };
+    });
+}
+
+/**
+ * List files under a directory, relative to it with forward slashes
+ */
+function listFiles(dir, filter, limit = MAX_FILES) {
+    const result = [];
+    const walk = (current, relative) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(current, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        for (const entry of entries) {
+            if (result.length >= limit) {
+                return;
+            }
+            const name = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+                    walk(path.join(current, entry.name), name);
+                }
+            } else if (filter(name)) {
+                result.push(name);
+            }
+        }
+    };
+    walk(dir, '');
+    return result;
+}
+
+/**
+ * Find route names in path('name') and url('name') calls
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {Array<{name: string, start: number, end: number}>} - Offsets of the string contents
+ */
+function findRouteReferences(document) {
+    const text = document.text;
+    const references = [];
+
+    for (const token of twigTokens(document)) {
+        const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+        const masked = maskStrings(text, exprStart, token.bodyEnd);
+        const callPattern = new RegExp(`(^|[^\\w.|])(${ROUTE_FUNCTIONS.join('|')})\\s*\\(\\s*(['"])`, 'g');
+        let call;
+        while ((call = callPattern.exec(masked)) !== null) {
+            const start = exprStart + call.index + call[0].length;
+            const end = text.indexOf(call[3], start);
+            // Only a whole literal, not 'prefix_' ~ name
+            if (end !== -1 && end <= token.bodyEnd && /^\s*[,)]/.test(masked.slice(end + 1 - exprStart))) {
+                references.push({ name: text.slice(start, end), start, end });
+            }
+        }
+    }
+    return references;
+}
+
+/**
+ * Check route names against the routes of the project
+ * Names starting with _ belong to Symfony itself (_wdt, _profiler...) and are not checked,
+ * and nothing is when the routing imports routes that aren't read (bundles, XML or PHP files).
+ * @returns {object[]} - Problems (see src/structure.js)
+ */
+function checkRouteReferences(document, project) {
+    const routes = project.routes();
+    if (routes.size === 0 || !project.routesComplete()) {
+        return [];
+    }
+    return findRouteReferences(document)
+        .filter(reference => !reference.name.startsWith('_') && !routes.has(reference.name))
+        .map(reference => ({
+            start: reference.start,
+            end: reference.end,
+            message: `Unknown route "${reference.name}"`,
+            severity: 'warning',
+            code: 'unknown-route'
+        }));
+}
+
+class SymfonyProject {
+    /**
+     * @param {string} root - Project directory (where bin/console and config/ are)
+     */
+    constructor(root) {
+        this.root = root;
+        this.routeCache = null;
+        this.unreadRoutes = false;
+        this.assetCache = null;
+        this.translationCache = null;
+    }
+
+    /**
+     * Forget what was read, after project files changed
+     */
+    invalidate() {
+        this.routeCache = null;
+        this.unreadRoutes = false;
+        this.assetCache = null;
+        this.translationCache = null;
+    }
+
+    /**
+     * Message catalogs of translations/
+     * @returns {TranslationCatalog}
+     */
+    translations() {
+        if (!this.translationCache) {
+            this.translationCache = new TranslationCatalog(path.join(this.root, 'translations'));
+        }
+        return this.translationCache;
+    }
+
+    /**
+     * All routes, by name
+     * @returns {Map<string, {name: string, path: string, params: string[], file: string, offset: number}>}
+     */
+    routes() {
+        if (this.routeCache) {
+            return this.routeCache;
+        }
+        const routes = new Map();
+        const add = (file, list) => list.forEach(route => {
+            if (!routes.has(route.name)) {
+                routes.set(route.name, Object.assign({ file }, route));
+            }
+        });
+        const read = (file) => {
+            try {
+                return fs.readFileSync(file, 'utf8');
+            } catch (error) {
+                return null;
+            }
+        };
+
+        const configDir = path.join(this.root, 'config');
+        const srcDir = path.join(this.root, 'src');
+        const inside = (file, dir) => file === dir || file.startsWith(dir + path.sep);
+
+        // Imports of controllers in src/ and of YAML files in config/ are read below; others
+        // (bundles, XML and PHP files, services) and name prefixes are not
+        const isRead = (file, entry) => {
+            if (entry.namePrefix) {
+                return false;
+            }
+            if (READ_IMPORTS.test(entry.resource)) {
+                return true;
+            }
+            const target = entry.resource && !entry.resource.startsWith('@') ? path.resolve(path.dirname(file), entry.resource) : '';
+            return target !== '' && (inside(target, srcDir) || (inside(target, configDir) && /\.ya?ml$/.test(target)));
+        };
+
+        const routeFiles = listFiles(path.join(configDir, 'routes'), name => /\.(ya?ml|xml|php)$/.test(name));
+        this.unreadRoutes = routeFiles.some(name => !/\.ya?ml$/.test(name)) ||
+            ['routes.xml', 'routes.php'].some(name => fs.existsSync(path.join(configDir, name)));
+        const yamlFiles = ['routes.yaml', 'routes.yml'].map(name => path.join(configDir, name))
+            .concat(routeFiles.filter(name => /\.ya?ml$/.test(name)).map(name => path.join(configDir, 'routes', name)));
+        yamlFiles.forEach(file => {
+            const text = read(file);
+            if (text !== null) {
+                const routing = readRoutingYaml(text);
+                add(file, routing.routes);
+                this.unreadRoutes = this.unreadRoutes || routing.imports.some(entry => !isRead(file, entry));
+            }
+        });
+
+        listFiles(srcDir, name => name.endsWith('.php')).forEach(name => {
+            const file = path.join(srcDir, name);
+            const text = read(file);
+            if (text !== null && text.includes('Route')) {
+                add(file, parsePhpRoutes(text));
+            }
+        });
+
+        this.routeCache = routes;
+        return routes;
+    }
+
+    /**
+     * Check if routes() has all the routes of the app, so a name it doesn't know is wrong
+     */
+    routesComplete() {
+        this.routes();
+        return !this.unreadRoutes;
+    }
+
+    /**
+     * Asset paths as asset() takes them: relative to public/, and logical paths of assets/
+     * @returns {string[]}
+     */
+    assets() {
+        if (!this.assetCache) {
+            this.assetCache = [];
+            ASSET_DIRS.forEach(dir => {
+                listFiles(path.join(this.root, dir), name => !NOT_ASSETS.test(name))
+                    .forEach(name => this.assetCache.push(name));
+            });
+        }
+        return this.assetCache;
+    }
+}
+
+module.exports = {
+    ROUTE_FUNCTIONS,
+    ASSET_FUNCTIONS,
+    isSymfonyProject,
+    routeParams,
+    parseRoutesYaml,
+    parsePhpRoutes,
+    findRouteReferences,
+    checkRouteReferences,
+    SymfonyProject
+};
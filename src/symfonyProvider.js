@@ -0,0 +1,88 @@
+const vscode = require('vscode');
+const path = require('path');
+const { TwigParser, twigTokenAt } = require('./parser');
+const { maskStrings, stringLiterals, stringAt, callAt } = require('./expression');
+const { ROUTE_FUNCTIONS, ASSET_FUNCTIONS, checkRouteReferences } = require('./symfony');
+const { symfonyProjectFor } = require('./project');
+
+/**
+ * Symfony Provider
+ * Route names and parameters in path()/url(), asset paths in asset(),
+ * and a check for unknown route names, all read from the project files
+ */
+class SymfonyProvider {
+    provideCompletionItems(document, position) {
+        const project = symfonyProjectFor(document);
+        if (!project) {
+            return [];
+        }
+        const text = document.getText();
+        const offset = document.offsetAt(position);
+        const token = twigTokenAt(new TwigParser().parse(text), offset);
+        if (!token) {
+            return [];
+        }
+        const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+        const call = callAt(text, exprStart, offset);
+        if (!call || call.kind !== 'function') {
+            return [];
+        }
+
+        const string = stringAt(text, exprStart, offset);
+        if (string && call.argIndex === 0) {
+            // Replace the whole string typed so far, so names with . and / filter as one word
+            const range = new vscode.Range(document.positionAt(string.start), position);
+            if (ROUTE_FUNCTIONS.includes(call.name)) {
+                return Array.from(project.routes().values()).map(route => {
+                    const item = new vscode.CompletionItem(route.name, vscode.CompletionItemKind.Reference);
+                    item.detail = route.path;
+                    item.documentation = `Route defined in ${path.relative(project.root, route.file)}`;
+                    item.range = range;
+                    return item;
+                });
+            }
+            if (ASSET_FUNCTIONS.includes(call.name)) {
+                return project.assets().map(asset => {
+                    const item = new vscode.CompletionItem(asset, vscode.CompletionItemKind.File);
+                    item.range = range;
+                    return item;
+                });
+            }
+            return [];
+        }
+
+        // path('name', { | }) - the parameters of the route
+        const before = maskStrings(text, call.argsStart, offset);
+        if (!string && call.argIndex === 1 && ROUTE_FUNCTIONS.includes(call.name) && /[{,]\s*\w*$/.test(before)) {
+            const nameLiteral = stringLiterals(text, call.argsStart, offset)[0];
+            const route = nameLiteral && project.routes().get(nameLiteral.value);
+            if (!route) {
+                return [];
+            }
+            const used = new Set((before.match(/\w+(?=\s*:)/g) || []));
+            return route.params.filter(param => !used.has(param)).map(param => {
+                const item = new vscode.CompletionItem(param, vscode.CompletionItemKind.Property);
+                item.detail = `${route.name} parameter`;
+                item.insertText = `${param}: `;
+                return item;
+            });
+        }
+
+        return [];
+    }
+
+    /**
+     * Diagnostics check: route names that no route file defines
+     */
+    check(document) {
+        const project = symfonyProjectFor(document);
+        if (!project) {
+            return [];
+        }
+        return checkRouteReferences(new TwigParser().parse(document.getText()), project);
+    }
+}
+
+module.exports = {
+    SymfonyProvider
+};
@@ -0,0 +1,116 @@
+/**
+ * Twig Tag Set
+ * Knows which Twig tags open a block, which tag ends it and which mid tags
+ * (else, elseif) it accepts
+ */
+
+// Block tags and the tag that ends them
+const BLOCK_TAGS = {
+    apply: 'endapply',
+    autoescape: 'endautoescape',
+    block: 'endblock',
+    cache: 'endcache',
+    embed: 'endembed',
+    filter: 'endfilter',
+    for: 'endfor',
+    guard: 'endguard',
+    if: 'endif',
+    macro: 'endmacro',
+    sandbox: 'endsandbox',
+    set: 'endset',
+    spaceless: 'endspaceless',
+    stopwatch: 'endstopwatch',
+    trans: 'endtrans',
+    verbatim: 'endverbatim',
+    with: 'endwith'
+};
+
+// Mid tags and the block tags they may appear in
+const MID_TAGS = {
+    else: ['if', 'for', 'guard'],
+    elseif: ['if']
+};
+
+class TwigTagSet {
+    constructor() {
+        this.blocks = Object.assign({}, BLOCK_TAGS);
+        this.mids = {};
+        Object.keys(MID_TAGS).forEach(name => {
+            this.mids[name] = MID_TAGS[name].slice();
+        });
+    }
+
+    /**
+     * Register a block tag, its end tag and the mid tags it accepts
+     */
+    addBlockTag(name, endName, midNames = []) {
+        this.blocks[name] = endName || `end${name}`;
+        midNames.forEach(mid => {
+            this.mids[mid] = (this.mids[mid] || []).concat(name);
+        });
+    }
+
+    /**
+     * Check if a {% %} token opens a block that needs an end tag
+     * Inline forms like {% set x = 1 %} and {% block title 'Home' %} don't
+     */
+    isOpener(token) {
+        if (!token.name || !this.blocks[token.name]) {
+            return false;
+        }
+        const args = token.args || '';
+        if (token.name === 'set') {
+            // Assignment form {% set a, b = 1, 2 %} vs capture form {% set a %}
+            return !/^\s*[\w\s,]+=(?!=)/.test(args);
+        }
+        if (token.name === 'block') {
+            // Shortcut form {% block name expression %}
+            return !/^\s*\w+\s+\S/.test(args);
+        }
+        return true;
+    }
+
+    /**
+     * Check if a {% %} token is an end tag of a known block
+     */
+    isEnd(token) {
+        return !!this.openerOf(token.name);
+    }
+
+    /**
+     * Check if a {% %} token is a mid tag (else, elseif)
+     */
+    isMid(token) {
+        return !!token.name && Object.prototype.hasOwnProperty.call(this.mids, token.name);
+    }
+
+    /**
+     * Check if a mid tag may appear inside the given block tag
+     */
+    acceptsMid(blockName, midName) {
+        return (this.mids[midName] || []).includes(blockName);
+    }
+
+    /**
+     * End tag name for a block tag (e.g. 'if' -> 'endif')
+     */
+    endTagOf(name) {
+        return this.blocks[name] || null;
+    }
+
+    /**
+     * Block tag name for an end tag (e.g. 'endif' -> 'if')
+     */
+    openerOf(endName) {
+        if (!endName) {
+            return null;
+        }
+        return Object.keys(this.blocks).find(name => this.blocks[name] === endName) || null;
+    }
+}
+
+module.exports = {
+    BLOCK_TAGS,
+    MID_TAGS,
+    TwigTagSet
+};
@@ -0,0 +1,94 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const { TwigParser } = require('./parser');
+const { findTemplateReferences } = require('./templates');
+const { templateResolverFor, readTemplate } = require('./project');
+
+// Templates that are never searched
+const EXCLUDED_FILES = '{**/node_modules/**,**/vendor/**,**/var/cache/**}';
+
+/**
+ * Position of an offset in the text of a file that may not be open (templates, translation catalogs)
+ */
+function positionIn(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return new vscode.Position(before.length - 1, before[before.length - 1].length);
+}
+
+/**
+ * Template Index
+ * The parsed templates of the workspace and the links between them, for the features
+ * that look across templates: rename, references, inheritance lenses and the hierarchy view
+ */
+class TemplateIndex {
+    constructor() {
+        this.cache = new Map();   // file path -> { mtime, parsed }
+    }
+
+    /**
+     * Parsed templates of the workspace, open documents as they are in the editor
+     * @returns {Promise<Array<{uri: vscode.Uri, parsed: object}>>}
+     */
+    async templates(cancellation) {
+        const files = await vscode.workspace.findFiles('**/*.twig', EXCLUDED_FILES);
+        const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.fsPath, document]));
+        const result = [];
+        for (const uri of files) {
+            if (cancellation && cancellation.isCancellationRequested) {
+                break;
+            }
+            const document = openDocuments.get(uri.fsPath);
+            const parsed = document ? new TwigParser().parse(document.getText()) : this.parseFile(uri.fsPath);
+            if (parsed) {
+                result.push({ uri, parsed });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Parse a template file, cached by modification time
+     */
+    parseFile(file) {
+        let mtime;
+        try {
+            mtime = fs.statSync(file).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+        const cached = this.cache.get(file);
+        if (cached && cached.mtime === mtime) {
+            return cached.parsed;
+        }
+        const text = readTemplate(file);
+        const parsed = text === null ? null : new TwigParser().parse(text);
+        this.cache.set(file, { mtime, parsed });
+        return parsed;
+    }
+
+    /**
+     * Templates and the template names in them that resolve to a file
+     * @returns {Promise<{templates: object[], links: Array<{from: string, to: string, tag: string, start: number}>}>}
+     *          `from` and `to` are file paths, `tag` the tag or function the name is in
+     */
+    async graph(cancellation) {
+        const templates = await this.templates(cancellation);
+        const links = [];
+        for (const { uri, parsed } of templates) {
+            const resolver = templateResolverFor({ uri });
+            for (const reference of findTemplateReferences(parsed)) {
+                const to = resolver.resolve(reference.name);
+                if (to) {
+                    links.push({ from: uri.fsPath, to, tag: reference.tag, start: reference.start });
+                }
+            }
+        }
+        return { templates, links };
+    }
+}
+
+module.exports = {
+    EXCLUDED_FILES,
+    TemplateIndex,
+    positionIn
+};
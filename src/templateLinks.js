@@ -0,0 +1,60 @@
+const vscode = require('vscode');
+const { TwigParser } = require('./parser');
+const { findTemplateReferences, checkTemplateReferences } = require('./templates');
+const { templateResolverFor } = require('./project');
+
+/**
+ * Template Link Provider
+ * Makes template names in extends/include/embed/import/from/use clickable,
+ * and Ctrl+Click opens the template
+ */
+class TemplateLinkProvider {
+    references(document) {
+        return findTemplateReferences(new TwigParser().parse(document.getText()));
+    }
+
+    rangeOf(document, reference) {
+        return new vscode.Range(document.positionAt(reference.start), document.positionAt(reference.end));
+    }
+
+    provideDocumentLinks(document) {
+        const resolver = templateResolverFor(document);
+        const links = [];
+
+        for (const reference of this.references(document)) {
+            const file = resolver.resolve(reference.name);
+            if (file) {
+                const link = new vscode.DocumentLink(this.rangeOf(document, reference), vscode.Uri.file(file));
+                link.tooltip = 'Open template';
+                links.push(link);
+            }
+        }
+
+        return links;
+    }
+
+    provideDefinition(document, position) {
+        const offset = document.offsetAt(position);
+        const reference = this.references(document).find(ref => ref.start <= offset && offset <= ref.end);
+        if (!reference) {
+            return null;
+        }
+
+        const file = templateResolverFor(document).resolve(reference.name);
+        if (!file) {
+            return null;
+        }
+        return new vscode.Location(vscode.Uri.file(file), new vscode.Position(0, 0));
+    }
+
+    /**
+     * Diagnostics check: template names that don't resolve
+     */
+    check(document) {
+        return checkTemplateReferences(new TwigParser().parse(document.getText()), templateResolverFor(document));
+    }
+}
+
+module.exports = {
+    TemplateLinkProvider
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const { twigTokens } = require('./parser');
+const { maskStrings, stringLiterals, findClosingBracket } = require('./expression');
+
+// Tags whose first argument names other templates
+const TEMPLATE_TAGS = ['extends', 'include', 'embed', 'import', 'from', 'use'];
+
+// Functions whose first argument names other templates
+const TEMPLATE_FUNCTIONS = ['include', 'source'];
+
+/**
+ * Keep only literals that are a whole template name, not a piece of 'dir/' ~ name
+ */
+function wholeLiterals(masked, offset, literals) {
+    return literals.filter(literal => {
+        const before = masked.slice(0, literal.start - 1 - offset).trimEnd();
+        const after = masked.slice(literal.end + 1 - offset).trimStart();
+        return !before.endsWith('~') && !after.startsWith('~');
+    });
+}
+
+/**
+ * Find template names in extends/include/embed/import/from/use tags and
+ * include()/source() calls
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {Array<{name: string, start: number, end: number, tag: string, optional: boolean, group: number}>}
+ *          Template name and offsets of the string contents. Names from the same tag or call
+ *          (e.g. ['special.twig', 'default.twig']) share a `group`.
+ */
+function findTemplateReferences(document) {
+    const text = document.text;
+    const references = [];
+
+    for (const token of twigTokens(document)) {
+        const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+        const masked = maskStrings(text, exprStart, token.bodyEnd);
+
+        if (token.type === 'twigTag' && TEMPLATE_TAGS.includes(token.name)) {
+            // The template expression ends at the first keyword: with, only, ignore missing, as, import
+            const keyword = /\b(with|only|ignore|as|import)\b/.exec(masked);
+            const end = keyword ? exprStart + keyword.index : token.bodyEnd;
+            const optional = /\bignore\s+missing\b/.test(masked);
+            wholeLiterals(masked, exprStart, stringLiterals(text, exprStart, end)).forEach(literal => {
+                references.push({
+                    name: literal.value, start: literal.start, end: literal.end, tag: token.name, optional, group: token.start
+                });
+            });
+        }
+
+        const callPattern = new RegExp(`(^|[^\\w.|])(${TEMPLATE_FUNCTIONS.join('|')})\\s*\\(`, 'g');
+        let call;
+        while ((call = callPattern.exec(masked)) !== null) {
+            const argsStart = exprStart + call.index + call[0].length;
+            const argsEnd = findClosingBracket(text, argsStart, token.bodyEnd);
+            const args = masked.slice(argsStart - exprStart, argsEnd - exprStart);
+
+            // First argument only: up to the first comma outside brackets
+            let depth = 0;
+            let firstArgEnd = argsEnd;
+            for (let i = 0; i < args.length; i++) {
+                if ('([{'.includes(args[i])) {
+                    depth++;
+                } else if (')]}'.includes(args[i])) {
+                    depth--;
+                } else if (args[i] === ',' && depth === 0) {
+                    firstArgEnd = argsStart + i;
+                    break;
+                }
+            }
+
+            const optional = /\bignore_missing\b/.test(args);
+            wholeLiterals(masked, exprStart, stringLiterals(text, argsStart, firstArgEnd)).forEach(literal => {
+                references.push({
+                    name: literal.value, start: literal.start, end: literal.end, tag: call[2], optional, group: argsStart
+                });
+            });
+        }
+    }
+
+    return references;
+}
+
+/**
+ * Template Resolver
+ * Resolves template names like 'base.html.twig' or '@App/partials/nav.html.twig'
+ * to files through template roots and Twig namespaces
+ */
+class TemplateResolver {
+    /**
+     * @param {string} baseDir - Directory that roots and namespace paths are relative to
+     * @param {object} options - { roots: string[], namespaces: { name: string|string[] } }
+     */
+    constructor(baseDir, options = {}) {
+        this.baseDir = baseDir;
+        this.roots = (options.roots || ['templates']).map(root => path.resolve(baseDir, root));
+        this.namespaces = {};
+        Object.keys(options.namespaces || {}).forEach(name => {
+            const paths = [].concat(options.namespaces[name]);
+            this.namespaces[name.replace(/^@/, '')] = paths.map(dir => path.resolve(baseDir, dir));
+        });
+    }
+
+    /**
+     * Split '@App/partials/nav.html.twig' into namespace and path
+     * @returns {{namespace: string|null, path: string}}
+     */
+    parseName(name) {
+        const match = name.match(/^@!?([^/]+)\/(.*)$/);
+        if (match) {
+            return { namespace: match[1], path: match[2] };
+        }
+        return { namespace: null, path: name.replace(/^\/+/, '') };
+    }
+
+    /**
+     * Check if a namespace is known
+     */
+    hasNamespace(namespace) {
+        return Object.prototype.hasOwnProperty.call(this.namespaces, namespace);
+    }
+
+    /**
+     * Directories a template name is looked up in
+     */
+    directoriesFor(name) {
+        const { namespace } = this.parseName(name);
+        if (namespace === null) {
+            return this.roots;
+        }
+        return this.namespaces[namespace] || [];
+    }
+
+    /**
+     * Check if any directory a template name is looked up in exists
+     */
+    canResolve(name) {
+        return this.directoriesFor(name).some(dir => isDirectory(dir));
+    }
+
+    /**
+     * Resolve a template name to a file
+     * @returns {string|null} - Absolute path of the first match, or null
+     */
+    resolve(name) {
+        const relative = this.parseName(name).path;
+        for (const dir of this.directoriesFor(name)) {
+            const candidate = path.join(dir, relative);
+            if (isFile(candidate)) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Template name for a file, preferring the plain root over namespaces
+     * @returns {string|null}
+     */
+    nameOf(file) {
+        for (const root of this.roots) {
+            const relative = path.relative(root, file);
+            if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+                return relative.split(path.sep).join('/');
+            }
+        }
+        for (const namespace of Object.keys(this.namespaces)) {
+            for (const dir of this.namespaces[namespace]) {
+                const relative = path.relative(dir, file);
+                if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+                    return `@${namespace}/${relative.split(path.sep).join('/')}`;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Template name for a file, written like another name: in its namespace when the file
+     * is inside it, e.g. after moving the file the name pointed to
+     * @returns {string|null}
+     */
+    nameLike(name, file) {
+        const { namespace } = this.parseName(name);
+        if (namespace !== null) {
+            for (const dir of this.namespaces[namespace] || []) {
+                const relative = path.relative(dir, file);
+                if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+                    return `${name.startsWith('@!') ? '@!' : '@'}${namespace}/${relative.split(path.sep).join('/')}`;
+                }
+            }
+        }
+        return this.nameOf(file);
+    }
+}
+
+function isFile(file) {
+    try {
+        return fs.statSync(file).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+function isDirectory(dir) {
+    try {
+        return fs.statSync(dir).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Report template names that don't resolve to a file
+ * Names are only checked when the directories they are looked up in exist,
+ * so projects with a different layout don't get flooded with warnings.
+ * @returns {object[]} - Problems (see src/structure.js)
+ */
+function checkTemplateReferences(document, resolver) {
+    const problems = [];
+    const references = findTemplateReferences(document);
+
+    // With several candidates (e.g. ['special.twig', 'default.twig']) one existing is enough
+    const resolvedGroups = new Set(references
+        .filter(reference => resolver.resolve(reference.name))
+        .map(reference => reference.group));
+
+    for (const reference of references) {
+        if (reference.optional || reference.name === '' || resolvedGroups.has(reference.group)) {
+            continue;
+        }
+        const { namespace } = resolver.parseName(reference.name);
+        if (namespace !== null && !resolver.hasNamespace(namespace)) {
+            problems.push({
+                start: reference.start,
+                end: reference.end,
+                severity: 'warning',
+                code: 'unknown-namespace',
+                message: `Unknown Twig namespace "@${namespace}": map it in ultimateTwig.templates.namespaces`
+            });
+            continue;
+        }
+        if (resolver.canResolve(reference.name) && !resolver.resolve(reference.name)) {
+            problems.push({
+                start: reference.start,
+                end: reference.end,
+                severity: 'warning',
+                code: 'template-not-found',
+                message: `Template "${reference.name}" not found`
+            });
+        }
+    }
+
+    return problems;
+}
+
+module.exports = {
+    TEMPLATE_TAGS,
+    TEMPLATE_FUNCTIONS,
+    TemplateResolver,
+    findTemplateReferences,
+    checkTemplateReferences
+};
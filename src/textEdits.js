@@ -0,0 +1,191 @@
+/**
+ * Text Edits
+ * Turns a formatted text into the few line edits that produce it, so formatting
+ * keeps cursors, folding, diagnostics and undo steps of the lines it leaves alone
+ */
+
+// Past this many differing lines, the changed middle becomes one edit
+const MAX_DIFF = 2000;
+
+/**
+ * Find the changed line ranges between two lists of lines (Myers' diff)
+ * @returns {Array<{oldStart: number, oldEnd: number, newStart: number, newEnd: number}>} - End exclusive
+ */
+function diffLines(oldLines, newLines) {
+    // Common start and end never change
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
+    if (a.length === 0 && b.length === 0) {
+        return [];
+    }
+    const whole = [{ oldStart: prefix, oldEnd: prefix + a.length, newStart: prefix, newEnd: prefix + b.length }];
+
+    // Furthest reaching path for each diagonal, kept per step for the walk back
+    const max = Math.min(a.length + b.length, MAX_DIFF);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) {
+                found = true;
+                break;
+            }
+        }
+    }
+    if (!found) {
+        return whole;
+    }
+
+    // Walk back from the end, collecting the lines that are not on a diagonal
+    const changes = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d];
+        const k = x - y;
+        const down = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]);
+        const previousK = down ? k + 1 : k - 1;
+        const previousX = previous[offset + previousK];
+        const previousY = previousX - previousK;
+        while (x > previousX && y > previousY) {
+            x--;
+            y--;
+        }
+        changes.push(down ? { oldLine: x, newLine: y - 1, inserted: true } : { oldLine: x - 1, newLine: y, inserted: false });
+        x = previousX;
+        y = previousY;
+    }
+    changes.reverse();
+
+    // Neighbouring changes make one hunk
+    const hunks = [];
+    for (const change of changes) {
+        const last = hunks[hunks.length - 1];
+        if (!last || last.oldEnd !== change.oldLine || last.newEnd !== change.newLine) {
+            hunks.push({ oldStart: change.oldLine, oldEnd: change.oldLine, newStart: change.newLine, newEnd: change.newLine });
+        }
+        const hunk = hunks[hunks.length - 1];
+        if (change.inserted) {
+            hunk.newEnd++;
+        } else {
+            hunk.oldEnd++;
+        }
+    }
+    return hunks.map(hunk => ({
+        oldStart: prefix + hunk.oldStart,
+        oldEnd: prefix + hunk.oldEnd,
+        newStart: prefix + hunk.newStart,
+        newEnd: prefix + hunk.newEnd
+    }));
+}
+
+/**
+ * Line edits that turn one text into another
+ * @returns {Array<{start: number, end: number, text: string}>} - Offsets in the old text
+ *          and their replacement, in document order; none when the texts are equal
+ */
+function lineEdits(oldText, newText) {
+    if (oldText === newText) {
+        return [];
+    }
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+    const lineOffsets = [0];
+    oldLines.forEach(line => lineOffsets.push(lineOffsets[lineOffsets.length - 1] + line.length + 1));
+
+    // Each line is taken with its line break; the last line has none, so edits
+    // that reach past the end drop a line break on the right side
+    return diffLines(oldLines, newLines).map(hunk => {
+        let start = lineOffsets[hunk.oldStart];
+        let end = lineOffsets[hunk.oldEnd];
+        let text = newLines.slice(hunk.newStart, hunk.newEnd).map(line => line + '\n').join('');
+        if (end > oldText.length) {
+            end = oldText.length;
+            if (start > oldText.length) {
+                start = oldText.length;
+                text = '\n' + text.slice(0, -1);
+            } else if (text === '') {
+                start = Math.max(0, start - 1);
+            } else {
+                text = text.slice(0, -1);
+            }
+        }
+        return { start, end, text };
+    });
+}
+
+/**
+ * Unified diff between two texts, as printed by `diff -u`
+ * @param {string} fileName - Shown in the --- and +++ lines
+ * @param {number} [context] - Unchanged lines around each change
+ * @returns {string} - Empty when the texts are equal
+ */
+function unifiedDiff(oldText, newText, fileName, context = 3) {
+    // Lines with their line break, so that adding or removing the final newline is a change
+    const linesOf = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    const oldLines = linesOf(oldText);
+    const newLines = linesOf(newText);
+    const hunks = diffLines(oldLines, newLines);
+    if (hunks.length === 0) {
+        return '';
+    }
+
+    const output = [`--- ${fileName}`, `+++ ${fileName}`];
+    for (let first = 0; first < hunks.length;) {
+        // Changes whose context lines touch share one block
+        let last = first;
+        while (last + 1 < hunks.length && hunks[last + 1].oldStart - hunks[last].oldEnd <= 2 * context) {
+            last++;
+        }
+        const oldStart = Math.max(0, hunks[first].oldStart - context);
+        const oldEnd = Math.min(oldLines.length, hunks[last].oldEnd + context);
+        const newStart = hunks[first].newStart - (hunks[first].oldStart - oldStart);
+        const newEnd = hunks[last].newEnd + (oldEnd - hunks[last].oldEnd);
+        const range = (start, count) => `${count === 0 ? start : start + 1},${count}`;
+        output.push(`@@ -${range(oldStart, oldEnd - oldStart)} +${range(newStart, newEnd - newStart)} @@`);
+
+        const push = (prefix, text) => {
+            output.push(prefix + text.replace(/\n$/, ''));
+            if (!text.endsWith('\n')) {
+                output.push('\\ No newline at end of file');
+            }
+        };
+        let line = oldStart;
+        for (let h = first; h <= last; h++) {
+            const hunk = hunks[h];
+            oldLines.slice(line, hunk.oldStart).forEach(text => push(' ', text));
+            oldLines.slice(hunk.oldStart, hunk.oldEnd).forEach(text => push('-', text));
+            newLines.slice(hunk.newStart, hunk.newEnd).forEach(text => push('+', text));
+            line = hunk.oldEnd;
+        }
+        oldLines.slice(line, oldEnd).forEach(text => push(' ', text));
+        first = last + 1;
+    }
+    return output.join('\n') + '\n';
+}
+
+module.exports = {
+    diffLines,
+    lineEdits,
+    unifiedDiff
+};
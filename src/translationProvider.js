@@ -0,0 +1,147 @@
+const vscode = require('vscode');
+const path = require('path');
+const { TwigParser } = require('./parser');
+const { findTranslationReferences, checkTranslationReferences, messageInsertion } = require('./translations');
+const { symfonyProjectFor, readTemplate } = require('./project');
+const { positionIn } = require('./templateIndex');
+
+/**
+ * Translation Provider
+ * Key completion and per-locale hover for 'key'|trans, t('key') and {% trans %},
+ * warnings for keys missing in a locale, and quick fixes that add them
+ */
+class TranslationProvider {
+    /**
+     * Translation catalog of the document's Symfony app and the key reference at an offset
+     */
+    referenceAt(document, offset) {
+        const project = symfonyProjectFor(document);
+        if (!project) {
+            return null;
+        }
+        const reference = findTranslationReferences(new TwigParser().parse(document.getText()))
+            .find(item => item.start <= offset && offset <= item.end);
+        return reference ? { catalog: project.translations(), reference } : null;
+    }
+
+    provideCompletionItems(document, position) {
+        const found = this.referenceAt(document, document.offsetAt(position));
+        if (!found) {
+            return [];
+        }
+        const { catalog, reference } = found;
+        const range = new vscode.Range(document.positionAt(reference.start), document.positionAt(reference.end));
+
+        return catalog.keys(reference.domain).map(key => {
+            const item = new vscode.CompletionItem(key, vscode.CompletionItemKind.Text);
+            const values = catalog.lookup(reference.domain, key);
+            item.detail = values.length > 0 ? values[0].value : '';
+            item.documentation = this.documentationOf(catalog, reference.domain, key);
+            item.range = range;
+            return item;
+        });
+    }
+
+    provideHover(document, position) {
+        const found = this.referenceAt(document, document.offsetAt(position));
+        if (!found || !found.reference.key) {
+            return null;
+        }
+        const { catalog, reference } = found;
+        if (catalog.localesOf(reference.domain).length === 0) {
+            return null;
+        }
+        const range = new vscode.Range(document.positionAt(reference.start), document.positionAt(reference.end));
+        return new vscode.Hover(this.documentationOf(catalog, reference.domain, reference.key), range);
+    }
+
+    /**
+     * Markdown list of the value of a key in each locale of its domain
+     */
+    documentationOf(catalog, domain, key) {
+        const markdown = new vscode.MarkdownString();
+        markdown.appendMarkdown(`**${domain}**: \`${key}\`\n\n`);
+        const values = catalog.lookup(domain, key);
+        catalog.localesOf(domain).forEach(locale => {
+            const found = values.find(item => item.locale === locale);
+            markdown.appendMarkdown(`- **${locale}**: `);
+            if (found) {
+                markdown.appendText(found.value);
+            } else {
+                markdown.appendMarkdown('_missing_');
+            }
+            markdown.appendMarkdown('\n');
+        });
+        return markdown;
+    }
+
+    /**
+     * Quick fixes for missing keys: add the key to the catalog file of a missing locale, or of all of them
+     */
+    provideCodeActions(document, range, context) {
+        const actions = [];
+
+        for (const diagnostic of context.diagnostics) {
+            if (diagnostic.code !== 'missing-translation') {
+                continue;
+            }
+            const found = this.referenceAt(document, document.offsetAt(diagnostic.range.start));
+            if (!found) {
+                continue;
+            }
+            const { catalog, reference } = found;
+            const files = catalog.missingLocales(reference.domain, reference.key)
+                .map(locale => catalog.filesOf(reference.domain).find(item => item.locale === locale));
+
+            const addTo = (edit, target) => {
+                const text = readTemplate(target.file);
+                if (text === null) {
+                    return false;
+                }
+                const insertion = messageInsertion(target.format, text, reference.key, reference.key);
+                edit.insert(vscode.Uri.file(target.file), positionIn(text, insertion.offset), insertion.text);
+                return true;
+            };
+
+            files.forEach(target => {
+                const edit = new vscode.WorkspaceEdit();
+                if (addTo(edit, target)) {
+                    const action = new vscode.CodeAction(`Add "${reference.key}" to ${path.basename(target.file)}`,
+                        vscode.CodeActionKind.QuickFix);
+                    action.edit = edit;
+                    action.diagnostics = [diagnostic];
+                    actions.push(action);
+                }
+            });
+
+            if (files.length > 1) {
+                const edit = new vscode.WorkspaceEdit();
+                if (files.every(target => addTo(edit, target))) {
+                    const action = new vscode.CodeAction(`Add "${reference.key}" to all missing locales`,
+                        vscode.CodeActionKind.QuickFix);
+                    action.edit = edit;
+                    action.diagnostics = [diagnostic];
+                    action.isPreferred = true;
+                    actions.push(action);
+                }
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Diagnostics check: keys missing in a locale of their domain
+     */
+    check(document) {
+        const project = symfonyProjectFor(document);
+        if (!project) {
+            return [];
+        }
+        return checkTranslationReferences(new TwigParser().parse(document.getText()), project.translations());
+    }
+}
+
+module.exports = {
+    TranslationProvider
+};
@@ -0,0 +1,469 @@
+const fs = require('fs');
+const path = require('path');
+const { twigTokens } = require('./parser');
+const { maskStrings, stringLiterals, findClosingBracket } = require('./expression');
+
+/**
+ * Translations
+ * Message catalogs of a Symfony app (translations/<domain>.<locale>.{yaml,xlf,json})
+ * and the translation keys a template uses: 'key'|trans, t('key') and {% trans %}key{% endtrans %}
+ */
+
+const DEFAULT_DOMAIN = 'messages';
+
+// messages.en.yaml, admin+intl-icu.fr.xlf
+const FILE_PATTERN = /^(.+?)(?:\+intl-icu)?\.([a-zA-Z]{2,3}(?:[_-][a-zA-Z0-9]+)*)\.(ya?ml|xlf|xliff|json)$/;
+
+function unquoteYaml(value) {
+    if (/^'.*'$/.test(value)) {
+        return value.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (/^".*"$/.test(value)) {
+        return value.slice(1, -1).replace(/\\(["\\/])/g, '$1').replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+    }
+    return value;
+}
+
+/**
+ * Read a YAML message catalog; nested keys are joined with dots
+ * @returns {{messages: Map<string, string>, maps: Map<string, object>, flat: boolean}} - Messages,
+ *          and for each nested map its child indent and where its last line ends (for adding keys)
+ */
+function parseYamlCatalog(text) {
+    const messages = new Map();
+    const maps = new Map([['', { indent: 0, childIndent: null, end: text.length }]]);
+    const stack = [];   // { indent, key }
+    const lines = text.split('\n');
+    let flat = false;
+    let offset = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].replace(/\r$/, '');
+        let lineEnd = offset + lines[i].length;
+        offset += lines[i].length + 1;
+        if (/^\s*(#|$)/.test(line)) {
+            continue;
+        }
+        const match = line.match(/^(\s*)('(?:[^']|'')*'|"(?:[^"\\]|\\.)*"|[^\s'"#][^:#]*?)\s*:(?:\s+(.*?))?\s*$/);
+        if (!match) {
+            continue;
+        }
+        const indent = match[1].length;
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+            stack.pop();
+        }
+        const parent = stack.map(item => item.key).join('.');
+        const key = (parent ? parent + '.' : '') + unquoteYaml(match[2]);
+        if (!parent && key.includes('.')) {
+            flat = true;
+        }
+
+        const parentMap = maps.get(parent);
+        if (parentMap && parentMap.childIndent === null) {
+            parentMap.childIndent = indent;
+        }
+        // Every map the entry is in now ends after it
+        const extendMaps = (end) => {
+            for (let depth = 1; depth <= stack.length; depth++) {
+                maps.get(stack.slice(0, depth).map(item => item.key).join('.')).end = end;
+            }
+        };
+
+        let value = match[3] === undefined ? '' : match[3];
+        if (/^[|>][-+]?$/.test(value)) {
+            // Block scalar: the more indented lines below
+            const folded = value[0] === '>';
+            const content = [];
+            let blockIndent = null;
+            while (i + 1 < lines.length) {
+                const next = lines[i + 1].replace(/\r$/, '');
+                const nextIndent = next.match(/^\s*/)[0].length;
+                if (next.trim() !== '' && nextIndent <= indent) {
+                    break;
+                }
+                blockIndent = blockIndent === null && next.trim() !== '' ? nextIndent : blockIndent;
+                content.push(next.slice(blockIndent || 0));
+                if (next.trim() !== '') {
+                    lineEnd = offset + lines[i + 1].length;
+                }
+                offset += lines[i + 1].length + 1;
+                i++;
+            }
+            messages.set(key, content.join(folded ? ' ' : '\n').trim());
+            extendMaps(lineEnd);
+            continue;
+        }
+        extendMaps(lineEnd);
+        if (value === '') {
+            stack.push({ indent, key: unquoteYaml(match[2]) });
+            maps.set(key, { indent, childIndent: null, end: lineEnd });
+            continue;
+        }
+        if (!/^['"]/.test(value)) {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        messages.set(key, unquoteYaml(value));
+    }
+
+    return { messages, maps, flat };
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function encodeXml(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Read an XLIFF 1.2 or 2.0 message catalog
+ * The key is the resname (1.2) or name (2.0) attribute, or else the source text.
+ * @returns {{messages: Map<string, string>}}
+ */
+function parseXliffCatalog(text) {
+    const messages = new Map();
+    const unitPattern = /<(trans-unit|unit)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+    let unit;
+    while ((unit = unitPattern.exec(text)) !== null) {
+        const attribute = (name) => {
+            const match = unit[2].match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`));
+            return match ? decodeXml(match[1]) : null;
+        };
+        const source = unit[3].match(/<source\b[^>]*>([\s\S]*?)<\/source>/);
+        const target = unit[3].match(/<target\b[^>]*>([\s\S]*?)<\/target>/);
+        const key = attribute(unit[1] === 'unit' ? 'name' : 'resname') || (source ? decodeXml(source[1]) : null);
+        if (key !== null) {
+            messages.set(key, target ? decodeXml(target[1]) : (source ? decodeXml(source[1]) : ''));
+        }
+    }
+    return { messages };
+}
+
+/**
+ * Read a JSON message catalog; nested keys are joined with dots
+ * @returns {{messages: Map<string, string>}}
+ */
+function parseJsonCatalog(text) {
+    const messages = new Map();
+    const flatten = (value, prefix) => {
+        Object.keys(value).forEach(key => {
+            const fullKey = prefix ? `${prefix}.${key}` : key;
+            if (value[key] && typeof value[key] === 'object') {
+                flatten(value[key], fullKey);
+            } else {
+                messages.set(fullKey, String(value[key]));
+            }
+        });
+    };
+    const data = JSON.parse(text);
+    if (data && typeof data === 'object') {
+        flatten(data, '');
+    }
+    return { messages };
+}
+
+function quoteYaml(value) {
+    return /^[\w.-]+$/.test(value) && !/^(true|false|null|yes|no|on|off|~|[\d.-]+)$/i.test(value)
+        ? value : `'${value.replace(/'/g, '\'\'')}'`;
+}
+
+/**
+ * Text edit that adds a message to a catalog file
+ * YAML keys go into the deepest existing nested map (or stay flat in flat files),
+ * XLIFF units go at the end of the body, JSON keys at the end of the object.
+ * @param {string} format - 'yaml', 'xliff' or 'json'
+ * @param {string} text - Current file contents
+ * @returns {{offset: number, text: string}} - Text to insert at an offset
+ */
+function messageInsertion(format, text, key, value) {
+    if (format === 'xliff') {
+        const version2 = /<unit\b/.test(text) || /urn:oasis:names:tc:xliff:document:2/.test(text);
+        const close = text.lastIndexOf(version2 ? '</file>' : '</body>');
+        const sample = text.match(version2 ? /\n([ \t]*)<unit\b/ : /\n([ \t]*)<trans-unit\b/);
+        const indent = sample ? sample[1] : (version2 ? '    ' : '      ');
+        const id = encodeXml(key);
+        const unit = version2
+            ? `${indent}<unit id="${id}" name="${id}">\n${indent}  <segment>\n${indent}    <source>${id}</source>\n` +
+              `${indent}    <target>${encodeXml(value)}</target>\n${indent}  </segment>\n${indent}</unit>\n`
+            : `${indent}<trans-unit id="${id}" resname="${id}">\n${indent}  <source>${id}</source>\n` +
+              `${indent}  <target>${encodeXml(value)}</target>\n${indent}</trans-unit>\n`;
+        const lineStart = text.lastIndexOf('\n', close - 1) + 1;
+        return { offset: close === -1 ? text.length : lineStart, text: unit };
+    }
+
+    if (format === 'json') {
+        const close = text.lastIndexOf('}');
+        const sample = text.match(/\n([ \t]+)"/);
+        const indent = sample ? sample[1] : '    ';
+        const entry = `${indent}${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+        const before = text.slice(0, close).trimEnd();
+        if (before.endsWith('{')) {
+            return { offset: before.length, text: `\n${entry}\n` };
+        }
+        return { offset: before.length, text: `,\n${entry}` };
+    }
+
+    const catalog = parseYamlCatalog(text);
+    // Keys like 'a..b' or 'a.' cannot be nested, they stay whole
+    const segments = key.split('.').some(segment => !segment) ? [key] : key.split('.');
+    let depth = 0;
+    if (!catalog.flat) {
+        while (depth < segments.length - 1 && catalog.maps.has(segments.slice(0, depth + 1).join('.'))) {
+            depth++;
+        }
+    }
+    const map = catalog.maps.get(segments.slice(0, depth).join('.'));
+    const unit = depth === 0 ? 4 : Math.max(1, (map.childIndent === null ? map.indent + 4 : map.childIndent) - map.indent);
+    const baseIndent = depth === 0 ? 0 : (map.childIndent === null ? map.indent + unit : map.childIndent);
+
+    let insert = '';
+    const rest = catalog.flat || depth === segments.length - 1
+        ? [segments.slice(depth).join('.')] : segments.slice(depth);
+    rest.forEach((segment, index) => {
+        const indent = ' '.repeat(baseIndent + index * unit);
+        insert += index === rest.length - 1
+            ? `${indent}${quoteYaml(segment)}: ${quoteYaml(value)}\n`
+            : `${indent}${quoteYaml(segment)}:\n`;
+    });
+
+    const end = depth === 0 ? text.length : map.end;
+    const needsNewline = end > 0 && text[end - 1] !== '\n' && end === text.length;
+    if (end < text.length) {
+        // map.end is the end of its last line, before the newline
+        return { offset: end + 1, text: insert };
+    }
+    return { offset: end, text: (needsNewline ? '\n' : '') + insert };
+}
+
+/**
+ * Split the arguments of a call at top-level commas
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitArguments(masked, offset) {
+    const args = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i <= masked.length; i++) {
+        const ch = masked[i];
+        if (i === masked.length || (ch === ',' && depth === 0)) {
+            args.push({ start: offset + start, end: offset + i });
+            start = i + 1;
+        } else if ('([{'.includes(ch)) {
+            depth++;
+        } else if (')]}'.includes(ch)) {
+            depth--;
+        }
+    }
+    return args;
+}
+
+/**
+ * Domain argument of trans(params, domain) or t(key, params, domain): positional or domain: '...'
+ * @param {string} masked - Expression text with strings masked, starting at offset `base`
+ * @returns {string|null} - The domain, or null when it's not given or not a literal
+ */
+function domainArgument(text, masked, base, argsStart, argsEnd, position) {
+    const args = splitArguments(masked.slice(argsStart - base, argsEnd - base), argsStart);
+    const argText = (arg) => masked.slice(arg.start - base, arg.end - base);
+    const named = args.find(arg => /^\s*domain\s*[:=]/.test(argText(arg)));
+    const arg = named || (args.some(item => /^\s*\w+\s*[:=](?!=)/.test(argText(item))) ? null : args[position]);
+    if (!arg) {
+        return null;
+    }
+    const literal = stringLiterals(text, arg.start, arg.end)[0];
+    return literal ? literal.value : null;
+}
+
+/**
+ * Find the translation keys a template uses
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {Array<{key: string, domain: string, start: number, end: number}>} - Offsets of the key
+ */
+function findTranslationReferences(document) {
+    const text = document.text;
+    const references = [];
+
+    const defaultTag = document.tokens.find(token => token.type === 'twigTag' && token.name === 'trans_default_domain');
+    const defaultLiteral = defaultTag && stringLiterals(text, defaultTag.argsStart, defaultTag.bodyEnd)[0];
+    const defaultDomain = defaultLiteral ? defaultLiteral.value : DEFAULT_DOMAIN;
+
+    for (const token of twigTokens(document)) {
+        const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+        const masked = maskStrings(text, exprStart, token.bodyEnd);
+
+        // 'key'|trans and 'key'|trans(params, 'domain')
+        for (const literal of stringLiterals(text, exprStart, token.bodyEnd)) {
+            const filter = /^\s*\|\s*trans\b\s*(\()?/.exec(masked.slice(literal.end + 1 - exprStart));
+            if (!filter || masked.slice(0, literal.start - 1 - exprStart).trimEnd().endsWith('~')) {
+                continue;
+            }
+            let domain = null;
+            if (filter[1]) {
+                const argsStart = literal.end + 1 + filter[0].length;
+                const argsEnd = findClosingBracket(text, argsStart, token.bodyEnd);
+                domain = domainArgument(text, masked, exprStart, argsStart, argsEnd, 1);
+            }
+            references.push({ key: literal.value, domain: domain || defaultDomain, start: literal.start, end: literal.end });
+        }
+
+        // t('key', params, 'domain')
+        const callPattern = /(^|[^\w.|])t\s*\(\s*(['"])/g;
+        let call;
+        while ((call = callPattern.exec(masked)) !== null) {
+            const keyStart = exprStart + call.index + call[0].length;
+            const literal = stringLiterals(text, keyStart - 1, token.bodyEnd)[0];
+            if (!literal || literal.start !== keyStart) {
+                continue;
+            }
+            const argsStart = keyStart - 1;
+            const argsEnd = findClosingBracket(text, argsStart, token.bodyEnd);
+            const domain = domainArgument(text, masked, exprStart, argsStart, argsEnd, 2);
+            references.push({ key: literal.value, domain: domain || defaultDomain, start: literal.start, end: literal.end });
+        }
+    }
+
+    // {% trans from 'domain' %}key{% endtrans %}
+    const visit = (items) => items.forEach(item => {
+        if (item.type === 'twigBlock' && item.name === 'trans' && item.close) {
+            const from = item.open.args.match(/\bfrom\s+(['"])(.*?)\1/);
+            const content = text.slice(item.open.end, item.close.start);
+            const key = content.trim();
+            if (key && !/\{[{%]/.test(key)) {
+                const start = item.open.end + content.indexOf(key);
+                references.push({ key, domain: from ? from[2] : defaultDomain, start, end: start + key.length });
+            }
+        }
+        if (item.children) {
+            visit(item.children);
+        }
+    });
+    visit(document.children);
+
+    return references.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Message catalogs of a project, read from its translations/ directory
+ */
+class TranslationCatalog {
+    /**
+     * @param {string} dir - The translations directory
+     */
+    constructor(dir) {
+        this.dir = dir;
+        this.files = [];    // { domain, locale, format, file, messages }
+        let names = [];
+        try {
+            names = fs.readdirSync(dir);
+        } catch (error) {
+            names = [];
+        }
+        names.forEach(name => {
+            const match = name.match(FILE_PATTERN);
+            if (!match) {
+                return;
+            }
+            const file = path.join(dir, name);
+            const format = /^ya?ml$/.test(match[3]) ? 'yaml' : (match[3] === 'json' ? 'json' : 'xliff');
+            try {
+                const text = fs.readFileSync(file, 'utf8');
+                const parse = { yaml: parseYamlCatalog, xliff: parseXliffCatalog, json: parseJsonCatalog }[format];
+                this.files.push({ domain: match[1], locale: match[2], format, file, messages: parse(text).messages });
+            } catch (error) {
+                // Unreadable or invalid files are left out
+            }
+        });
+    }
+
+    /**
+     * Catalog files of a domain, one per locale and format
+     */
+    filesOf(domain) {
+        return this.files.filter(item => item.domain === domain);
+    }
+
+    domains() {
+        return Array.from(new Set(this.files.map(item => item.domain))).sort();
+    }
+
+    /**
+     * Locales a domain is translated to
+     */
+    localesOf(domain) {
+        return Array.from(new Set(this.filesOf(domain).map(item => item.locale))).sort();
+    }
+
+    /**
+     * All keys of a domain, in any locale
+     */
+    keys(domain) {
+        const keys = new Set();
+        this.filesOf(domain).forEach(item => item.messages.forEach((value, key) => keys.add(key)));
+        return Array.from(keys).sort();
+    }
+
+    /**
+     * Value of a key in each locale that has it
+     * @returns {Array<{locale: string, value: string, file: string}>}
+     */
+    lookup(domain, key) {
+        const result = [];
+        this.filesOf(domain).forEach(item => {
+            if (item.messages.has(key) && !result.some(found => found.locale === item.locale)) {
+                result.push({ locale: item.locale, value: item.messages.get(key), file: item.file });
+            }
+        });
+        return result.sort((a, b) => a.locale.localeCompare(b.locale));
+    }
+
+    /**
+     * Locales of a domain that don't have a key
+     */
+    missingLocales(domain, key) {
+        const found = this.lookup(domain, key).map(item => item.locale);
+        return this.localesOf(domain).filter(locale => !found.includes(locale));
+    }
+}
+
+/**
+ * Check that each translation key exists in every locale of its domain
+ * @returns {object[]} - Problems (see src/structure.js)
+ */
+function checkTranslationReferences(document, catalog) {
+    const problems = [];
+    for (const reference of findTranslationReferences(document)) {
+        if (!reference.key) {
+            continue;
+        }
+        const locales = catalog.localesOf(reference.domain);
+        const missing = catalog.missingLocales(reference.domain, reference.key);
+        if (locales.length === 0 || missing.length === 0) {
+            continue;
+        }
+        problems.push({
+            start: reference.start,
+            end: reference.end,
+            message: missing.length === locales.length
+                ? `Translation key "${reference.key}" is not in the ${reference.domain} domain`
+                : `Translation key "${reference.key}" is missing in ${missing.join(', ')} (${reference.domain} domain)`,
+            severity: 'warning',
+            code: 'missing-translation'
+        });
+    }
+    return problems;
+}
+
+module.exports = {
+    DEFAULT_DOMAIN,
+    parseYamlCatalog,
+    parseXliffCatalog,
+    parseJsonCatalog,
+    messageInsertion,
+    findTranslationReferences,
+    checkTranslationReferences,
+    TranslationCatalog
+};
@@ -0,0 +1,121 @@
+const vscode = require('vscode');
+const { TwigParser, twigTokenAt } = require('./parser');
+const { EXTENSIONS, findEntry, signatureOf, paramName } = require('./catalog');
+const { maskStrings, wordAt, classifyName, callAt } = require('./expression');
+const { manifestFor, projectEntries } = require('./project');
+
+const KIND_LABELS = {
+    tag: 'Twig tag',
+    filter: 'Twig filter',
+    function: 'Twig function',
+    test: 'Twig test'
+};
+
+/**
+ * Markdown documentation of a catalog entry: signature, description and where it comes from
+ */
+function documentationOf(item) {
+    const markdown = new vscode.MarkdownString();
+    const prefix = item.kind === 'filter' ? 'value|' : (item.kind === 'test' ? 'value is ' : '');
+    markdown.appendCodeblock(prefix + signatureOf(item), 'twig');
+    if (item.description) {
+        markdown.appendMarkdown(item.description);
+    }
+    if (item.deprecated) {
+        markdown.appendMarkdown(`\n\n**Deprecated:** ${item.deprecated}`);
+    }
+    if (item.extension !== 'core') {
+        markdown.appendMarkdown(`\n\n_${KIND_LABELS[item.kind]} from \`${EXTENSIONS[item.extension] || item.extension}\`_`);
+    }
+    return markdown;
+}
+
+/**
+ * Find a tag, filter, function or test of the project or the catalog
+ */
+function lookup(document, kind, name) {
+    return projectEntries(document, kind).find(item => item.name === name) || findEntry(kind, name);
+}
+
+/**
+ * Twig Help Provider
+ * Hover cards and signature help for Twig tags, filters, functions and tests
+ */
+class TwigHelpProvider {
+    provideHover(document, position) {
+        const text = document.getText();
+        const offset = document.offsetAt(position);
+        const token = twigTokenAt(new TwigParser().parse(text), offset);
+        const word = wordAt(text, offset);
+        if (!token || !word) {
+            return null;
+        }
+
+        let item;
+        if (token.type === 'twigTag' && word.start === token.nameStart) {
+            // End tags show the documentation of their block tag
+            const tags = manifestFor(document).tagSet();
+            item = lookup(document, 'tag', word.word) || lookup(document, 'tag', tags.openerOf(word.word));
+        } else {
+            const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+            if (word.start < exprStart) {
+                return null;
+            }
+            const masked = maskStrings(text, exprStart, token.bodyEnd);
+            const name = classifyName(masked, word.start - exprStart, word.end - exprStart);
+            item = name && lookup(document, name.kind, name.name);
+        }
+
+        if (!item) {
+            return null;
+        }
+        const range = new vscode.Range(document.positionAt(word.start), document.positionAt(word.end));
+        return new vscode.Hover(documentationOf(item), range);
+    }
+
+    provideSignatureHelp(document, position) {
+        const text = document.getText();
+        const offset = document.offsetAt(position);
+        const token = twigTokenAt(new TwigParser().parse(text), offset);
+        if (!token) {
+            return null;
+        }
+
+        const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+        const call = callAt(text, exprStart, offset);
+        const item = call && lookup(document, call.kind, call.name);
+        if (!item || item.params.length === 0) {
+            return null;
+        }
+
+        const label = signatureOf(item);
+        const signature = new vscode.SignatureInformation(label, documentationOf(item));
+        let paramStart = label.indexOf('(') + 1;
+        signature.parameters = item.params.map(param => {
+            const range = [paramStart, paramStart + param.length];
+            paramStart += param.length + 2;
+            return new vscode.ParameterInformation(range);
+        });
+
+        // Variadic ...values stays active past its position; named arguments select by name
+        let active = Math.min(call.argIndex, item.params.length - 1);
+        if (call.argName) {
+            const named = item.params.findIndex(param => paramName(param) === call.argName);
+            if (named !== -1) {
+                active = named;
+            }
+        }
+
+        const help = new vscode.SignatureHelp();
+        help.signatures = [signature];
+        help.activeSignature = 0;
+        help.activeParameter = active;
+        return help;
+    }
+}
+
+module.exports = {
+    TwigHelpProvider,
+    documentationOf,
+    lookup
+};
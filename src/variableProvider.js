@@ -0,0 +1,118 @@
+const vscode = require('vscode');
+const { TwigParser, twigTokenAt } = require('./parser');
+const { maskStrings } = require('./expression');
+const { findTemplateReferences } = require('./templates');
+const { LOOP_ATTRIBUTES, collectVariables, variablesAt, templateLevelVariables } = require('./variables');
+const { templateResolverFor, readTemplate, projectGlobals } = require('./project');
+
+const KIND_DETAILS = {
+    set: 'Twig variable',
+    for: 'Loop variable',
+    key: 'Loop key',
+    loop: 'Loop variable',
+    with: 'with variable',
+    param: 'Macro argument',
+    hint: 'Twig variable',
+    global: 'Twig global'
+};
+
+// How many parent templates up the extends chain are read
+const MAX_PARENTS = 10;
+
+/**
+ * Variable Provider
+ * Completion for the variables in scope at the cursor: set, for, with,
+ * macro arguments, {# @var #} hints, what parent templates set and the
+ * globals of the project
+ */
+class VariableProvider {
+    /**
+     * Template-level variables of the templates a template extends, nearest parent first
+     */
+    parentVariables(document, parsed) {
+        const resolver = templateResolverFor(document);
+        const result = [];
+        const visited = new Set();
+        let current = parsed;
+
+        for (let depth = 0; depth < MAX_PARENTS && current; depth++) {
+            const file = findTemplateReferences(current)
+                .filter(reference => reference.tag === 'extends')
+                .map(reference => resolver.resolve(reference.name))
+                .find(resolved => resolved && !visited.has(resolved));
+            const text = file ? readTemplate(file) : null;
+            if (text === null) {
+                break;
+            }
+            visited.add(file);
+
+            current = new TwigParser().parse(text);
+            const template = resolver.nameOf(file);
+            templateLevelVariables(collectVariables(current), text.length)
+                .forEach(variable => result.push(Object.assign({}, variable, { template })));
+        }
+
+        return result;
+    }
+
+    provideCompletionItems(document, position) {
+        const offset = document.offsetAt(position);
+        const parsed = new TwigParser().parse(document.getText());
+        const token = twigTokenAt(parsed, offset);
+        if (!token || (token.type === 'twigTag' && offset <= token.argsStart)) {
+            return [];
+        }
+        const exprStart = token.type === 'twigTag' ? token.argsStart : token.bodyStart;
+        const before = maskStrings(parsed.text, exprStart, offset);
+        const variables = variablesAt(collectVariables(parsed), offset);
+
+        // loop.| inside {% for %}
+        if (/(^|[^\w.])loop\s*\.\s*\w*$/.test(before)) {
+            if (!variables.some(variable => variable.kind === 'loop')) {
+                return [];
+            }
+            return LOOP_ATTRIBUTES.map(attribute => {
+                const item = new vscode.CompletionItem(attribute.name, vscode.CompletionItemKind.Property);
+                item.detail = 'loop attribute';
+                item.documentation = attribute.description;
+                return item;
+            });
+        }
+
+        // Only where a variable name may start: not after . | or is
+        if (/[.|]\s*\w*$/.test(before) || /(^|[^\w])is(\s+not)?\s+\w*$/.test(before)) {
+            return [];
+        }
+
+        const names = new Set(variables.map(variable => variable.name));
+        const inherited = this.parentVariables(document, parsed).filter(variable => {
+            if (names.has(variable.name)) {
+                return false;
+            }
+            names.add(variable.name);
+            return true;
+        });
+
+        const globals = projectGlobals(document)
+            .filter(global => !names.has(global.name))
+            .map(global => Object.assign({ kind: 'global' }, global));
+
+        return variables.concat(inherited, globals).map((variable, index) => {
+            const item = new vscode.CompletionItem(variable.name, vscode.CompletionItemKind.Variable);
+            item.detail = variable.type || KIND_DETAILS[variable.kind];
+            if (variable.description) {
+                item.documentation = variable.description;
+            }
+            if (variable.template) {
+                item.detail += ` (from ${variable.template})`;
+            }
+            // Innermost variables first, before tags, filters and functions
+            item.sortText = `0${String(index).padStart(4, '0')}`;
+            return item;
+        });
+    }
+}
+
+module.exports = {
+    VariableProvider
+};
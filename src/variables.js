@@ -0,0 +1,222 @@
+const { maskStrings } = require('./expression');
+const { paramName } = require('./catalog');
+const { parseMacro } = require('./symbols');
+
+// Tags whose body has variables of its own
+const SCOPE_TAGS = ['for', 'with', 'macro', 'block', 'embed'];
+
+// Attributes of the `loop` variable inside {% for %}
+const LOOP_ATTRIBUTES = [
+    { name: 'index', description: 'The current iteration of the loop (1 indexed)' },
+    { name: 'index0', description: 'The current iteration of the loop (0 indexed)' },
+    { name: 'revindex', description: 'The number of iterations from the end of the loop (1 indexed)' },
+    { name: 'revindex0', description: 'The number of iterations from the end of the loop (0 indexed)' },
+    { name: 'first', description: 'True if first iteration' },
+    { name: 'last', description: 'True if last iteration' },
+    { name: 'length', description: 'The number of items in the sequence' },
+    { name: 'parent', description: 'The parent context' }
+];
+
+/**
+ * Keys of a hash literal {a: 1, 'b': 2} whose opening brace is at `open`
+ */
+function hashKeys(text, open) {
+    const masked = maskStrings(text, open + 1);
+    const keys = [];
+    let depth = 0;
+    let expectKey = true;
+    for (let i = 0; i < masked.length; i++) {
+        const ch = masked[i];
+        if ('([{'.includes(ch)) {
+            depth++;
+        } else if (')]}'.includes(ch)) {
+            if (depth === 0) {
+                break;
+            }
+            depth--;
+        } else if (depth === 0 && ch === ',') {
+            expectKey = true;
+        } else if (depth === 0 && expectKey && /\S/.test(ch)) {
+            // name: value, 'name': value, or the shorthand {name}
+            const key = masked.slice(i).match(/^(?:[a-zA-Z_]\w*(?=\s*[:,}])|(['"])\s*\1(?=\s*:))/);
+            if (key) {
+                const raw = text.substr(open + 1 + i, key[0].length);
+                keys.push(key[1] ? { name: raw.slice(1, -1), start: open + 2 + i } : { name: raw, start: open + 1 + i });
+            }
+            expectKey = false;
+        }
+    }
+    return keys.filter(key => /^[a-zA-Z_]\w*$/.test(key.name));
+}
+
+/**
+ * Node whose body a token's variables live in, or null at template level
+ */
+function scopeNodeOf(token) {
+    let node = token.node && token.node.open === token ? token.node.parent : token.parent;
+    for (; node && node.type !== 'document'; node = node.parent) {
+        if (node.type === 'twigBlock' && SCOPE_TAGS.includes(node.name)) {
+            return node;
+        }
+    }
+    return null;
+}
+
+/**
+ * Offsets between the open and end tag of a block
+ */
+function bodyOf(node, text) {
+    return { start: node.open.end, end: node.close ? node.close.start : text.length };
+}
+
+/**
+ * Parse a {# @var name type #} or {# @var type name #} hint
+ * @returns {{name: string, type: string, start: number}|null} - `start` is the offset of the name
+ */
+function parseHint(token) {
+    const match = token.text.match(/@var(\s+)(\S+)(?:(\s+)(\S+))?/);
+    if (!match) {
+        return null;
+    }
+    let [, , name, , type] = match;
+    let start = match.index + 4 + match[1].length;
+    if (type === '#}' || type === '-#}') {
+        type = undefined;
+    }
+    if (type && !/^[a-zA-Z_]\w*$/.test(name)) {
+        start += name.length + match[3].length;
+        [name, type] = [type, name];
+    }
+    return /^[a-zA-Z_]\w*$/.test(name) ? { name, type: type || '', start: token.start + start } : null;
+}
+
+/**
+ * Collect the variables a template declares
+ * @param {object} document - Document node from TwigParser.parse
+ * @returns {{variables: object[], isolated: object[]}} - Variables
+ *          { name, kind: set|for|key|loop|with|param|hint, type, from, scope: {start, end}, start }
+ *          visible from `from` to the end of `scope` and declared at `start` (null for loop
+ *          and varargs), and the bodies that don't see outer variables (macros, {% with ... only %})
+ */
+function collectVariables(document) {
+    const text = document.text;
+    const variables = [];
+    const isolated = [];
+    const templateScope = { start: 0, end: text.length };
+
+    const add = (name, kind, from, scope, start = null, type = '') => {
+        variables.push({ name, kind, type, from, scope, start });
+    };
+
+    for (const token of document.tokens) {
+        if (token.type === 'twigComment') {
+            const hint = parseHint(token);
+            if (hint) {
+                const node = scopeNodeOf(token);
+                const scope = node ? bodyOf(node, text) : templateScope;
+                add(hint.name, 'hint', scope.start, scope, hint.start, hint.type);
+            }
+            continue;
+        }
+        if (token.type !== 'twigTag') {
+            continue;
+        }
+
+        const masked = maskStrings(text, token.argsStart, token.bodyEnd);
+        const outer = scopeNodeOf(token);
+        const outerScope = outer ? bodyOf(outer, text) : templateScope;
+
+        if (token.name === 'set') {
+            const names = masked.match(/^(\s*)([a-zA-Z_][\w\s,]*?)\s*(?:=(?!=)|$)/);
+            if (names) {
+                // A captured {% set x %}...{% endset %} is only set after its end tag
+                const captured = token.node && token.node.open === token;
+                const from = captured ? (token.node.close ? token.node.close.end : text.length) : token.end;
+                const namesStart = token.argsStart + names[1].length;
+                const namePattern = /[^\s,]+/g;
+                let name;
+                while ((name = namePattern.exec(names[2])) !== null) {
+                    if (/^[a-zA-Z_]\w*$/.test(name[0])) {
+                        add(name[0], 'set', from, outerScope, namesStart + name.index);
+                    }
+                }
+            }
+        } else if (token.name === 'for' && token.node) {
+            const names = masked.match(/^(\s*)([a-zA-Z_]\w*)(?:(\s*,\s*)([a-zA-Z_]\w*))?\s+in\b/);
+            const body = bodyOf(token.node, text);
+            if (names) {
+                const firstStart = token.argsStart + names[1].length;
+                if (names[4]) {
+                    add(names[2], 'key', body.start, body, firstStart);
+                    add(names[4], 'for', body.start, body, firstStart + names[2].length + names[3].length);
+                } else {
+                    add(names[2], 'for', body.start, body, firstStart);
+                }
+            }
+            add('loop', 'loop', body.start, body);
+        } else if (token.name === 'with' && token.node) {
+            const body = bodyOf(token.node, text);
+            const open = masked.match(/^\s*\{/);
+            if (open) {
+                hashKeys(text, token.argsStart + open[0].length - 1)
+                    .forEach(key => add(key.name, 'with', body.start, body, key.start));
+            }
+            if (/\bonly\s*$/.test(masked)) {
+                isolated.push(body);
+            }
+        } else if (token.name === 'macro' && token.node) {
+            const body = bodyOf(token.node, text);
+            const macro = parseMacro(token);
+            (macro ? macro.params : []).forEach((param, index) => {
+                const name = paramName(param);
+                if (/^[a-zA-Z_]\w*$/.test(name)) {
+                    add(name, 'param', body.start, body, macro.paramStarts[index] + param.indexOf(name));
+                }
+            });
+            add('varargs', 'param', body.start, body);
+            isolated.push(body);
+        }
+    }
+
+    return { variables, isolated };
+}
+
+/**
+ * Variables visible at an offset, innermost first, one per name
+ * @param {{variables: object[], isolated: object[]}} collected - Result of collectVariables
+ * @param {number} offset - Offset in the template
+ * @returns {object[]}
+ */
+function variablesAt(collected, offset) {
+    const isolation = collected.isolated
+        .filter(body => body.start <= offset && offset <= body.end)
+        .sort((a, b) => b.start - a.start)[0];
+
+    const seen = new Set();
+    return collected.variables
+        .filter(variable => variable.scope.start <= offset && offset <= variable.scope.end && variable.from <= offset)
+        .filter(variable => !isolation || variable.scope.start >= isolation.start)
+        .sort((a, b) => b.scope.start - a.scope.start)
+        .filter(variable => {
+            if (seen.has(variable.name)) {
+                return false;
+            }
+            seen.add(variable.name);
+            return true;
+        });
+}
+
+/**
+ * Variables a child template sees from its parent: what the parent sets or
+ * hints at template level
+ */
+function templateLevelVariables(collected, length) {
+    return collected.variables.filter(variable => variable.scope.start === 0 && variable.scope.end === length);
+}
+
+module.exports = {
+    LOOP_ATTRIBUTES,
+    collectVariables,
+    variablesAt,
+    templateLevelVariables
+};
@@ -0,0 +1,238 @@
+const { maskStrings } = require('./expression');
+const { overlapsRegion } = require('./protectedRegions');
+
+/**
+ * Twig Wrapping
+ * Fits long lines into a print width before the formatter indents them:
+ *  - HTML start tags over the width get each attribute on its own line,
+ *    and tags that fit are put back on one line
+ *  - {% %} and {{ }} over the width get their hash and array literals
+ *    ({% set x = {...} %}, include ... with {...}) one element per line,
+ *    and multi-line ones that fit are put back on one line
+ * Only tags that start a line and are outside protected regions are touched.
+ * Indentation is left to the formatter.
+ */
+
+/**
+ * Check if an offset is the first non-blank character of its line
+ */
+function startsLine(text, offset) {
+    return /^[ \t]*$/.test(text.slice(text.lastIndexOf('\n', offset - 1) + 1, offset));
+}
+
+/**
+ * Attributes and Twig of an HTML start tag, one item per attribute or Twig token
+ * A Twig block between attributes ({% if x %}disabled{% endif %}) is one item.
+ * @returns {Array<{start: number, end: number}>|null} - null if the tag holds anything else
+ */
+function tagItems(text, token, tags) {
+    const inAttribute = (twig) => token.attributes.some(attribute => attribute.start <= twig.start && twig.end <= attribute.end);
+    const parts = token.attributes.map(attribute => ({ start: attribute.start, end: attribute.end }))
+        .concat(token.twig.filter(twig => !inAttribute(twig)))
+        .sort((a, b) => a.start - b.start);
+
+    const items = [];
+    let group = null;
+    let depth = 0;
+    for (const part of parts) {
+        if (part.type === 'twigTag' && tags.isOpener(part)) {
+            depth++;
+        } else if (part.type === 'twigTag' && tags.isEnd(part)) {
+            depth = Math.max(0, depth - 1);
+        }
+        if (group) {
+            group.end = part.end;
+        } else {
+            group = { start: part.start, end: part.end };
+        }
+        if (depth === 0) {
+            items.push(group);
+            group = null;
+        }
+    }
+    if (group) {
+        items.push(group);
+    }
+
+    // Nothing but whitespace may sit between the items
+    const closeStart = token.end - (token.selfClosing ? 2 : 1);
+    const gaps = [token.start + 1 + token.name.length].concat(items.map(item => item.end));
+    const ok = gaps.every((gapStart, index) => {
+        const gapEnd = index < items.length ? items[index].start : closeStart;
+        return text.slice(gapStart, gapEnd).trim() === '';
+    });
+    return ok ? items : null;
+}
+
+/**
+ * New text for an HTML start tag: on one line if it fits, else one attribute per line
+ * @returns {string|null} - null to leave the tag alone
+ */
+function wrapStartTag(text, token, indent, options) {
+    const items = tagItems(text, token, options.tags);
+    if (!items || items.length === 0) {
+        return null;
+    }
+    const itemTexts = items.map(item => text.slice(item.start, item.end));
+    const close = token.selfClosing ? (/\s\/>$/.test(token.text) ? ' />' : '/>') : '>';
+
+    const oneLine = `<${token.name} ${itemTexts.join(' ')}${close}`;
+    if (indent + oneLine.length <= options.printWidth) {
+        return itemTexts.some(item => item.includes('\n')) ? null : oneLine;
+    }
+    return `<${token.name}\n${itemTexts.join('\n')}${close}`;
+}
+
+/**
+ * Join the lines of a multi-line expression
+ * No space is left after an opening or before a closing bracket, and a trailing comma goes.
+ * @returns {string|null} - null if the line breaks are in strings or comments
+ */
+function joinLines(expression) {
+    const masked = maskStrings(expression);
+    if (masked.includes('#') || masked.split('\n').length !== expression.split('\n').length) {
+        return null;
+    }
+    let result = '';
+    let position = 0;
+    const pattern = /\s*\n\s*/g;
+    let match;
+    while ((match = pattern.exec(masked)) !== null) {
+        let before = expression.slice(position, match.index);
+        const previous = masked[match.index - 1];
+        const next = masked[match.index + match[0].length];
+        if (previous === ',' && /[)\]}]/.test(next)) {
+            before = before.slice(0, -1);
+        }
+        result += before + (/[([{]/.test(previous) || /[)\]}]/.test(next) ? '' : ' ');
+        position = match.index + match[0].length;
+    }
+    return result + expression.slice(position);
+}
+
+/**
+ * Put the elements of the outermost hash or array literal of an expression on their own lines,
+ * and so on for elements that are still too long
+ * @param {string} expression - Single-line expression
+ * @param {number} used - Columns its line takes besides the expression
+ * @param {number} indent - Indent of its line in columns
+ */
+function breakLiterals(expression, used, indent, options) {
+    if (used + expression.length <= options.printWidth) {
+        return expression;
+    }
+    const masked = maskStrings(expression);
+
+    // The first literal at the lowest bracket depth; [ after an operand is a subscript
+    let literal = null;
+    const stack = [];
+    for (let i = 0; i < masked.length; i++) {
+        const ch = masked[i];
+        if (ch === '{' || ch === '[' || ch === '(') {
+            const isLiteral = ch === '{' || !/[\w)\]'"]\s*$/.test(masked.slice(0, i));
+            if (isLiteral && ch !== '(' && (!literal || stack.length < literal.depth)) {
+                literal = { start: i, depth: stack.length };
+            }
+            stack.push(i);
+        } else if (ch === ')' || ch === ']' || ch === '}') {
+            const open = stack.pop();
+            if (literal && open === literal.start) {
+                literal.end = i;
+            }
+        }
+    }
+    if (!literal || literal.end === undefined) {
+        return expression;
+    }
+
+    // Elements split at the commas of the literal's own level
+    const elements = [];
+    let depth = 0;
+    let elementStart = literal.start + 1;
+    for (let i = literal.start + 1; i <= literal.end; i++) {
+        const ch = masked[i];
+        if (i === literal.end || (ch === ',' && depth === 0)) {
+            const element = expression.slice(elementStart, i).trim();
+            if (element) {
+                elements.push(element);
+            }
+            elementStart = i + 1;
+        } else if (ch === '(' || ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ')' || ch === ']' || ch === '}') {
+            depth--;
+        }
+    }
+    if (elements.length === 0) {
+        return expression;
+    }
+
+    const inner = indent + options.indentWidth;
+    return expression.slice(0, literal.start + 1) + '\n' +
+        elements.map(element => breakLiterals(element, inner + 1, inner, options)).join(',\n') + '\n' +
+        expression.slice(literal.end);
+}
+
+/**
+ * New text for a {% %} or {{ }} token: on one line if it fits, else with its literals broken up
+ * @returns {string|null} - null to leave the token alone
+ */
+function wrapTwig(text, token, indent, options) {
+    const open = text.slice(token.start, token.bodyStart);
+    const close = text.slice(token.bodyEnd, token.end);
+    const body = text.slice(token.bodyStart, token.bodyEnd);
+
+    if (body.includes('\n')) {
+        const joined = joinLines(body.trim());
+        const pad = (space) => (space.includes('\n') ? options.padding : space);
+        const oneLine = joined === null ? null : open + pad(body.match(/^\s*/)[0]) + joined + pad(body.match(/\s*$/)[0]) + close;
+        return oneLine !== null && indent + oneLine.length <= options.printWidth ? oneLine : null;
+    }
+    if (indent + token.text.length <= options.printWidth) {
+        return null;
+    }
+    const leading = body.match(/^\s*/)[0];
+    const trailing = body.match(/\s*$/)[0];
+    const expression = body.trim();
+    const broken = breakLiterals(expression, indent + token.text.length - expression.length, indent, options);
+    return broken === expression ? null : open + leading + broken + trailing + close;
+}
+
+/**
+ * Wrap the lines of a template that go over the print width
+ * @param {object} document - Document node from TwigParser.parse
+ * @param {object} options - { printWidth, indentWidth: columns per indent level, tags: TwigTagSet,
+ *                            padding: space inside the delimiters of joined tokens }
+ * @param {{start: number, end: number}} [range] - Only change tags inside these offsets
+ * @param {Array<{start: number, end: number}>} [regions] - Leave tags in these protected regions alone
+ * @returns {string} - The template text with long tags wrapped and short ones joined
+ */
+function wrapLines(document, options, range, regions = []) {
+    const text = document.text;
+    let result = '';
+    let position = 0;
+
+    for (const token of document.tokens) {
+        if (token.rawOwner || !startsLine(text, token.start) || (range && (token.start < range.start || token.end > range.end)) ||
+            overlapsRegion(regions, token.start, token.end)) {
+            continue;
+        }
+        const indent = token.depth * options.indentWidth;
+        let wrapped = null;
+        if (token.type === 'htmlStartTag') {
+            wrapped = wrapStartTag(text, token, indent, options);
+        } else if (token.type === 'twigTag' || token.type === 'twigOutput') {
+            wrapped = wrapTwig(text, token, indent, options);
+        }
+        if (wrapped !== null && wrapped !== token.text) {
+            result += text.slice(position, token.start) + wrapped;
+            position = token.end;
+        }
+    }
+
+    return result + text.slice(position);
+}
+
+module.exports = {
+    wrapLines
+};